@@ -0,0 +1,71 @@
+import request from 'supertest';
+import { app, api, useDatabase, createUser, login, bearer, encryptId } from '../tests/helpers.js';
+import AuditLog from '../src/models/AuditLog.js';
+
+useDatabase();
+
+let admin;
+let member;
+let actorId;
+
+// Three entries a day apart from one actor, plus one from another
+beforeAll(async () => {
+  actorId = (await createUser({ email: 'admin@example.com', role: 'admin' })).id;
+  await createUser({ email: 'member@example.com' });
+  admin = (await login('admin@example.com')).token;
+  member = (await login('member@example.com')).token;
+
+  for (const [action, day] of [['user.update', 1], ['user.delete', 2], ['user.update', 3]]) {
+    await AuditLog.record({ action, actorId, actorRole: 'admin', createdAt: new Date(`2024-01-0${day}T12:00:00Z`) });
+  }
+  await AuditLog.record({ action: 'user.update', actorId: 'someone-else', createdAt: new Date('2024-01-02T12:00:00Z') });
+});
+
+const search = (query) => request(app).get(api('/audit')).query(query).set(bearer(admin));
+
+const days = (res) => res.body.data.map(entry => new Date(entry.createdAt).getUTCDate());
+
+describe('GET /audit', () => {
+  test('needs the audit:read permission', async () => {
+    const res = await request(app).get(api('/audit')).set(bearer(member));
+    expect(res.status).toBe(403);
+  });
+
+  test('filters by actor and action, newest first', async () => {
+    const res = await search({ actor: encryptId(actorId), action: 'user.update' });
+
+    expect(res.status).toBe(200);
+    expect(days(res)).toEqual([3, 1]);
+    expect(res.body.pageInfo.total).toBe(2);
+    expect(res.body.data[0].actor.role).toBe('admin');
+  });
+
+  test('filters by time range', async () => {
+    const res = await search({ actor: encryptId(actorId), from: '2024-01-02T00:00:00Z', to: '2024-01-02T23:59:59Z' });
+
+    expect(days(res)).toEqual([2]);
+    expect(res.body.pageInfo.total).toBe(1);
+  });
+
+  test('pages through the results', async () => {
+    // The range leaves out the login in beforeAll
+    const query = { actor: encryptId(actorId), to: '2024-01-31T00:00:00Z', limit: 2 };
+    const first = await search({ ...query, page: 1 });
+    const second = await search({ ...query, page: 2 });
+
+    expect(days(first)).toEqual([3, 2]);
+    expect(first.body.pageInfo).toMatchObject({ hasMore: true, total: 3 });
+    expect(days(second)).toEqual([1]);
+    expect(second.body.pageInfo.hasMore).toBe(false);
+  });
+
+  test('rejects an actor that is not an id', async () => {
+    const res = await search({ actor: 'not-an-id' });
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects a range that ends before it starts', async () => {
+    const res = await search({ from: '2024-01-03T00:00:00Z', to: '2024-01-01T00:00:00Z' });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,247 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import ms from 'ms';
+import { app, api, PASSWORD, useDatabase, createUser, login, bearer, sentEmails, tokenFromMail } from '../tests/helpers.js';
+import config from '../src/config/index.js';
+import User from '../src/models/User.js';
+
+useDatabase();
+
+// Only the clock is faked; timers and ticks stay real
+beforeAll(() => {
+  jest.useFakeTimers({
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+      'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+  });
+});
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+const advance = (duration) => jest.setSystemTime(Date.now() + duration);
+
+describe('POST /auth/register', () => {
+  test('creates a user with the default role and signs tokens', async () => {
+    const res = await request(app).post(api('/auth/register'))
+      .send({ email: 'new@example.com', password: PASSWORD, name: 'New User' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user).toMatchObject({ email: 'new@example.com', role: 'user', emailVerified: false });
+    expect(res.body.data.user).not.toHaveProperty('password');
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).toEqual(expect.any(String));
+  });
+
+  test('sends a link that verifies the address', async () => {
+    const token = await tokenFromMail('new@example.com');
+    expect(token).toBeTruthy();
+
+    const res = await request(app).get(api('/auth/verify-email')).query({ token });
+    expect(res.status).toBe(200);
+
+    const again = await request(app).get(api('/auth/verify-email')).query({ token });
+    expect(again.status).toBe(400);
+  });
+
+  test('rejects an address that is taken', async () => {
+    const res = await request(app).post(api('/auth/register'))
+      .send({ email: 'new@example.com', password: PASSWORD, name: 'Someone Else' });
+    expect(res.status).toBe(409);
+  });
+
+  test('validates the body', async () => {
+    const res = await request(app).post(api('/auth/register'))
+      .send({ email: 'not-an-email', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(
+      expect.arrayContaining(['body.email', 'body.password', 'body.name'])
+    );
+  });
+});
+
+describe('email verification', () => {
+  const register = (email) => request(app).post(api('/auth/register'))
+    .send({ email, password: PASSWORD, name: 'Unverified' });
+  const verify = (token) => request(app).get(api('/auth/verify-email')).query({ token });
+  const resend = (email) => request(app).post(api('/auth/resend-verification')).send({ email });
+  const mailsTo = (email) => sentEmails.filter(mail => mail.to === email).length;
+
+  test('an expired link does not verify', async () => {
+    await register('late@example.com');
+    const token = await tokenFromMail('late@example.com');
+
+    advance(ms(config.emailVerification.expiresIn) + 1000);
+    const res = await verify(token);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired verification token');
+    expect((await User.findByEmail('late@example.com')).emailVerified).toBe(false);
+  });
+
+  test('a link works once', async () => {
+    await register('once@example.com');
+    const token = await tokenFromMail('once@example.com');
+
+    expect((await verify(token)).status).toBe(200);
+    const again = await verify(token);
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Invalid or expired verification token');
+    expect((await User.findByEmail('once@example.com')).emailVerified).toBe(true);
+  });
+
+  test('a verified address gets no new link, with the same answer', async () => {
+    const sent = mailsTo('once@example.com');
+
+    const verified = await resend('once@example.com');
+    const unknown = await resend('nobody@example.com');
+    expect(verified.status).toBe(200);
+    expect(verified.body).toEqual(unknown.body);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(mailsTo('once@example.com')).toBe(sent);
+  });
+});
+
+describe('POST /auth/login', () => {
+  beforeAll(async () => {
+    await createUser({ email: 'login@example.com' });
+  });
+
+  test('returns tokens for the right password', async () => {
+    const res = await request(app).post(api('/auth/login'))
+      .send({ email: 'login@example.com', password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe('login@example.com');
+    expect(res.body.data.token).toEqual(expect.any(String));
+  });
+
+  test('rejects a wrong password and an unknown address alike', async () => {
+    const wrong = await request(app).post(api('/auth/login'))
+      .send({ email: 'login@example.com', password: 'Wrong123!' });
+    const unknown = await request(app).post(api('/auth/login'))
+      .send({ email: 'nobody@example.com', password: PASSWORD });
+
+    expect(wrong.status).toBe(401);
+    expect(unknown.status).toBe(401);
+    expect(wrong.body.message).toBe(unknown.body.message);
+  });
+});
+
+describe('login protection', () => {
+  const { maxAttempts, lockoutMs } = config.loginProtection;
+
+  const fail = (email) => request(app).post(api('/auth/login')).send({ email, password: 'Wrong123!' });
+
+  beforeAll(async () => {
+    await createUser({ email: 'locked@example.com' });
+    await createUser({ email: 'forgetful@example.com' });
+  });
+
+  test('locks the account out at the threshold, even for the right password', async () => {
+    for (let i = 0; i < maxAttempts; i += 1) {
+      expect((await fail('locked@example.com')).status).toBe(401);
+    }
+
+    const res = await request(app).post(api('/auth/login'))
+      .send({ email: 'locked@example.com', password: PASSWORD });
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe(String(lockoutMs / 1000));
+  });
+
+  test('lets the account in again once the lockout expires', async () => {
+    advance(lockoutMs - 1000);
+    expect((await request(app).post(api('/auth/login'))
+      .send({ email: 'locked@example.com', password: PASSWORD })).status).toBe(429);
+
+    advance(1000);
+    await expect(login('locked@example.com')).resolves.toHaveProperty('token');
+  });
+
+  test('a successful login clears the failures counted so far', async () => {
+    for (let i = 0; i < maxAttempts - 1; i += 1) {
+      await fail('forgetful@example.com');
+    }
+    await login('forgetful@example.com');
+
+    for (let i = 0; i < maxAttempts - 1; i += 1) {
+      expect((await fail('forgetful@example.com')).status).toBe(401);
+    }
+    await expect(login('forgetful@example.com')).resolves.toHaveProperty('token');
+  });
+});
+
+describe('tokens', () => {
+  let session;
+
+  beforeAll(async () => {
+    await createUser({ email: 'tokens@example.com' });
+    session = await login('tokens@example.com');
+  });
+
+  test('an access token is required', async () => {
+    const res = await request(app).get(api('/users'));
+    expect(res.status).toBe(401);
+
+    const sessions = await request(app).get(api('/auth/sessions'));
+    expect(sessions.status).toBe(401);
+  });
+
+  test('a malformed token is rejected', async () => {
+    const res = await request(app).get(api('/auth/sessions')).set(bearer('not.a.token'));
+    expect(res.status).toBe(401);
+  });
+
+  test('a refresh token buys a new pair', async () => {
+    const res = await request(app).post(api('/auth/refresh')).send({ refreshToken: session.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).not.toBe(session.refreshToken);
+    session = { ...session, ...res.body.data };
+  });
+
+  test('the session is listed until logout', async () => {
+    const sessions = await request(app).get(api('/auth/sessions')).set(bearer(session.token));
+    expect(sessions.status).toBe(200);
+    expect(sessions.body.data).toHaveLength(1);
+
+    const logout = await request(app).post(api('/auth/logout')).set(bearer(session.token));
+    expect(logout.status).toBe(200);
+
+    const after = await request(app).get(api('/auth/sessions')).set(bearer(session.token));
+    expect(after.status).toBe(401);
+
+    const refresh = await request(app).post(api('/auth/refresh')).send({ refreshToken: session.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+});
+
+describe('password reset', () => {
+  beforeAll(async () => {
+    await createUser({ email: 'forgot@example.com' });
+  });
+
+  test('answers the same for known and unknown addresses', async () => {
+    const known = await request(app).post(api('/auth/forgot-password')).send({ email: 'forgot@example.com' });
+    const unknown = await request(app).post(api('/auth/forgot-password')).send({ email: 'nobody@example.com' });
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+  });
+
+  test('the mailed token sets a new password once', async () => {
+    const token = await tokenFromMail('forgot@example.com');
+    expect(token).toBeTruthy();
+
+    const res = await request(app).post(api('/auth/reset-password')).send({ token, password: 'NewPassword123!' });
+    expect(res.status).toBe(200);
+
+    const reused = await request(app).post(api('/auth/reset-password')).send({ token, password: 'Another123!' });
+    expect(reused.status).toBe(400);
+
+    await expect(login('forgot@example.com')).rejects.toThrow(/401/);
+    await expect(login('forgot@example.com', 'NewPassword123!')).resolves.toHaveProperty('token');
+  });
+});
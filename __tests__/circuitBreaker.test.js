@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { app, api, useDatabase, createUser, login, bearer, encryptId } from '../tests/helpers.js';
+import config from '../src/config/index.js';
+import db from '../src/utils/database.js';
+import logger from '../src/utils/logger.js';
+import CircuitBreaker from '../src/utils/circuitBreaker.js';
+import { ServiceUnavailableError } from '../src/utils/errors.js';
+
+useDatabase();
+
+// Only the clock is faked; timers and ticks stay real
+beforeAll(() => {
+  jest.useFakeTimers({
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+      'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+  });
+});
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+beforeEach(() => {
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+});
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    breaker = new CircuitBreaker('store', { threshold: 3, resetMs: 10000, isFailure: error => error.code === 'ECONNREFUSED' });
+  });
+
+  const fail = () => breaker.run(async () => { throw refused(); });
+  const succeed = () => breaker.run(async () => 'ok');
+
+  test('passes ordinary errors through, as answers of a reachable store', async () => {
+    await fail().catch(() => {});
+    await fail().catch(() => {});
+    expect(breaker.failures).toBe(2);
+
+    const duplicate = new Error('duplicate');
+    await expect(breaker.run(async () => { throw duplicate; })).rejects.toBe(duplicate);
+    expect(breaker.failures).toBe(0);
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('turns unreachable-store errors into 503s and opens at the threshold', async () => {
+    const first = await fail().catch(error => error);
+    expect(first).toBeInstanceOf(ServiceUnavailableError);
+    expect(first.statusCode).toBe(503);
+    expect(first.cause.code).toBe('ECONNREFUSED');
+
+    await fail().catch(() => {});
+    expect(breaker.state).toBe('closed');
+    await fail().catch(() => {});
+    expect(breaker.state).toBe('open');
+
+    const operation = jest.fn();
+    await expect(breaker.run(operation)).rejects.toMatchObject({ statusCode: 503, retryAfter: 10 });
+    expect(operation).not.toHaveBeenCalled();
+
+    advance(4000);
+    expect(breaker.retryAfter).toBe(6);
+  });
+
+  test('lets one trial through after the reset period and closes when it succeeds', async () => {
+    for (let i = 0; i < 3; i += 1) await fail().catch(() => {});
+    advance(10000);
+
+    let finish;
+    const trial = breaker.run(() => new Promise((resolve) => { finish = resolve; }));
+    expect(breaker.state).toBe('half-open');
+    await expect(succeed()).rejects.toBeInstanceOf(ServiceUnavailableError);
+
+    finish('done');
+    await expect(trial).resolves.toBe('done');
+    expect(breaker.state).toBe('closed');
+    await expect(succeed()).resolves.toBe('ok');
+  });
+
+  test('reopens for a full period when the trial fails', async () => {
+    for (let i = 0; i < 3; i += 1) await fail().catch(() => {});
+    advance(10000);
+
+    await fail().catch(() => {});
+    expect(breaker.state).toBe('open');
+    expect(breaker.retryAfter).toBe(10);
+    expect(breaker.toJSON()).toMatchObject({ state: 'open', failures: 4, retryAfter: 10 });
+  });
+});
+
+describe('a store that cannot be reached', () => {
+  let token;
+  let userId;
+
+  beforeAll(async () => {
+    userId = encryptId((await createUser({ email: 'admin@example.com', role: 'admin' })).id);
+    token = (await login('admin@example.com')).token;
+    // The memory store is never unreachable by itself
+    db.connectors.memory.unavailable = (error) => error.code === 'ECONNREFUSED';
+  });
+
+  afterAll(() => {
+    delete db.connectors.memory.unavailable;
+  });
+
+  const getUser = () => request(app).get(api(`/users/${userId}`)).set(bearer(token));
+
+  test('fails requests with a 503 and then stops reaching the store', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const get = db.get.bind(db);
+    const connection = jest.spyOn(db, 'get').mockImplementation((type) => {
+      if (type === 'memory') throw refused();
+      return get(type);
+    });
+
+    for (let i = 0; i < config.database.circuitBreaker.threshold; i += 1) {
+      const res = await getUser();
+      expect(res.status).toBe(503);
+      expect(res.headers['retry-after']).toBeDefined();
+    }
+
+    connection.mockClear();
+    const res = await getUser();
+    expect(res.status).toBe(503);
+    expect(res.body.message).toBe('memory is unavailable');
+    expect(connection).not.toHaveBeenCalledWith('memory');
+
+    const health = await request(app).get(api('/health'));
+    expect(health.body.data.status).toBe('degraded');
+    expect(health.body.data.stores.memory.breaker.state).toBe('open');
+  });
+
+  test('serves requests again once a trial succeeds', async () => {
+    advance(config.database.circuitBreaker.resetMs);
+
+    expect((await getUser()).status).toBe(200);
+    expect((await request(app).get(api('/health'))).body.data.status).toBe('ok');
+  });
+});
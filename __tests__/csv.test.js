@@ -0,0 +1,47 @@
+import { parseCsv, formatCsvRow } from '../src/utils/csv.js';
+
+const parse = async (...chunks) => {
+  const records = [];
+  for await (const record of parseCsv(chunks)) records.push(record);
+  return records;
+};
+
+describe('parseCsv', () => {
+  test('splits records and fields', async () => {
+    expect(await parse('a,b,c\r\n1,,3\n')).toEqual([['a', 'b', 'c'], ['1', '', '3']]);
+  });
+
+  test('reads quoted commas, line breaks and doubled quotes', async () => {
+    expect(await parse('"a,b","line\r\nbreak","say ""hi"""\n')).toEqual([['a,b', 'line\r\nbreak', 'say "hi"']]);
+  });
+
+  test('skips blank lines and a byte order mark and keeps a last record without a line break', async () => {
+    expect(await parse('﻿name\n\n\r\nx,')).toEqual([['name'], ['x', '']]);
+  });
+
+  test('reads records split anywhere across chunks', async () => {
+    const text = Buffer.from('name,city\n"Zoë, ""Z""",Köln\n');
+    const chunks = [...text].map(byte => Buffer.from([byte]));
+
+    expect(await parse(...chunks)).toEqual([['name', 'city'], ['Zoë, "Z"', 'Köln']]);
+  });
+});
+
+describe('formatCsvRow', () => {
+  test('quotes what needs quoting and writes null as empty', () => {
+    expect(formatCsvRow(['a,b', 'say "hi"', 'two\nlines', null, 7])).toBe('"a,b","say ""hi""","two\nlines",,7\r\n');
+  });
+
+  test('writes dates as ISO 8601', () => {
+    expect(formatCsvRow([new Date('2024-01-02T03:04:05Z')])).toBe('2024-01-02T03:04:05.000Z\r\n');
+  });
+
+  test('defuses cells a spreadsheet would run as formulas', () => {
+    expect(formatCsvRow(['=1+1', '+A1', '-2', '@SUM(A1)'])).toBe("'=1+1,'+A1,'-2,'@SUM(A1)\r\n");
+  });
+
+  test('round-trips through parseCsv', async () => {
+    const values = ['plain', 'comma, inside', 'quote " inside', 'line\nbreak', ''];
+    expect(await parse(formatCsvRow(values))).toEqual([values]);
+  });
+});
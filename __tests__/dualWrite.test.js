@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import db from '../src/utils/database.js';
+import logger from '../src/utils/logger.js';
+import MemoryRepository from '../src/repositories/MemoryRepository.js';
+import DynamoRepository from '../src/repositories/DynamoRepository.js';
+import DualWriteRepository from '../src/repositories/DualWriteRepository.js';
+import { DuplicateKeyError, VersionConflictError } from '../src/utils/errors.js';
+import { FakeDynamo } from '../tests/fakeDynamo.js';
+
+const definition = {
+  name: 'widgets',
+  unique: ['email'],
+  versioned: true,
+  dynamodb: {
+    indexes: { email: 'EmailIndex' }
+  }
+};
+
+// A secondary that gives records ids of its own, as MySQL and MongoDB do
+class RenumberingRepository extends MemoryRepository {
+  keepsId() {
+    return false;
+  }
+}
+
+let primary;
+let secondary;
+let repository;
+
+beforeAll(async () => {
+  await db.connect('memory');
+});
+
+afterAll(async () => {
+  delete db.connections.dynamodb;
+  await db.closeAll();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  db.get('memory').clear();
+});
+
+// Background shadow reads have finished
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('with a secondary that keeps ids', () => {
+  beforeEach(() => {
+    new FakeDynamo().install();
+    primary = new MemoryRepository(definition, 'memory');
+    secondary = new DynamoRepository(definition, 'dynamodb');
+    repository = new DualWriteRepository(definition, { primary, secondary });
+  });
+
+  test('writes, updates and deletes on both stores under one id', async () => {
+    const created = await repository.save({ email: 'a@example.com', name: 'A' });
+    expect(await secondary.findById(created.id)).toMatchObject({ id: created.id, email: 'a@example.com', name: 'A' });
+
+    await repository.save({ id: created.id, name: 'B' });
+    expect((await secondary.findById(created.id)).name).toBe('B');
+
+    await repository.increment(created.id, 'hits', 2);
+    expect((await secondary.findById(created.id)).hits).toBe(2);
+
+    await repository.delete(created.id);
+    expect(await secondary.findById(created.id)).toBeNull();
+  });
+
+  test('fails on the primary\'s errors without touching the secondary', async () => {
+    const created = await repository.save({ email: 'a@example.com', name: 'A' });
+    const other = await repository.save({ email: 'b@example.com', name: 'B' });
+
+    await expect(repository.save({ id: other.id, email: 'a@example.com' })).rejects.toThrow(DuplicateKeyError);
+    await expect(repository.save({ id: created.id, name: 'Stale' }, { expectedVersion: 0 })).rejects.toThrow(VersionConflictError);
+
+    expect((await secondary.findById(other.id)).email).toBe('b@example.com');
+    expect((await secondary.findById(created.id)).name).toBe('A');
+  });
+
+  test('only logs a failed secondary write and copies the record whole on its next write', async () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const insertMany = jest.spyOn(secondary, 'insertMany').mockRejectedValueOnce(new Error('secondary down'));
+
+    const created = await repository.save({ email: 'a@example.com', name: 'A' });
+    expect(await primary.findById(created.id)).not.toBeNull();
+    expect(await secondary.findById(created.id)).toBeNull();
+    expect(error).toHaveBeenCalledWith(`Secondary save of widgets ${created.id} failed:`, expect.any(Error));
+
+    insertMany.mockRestore();
+    await repository.save({ id: created.id, name: 'B' });
+    expect(await secondary.findById(created.id)).toMatchObject({ email: 'a@example.com', name: 'B' });
+  });
+
+  test('mirrors the records a batch inserted', async () => {
+    await repository.save({ email: 'taken@example.com' });
+    const results = await repository.insertMany([{ email: 'one@example.com' }, { email: 'taken@example.com' }, { email: 'two@example.com' }]);
+
+    expect(results.map(result => result?.field ?? null)).toEqual([null, 'email', null]);
+    expect((await secondary.find({})).map(record => record.email).sort()).toEqual(['one@example.com', 'taken@example.com', 'two@example.com']);
+  });
+
+  test('serves reads from the primary', async () => {
+    const created = await repository.save({ email: 'a@example.com' });
+    await secondary.delete(created.id);
+
+    expect(await repository.findById(created.id)).not.toBeNull();
+    expect(await repository.count()).toBe(1);
+  });
+});
+
+describe('with a secondary that renumbers', () => {
+  beforeEach(() => {
+    primary = new MemoryRepository(definition, 'memory');
+    secondary = new RenumberingRepository({ ...definition, name: 'widgets_secondary' }, 'memory');
+    repository = new DualWriteRepository(definition, { primary, secondary });
+  });
+
+  test('finds the copy by its unique field', async () => {
+    const created = await repository.save({ email: 'a@example.com', name: 'A' });
+    const copy = await secondary.findOne({ email: 'a@example.com' });
+
+    await repository.save({ id: created.id, email: 'b@example.com' });
+    expect(await secondary.findById(copy.id)).toMatchObject({ email: 'b@example.com', name: 'A' });
+
+    await repository.delete(created.id);
+    expect(await secondary.findById(copy.id)).toBeNull();
+  });
+});
+
+describe('in a transaction', () => {
+  beforeEach(() => {
+    new FakeDynamo().install();
+    primary = new MemoryRepository(definition, 'memory');
+    secondary = new DynamoRepository(definition, 'dynamodb');
+    repository = new DualWriteRepository(definition, { primary, secondary });
+  });
+
+  test('mirrors writes once the transaction commits', async () => {
+    let id;
+    await db.withTransaction(async (transaction) => {
+      id = (await repository.save({ email: 'a@example.com' }, { transaction })).id;
+      expect(await secondary.findById(id)).toBeNull();
+    }, { type: 'memory' });
+
+    expect(await secondary.findById(id)).not.toBeNull();
+  });
+
+  test('mirrors nothing when it rolls back', async () => {
+    await expect(db.withTransaction(async (transaction) => {
+      await repository.save({ email: 'a@example.com' }, { transaction });
+      throw new Error('abort');
+    }, { type: 'memory' })).rejects.toThrow('abort');
+
+    expect(await secondary.find({})).toEqual([]);
+  });
+});
+
+describe('shadow reads', () => {
+  beforeEach(() => {
+    new FakeDynamo().install();
+    primary = new MemoryRepository(definition, 'memory');
+    secondary = new DynamoRepository(definition, 'dynamodb');
+    repository = new DualWriteRepository(definition, { primary, secondary, shadowReads: true });
+  });
+
+  test('log where the secondary differs', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const created = await repository.save({ email: 'a@example.com', name: 'A' });
+
+    await repository.findById(created.id);
+    await repository.count();
+    await settle();
+    expect(warn).not.toHaveBeenCalled();
+
+    await secondary.save({ id: created.id, name: 'Drifted' });
+    await repository.findById(created.id);
+    await settle();
+    expect(warn).toHaveBeenCalledWith('Shadow read mismatch in widgets.findById', expect.objectContaining({ id: created.id }));
+  });
+});
@@ -0,0 +1,235 @@
+import { jest } from '@jest/globals';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import DynamoRepository from '../src/repositories/DynamoRepository.js';
+import config from '../src/config/index.js';
+import db from '../src/utils/database.js';
+import logger from '../src/utils/logger.js';
+import { DuplicateKeyError, VersionConflictError } from '../src/utils/errors.js';
+import { FakeDynamo } from '../tests/fakeDynamo.js';
+
+const definition = {
+  name: 'widgets',
+  unique: ['email'],
+  versioned: true,
+  dynamodb: {
+    indexes: { email: 'EmailIndex' }
+  }
+};
+
+let dynamo;
+let repository;
+
+beforeEach(() => {
+  dynamo = new FakeDynamo().install();
+  repository = new DynamoRepository(definition, 'dynamodb');
+});
+
+afterAll(() => {
+  delete db.connections.dynamodb;
+});
+
+const sentinels = () => dynamo.items(repository.tableName).filter(item => item.id.startsWith('#unique#'));
+
+describe('unique fields', () => {
+  test('are claimed in the same write as the item', async () => {
+    const widget = await repository.save({ email: 'a@example.com', name: 'A' });
+
+    expect(sentinels()).toEqual([{ id: '#unique#email#a@example.com', ownerId: widget.id }]);
+    expect(dynamo.sent.map(command => command.name)).toEqual(['TransactWrite']);
+  });
+
+  test('a taken value fails the write, even when both writes race', async () => {
+    const results = await Promise.allSettled([
+      repository.save({ email: 'a@example.com', name: 'A' }),
+      repository.save({ email: 'a@example.com', name: 'B' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(DuplicateKeyError);
+    expect(await repository.find({})).toHaveLength(1);
+  });
+
+  test('move with the value', async () => {
+    const widget = await repository.save({ email: 'a@example.com', name: 'A' });
+    await repository.save({ id: widget.id, email: 'b@example.com' });
+
+    expect(sentinels().map(item => item.id)).toEqual(['#unique#email#b@example.com']);
+    await expect(repository.save({ email: 'a@example.com', name: 'Reused' })).resolves.toBeTruthy();
+    await expect(repository.save({ id: widget.id, email: 'a@example.com' })).rejects.toBeInstanceOf(DuplicateKeyError);
+    expect((await repository.findById(widget.id)).email).toBe('b@example.com');
+  });
+
+  test('are freed when the item is deleted', async () => {
+    const widget = await repository.save({ email: 'a@example.com', name: 'A' });
+
+    expect(await repository.delete(widget.id)).toBe(true);
+    expect(sentinels()).toEqual([]);
+    expect(await repository.delete(widget.id)).toBe(false);
+    await expect(repository.save({ email: 'a@example.com', name: 'Again' })).resolves.toBeTruthy();
+  });
+
+  test('sentinels stay out of reads', async () => {
+    await repository.save({ email: 'a@example.com', name: 'A' });
+    await repository.save({ email: 'b@example.com', name: 'B' });
+
+    expect((await repository.find({})).map(widget => widget.email).sort()).toEqual(['a@example.com', 'b@example.com']);
+    expect(await repository.count({})).toBe(2);
+    expect(await repository.findById('#unique#email#a@example.com')).toBeNull();
+    const page = await repository.listPage({ limit: 5 });
+    expect(page.records).toHaveLength(2);
+  });
+});
+
+describe('save', () => {
+  test('updates only the given fields, on condition that the item exists', async () => {
+    const widget = await repository.save({ email: 'a@example.com', name: 'A', colour: 'red' });
+    // Someone else changes another field meanwhile
+    dynamo.table(repository.tableName).get(widget.id).colour = 'blue';
+    dynamo.sent = [];
+
+    const updated = await repository.save({ id: widget.id, name: 'Renamed' });
+
+    expect(dynamo.sent.map(command => command.name)).toEqual(['Update']);
+    const { input } = dynamo.sent[0];
+    expect(Object.values(input.ExpressionAttributeNames)).toEqual(expect.arrayContaining(['name', 'updatedAt', 'version']));
+    expect(Object.values(input.ExpressionAttributeNames)).not.toContain('colour');
+    expect(input.ConditionExpression).toContain('attribute_exists(#id)');
+    expect(updated).toMatchObject({ name: 'Renamed', colour: 'blue', version: 2 });
+  });
+
+  test('returns null for an unknown id without creating it', async () => {
+    expect(await repository.save({ id: 'missing', name: 'X' })).toBeNull();
+    expect(dynamo.items(repository.tableName)).toEqual([]);
+  });
+
+  test('checks expectedVersion in the write', async () => {
+    const widget = await repository.save({ email: 'a@example.com', name: 'A' });
+
+    await repository.save({ id: widget.id, name: 'B' }, { expectedVersion: 1 });
+    await expect(repository.save({ id: widget.id, name: 'C' }, { expectedVersion: 1 })).rejects.toBeInstanceOf(VersionConflictError);
+    expect((await repository.findById(widget.id)).name).toBe('B');
+  });
+});
+
+describe('insertMany', () => {
+  test('reports each record that collides and writes the rest', async () => {
+    await repository.save({ email: 'taken@example.com', name: 'Taken' });
+
+    const results = await repository.insertMany([
+      { email: 'new@example.com', name: 'New' },
+      { email: 'taken@example.com', name: 'Stored' },
+      { email: 'new@example.com', name: 'Twice' },
+      { email: 'other@example.com', name: 'Other' }
+    ]);
+
+    expect(results.map(result => result && result.constructor)).toEqual([null, DuplicateKeyError, DuplicateKeyError, null]);
+    expect((await repository.find({})).map(widget => widget.name).sort()).toEqual(['New', 'Other', 'Taken']);
+  });
+
+  test('refuses copies whose id is taken', async () => {
+    const widget = await repository.save({ email: 'a@example.com', name: 'A' });
+
+    const [result] = await repository.insertMany([{ id: widget.id, email: 'b@example.com', name: 'Copy' }], { copy: true });
+    expect(result).toBeInstanceOf(DuplicateKeyError);
+    expect((await repository.findById(widget.id)).name).toBe('A');
+  });
+});
+
+describe('transactions', () => {
+  test('writes to one item are merged into one update', async () => {
+    const widget = await repository.save({ email: 'a@example.com', name: 'A' });
+    dynamo.sent = [];
+
+    const result = await db.withTransaction(async (transaction) => {
+      await repository.save({ id: widget.id, name: 'B' }, { transaction });
+      await repository.save({ id: widget.id, colour: 'red' }, { transaction });
+      return repository.findById(widget.id, { transaction });
+    }, { type: 'dynamodb' });
+
+    expect(result).toMatchObject({ name: 'B', colour: 'red', version: 2 });
+    const writes = dynamo.sent.filter(command => command.name === 'TransactWrite');
+    expect(writes).toHaveLength(1);
+    expect(writes[0].input.TransactItems).toHaveLength(1);
+    expect(await repository.findById(widget.id)).toMatchObject({ name: 'B', colour: 'red', version: 2 });
+  });
+
+  test('a taken value cancels the transaction with a DuplicateKeyError', async () => {
+    await repository.save({ email: 'taken@example.com', name: 'Taken' });
+    const widget = await repository.save({ email: 'a@example.com', name: 'A' });
+
+    await expect(db.withTransaction(async (transaction) => {
+      await repository.save({ id: widget.id, name: 'B' }, { transaction });
+      // Claimed by another writer after this transaction read
+      await repository.save({ id: widget.id, email: 'free@example.com' }, { transaction });
+      dynamo.table(repository.tableName).set('#unique#email#free@example.com', { id: '#unique#email#free@example.com', ownerId: 'other' });
+    }, { type: 'dynamodb' })).rejects.toBeInstanceOf(DuplicateKeyError);
+
+    expect(await repository.findById(widget.id)).toMatchObject({ name: 'A', email: 'a@example.com' });
+  });
+});
+
+describe('listPage', () => {
+  test('pages through every item once in scan order', async () => {
+    for (let i = 0; i < 5; i++) {
+      await repository.save({ email: `${i}@example.com` });
+    }
+
+    const seen = [];
+    let after = null;
+    do {
+      const { records, next } = await repository.listPage({ limit: 2, after });
+      expect(records.length).toBeLessThanOrEqual(2);
+      seen.push(...records.map(record => record.email));
+      after = next;
+    } while (after);
+
+    expect(seen.sort()).toEqual(['0@example.com', '1@example.com', '2@example.com', '3@example.com', '4@example.com']);
+  });
+
+  test('rejects a sort it cannot follow', async () => {
+    await expect(repository.listPage({ sortBy: 'createdAt' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(repository.listPage({ sort: 'asc' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(repository.sortsPages()).toBe(false);
+  });
+});
+
+describe('connecting', () => {
+  const { connectRetry } = config.database;
+
+  beforeEach(() => {
+    delete db.connections.dynamodb;
+    config.database.connectRetry = { attempts: 2, delayMs: 1, maxDelayMs: 1 };
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    config.database.connectRetry = connectRetry;
+    jest.restoreAllMocks();
+    db.connections.dynamodb?.destroy();
+  });
+
+  const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+  test('reaches DynamoDB and retries when it cannot', async () => {
+    const send = jest.spyOn(DynamoDBClient.prototype, 'send')
+      .mockRejectedValueOnce(refused())
+      .mockResolvedValueOnce({ TableNames: [] });
+    const destroy = jest.spyOn(DynamoDBClient.prototype, 'destroy');
+
+    await db.connect('dynamodb');
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[0][0].constructor.name).toBe('ListTablesCommand');
+    expect(destroy).toHaveBeenCalledTimes(1);
+    expect(db.connections.dynamodb).toBeDefined();
+  });
+
+  test('fails once every attempt has failed', async () => {
+    jest.spyOn(DynamoDBClient.prototype, 'send').mockRejectedValue(refused());
+
+    await expect(db.connect('dynamodb')).rejects.toThrow('ECONNREFUSED');
+    expect(db.connections.dynamodb).toBeUndefined();
+  });
+});
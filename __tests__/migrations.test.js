@@ -0,0 +1,137 @@
+import config from '../src/config/index.js';
+import db from '../src/utils/database.js';
+import SchemaMigration from '../src/models/SchemaMigration.js';
+import { checkMigrations, configuredStores, migrateDown, migrateUp, migrationStatus } from '../src/services/migrations.js';
+import * as initialSchema from '../src/migrations/001-initial-schema.js';
+import * as userRoleReadOwn from '../src/migrations/007-user-role-read-own.js';
+import { FakeDynamo } from '../tests/fakeDynamo.js';
+
+afterAll(async () => {
+  await db.closeAll();
+});
+
+const pending = async (options) => (await migrationStatus(options)).filter(({ appliedAt }) => !appliedAt).map(({ name }) => name);
+
+describe('the migration runner', () => {
+  test('applies, reports and rolls back migrations in order', async () => {
+    const applied = await migrateUp({ to: '002-users-current-columns' });
+    expect(applied).toEqual(['001-initial-schema', '002-users-current-columns']);
+
+    const rest = await migrateUp();
+    expect(rest[0]).toBe('003-refresh-token-version');
+    expect(await pending()).toEqual([]);
+
+    const last = rest[rest.length - 1];
+    expect(await migrateDown()).toEqual([last]);
+    expect(await pending()).toEqual([last]);
+
+    expect(await migrateUp()).toEqual([last]);
+  });
+
+  test('refuses an unknown target', async () => {
+    await expect(migrateUp({ to: '999-nothing' })).rejects.toThrow('Unknown migration');
+  });
+});
+
+describe('checkMigrations', () => {
+  let dynamo;
+
+  beforeAll(() => {
+    dynamo = new FakeDynamo().install();
+    config.database.dualWrite.store = 'dynamodb';
+  });
+
+  afterAll(() => {
+    config.database.dualWrite.store = undefined;
+    delete db.connections.dynamodb;
+  });
+
+  test('covers the dual-write store', () => {
+    expect(configuredStores()).toEqual(['memory', 'dynamodb']);
+  });
+
+  test('refuses to start while the dual-write store has pending migrations', async () => {
+    await expect(checkMigrations()).rejects.toThrow(/^Pending migrations on dynamodb: 001-initial-schema/);
+  });
+
+  test('passes once every store is up to date', async () => {
+    for (const name of await pending({ store: 'dynamodb', createState: false })) {
+      await SchemaMigration.record(name, { store: 'dynamodb' });
+    }
+
+    await expect(checkMigrations()).resolves.toBeUndefined();
+    expect(dynamo.items(`${config.dynamodb.tablePrefix}schema_migrations`).length).toBeGreaterThan(0);
+  });
+});
+
+describe('001 on MongoDB', () => {
+  // The parts of a MongoDB Db the migration uses
+  const fakeContext = (existing) => {
+    const calls = [];
+    const database = {
+      listCollections: () => ({ toArray: async () => existing.map(name => ({ name })) }),
+      createCollection: async (name) => calls.push(['create', name]),
+      collection: (name) => ({
+        createIndex: async (keys, options) => calls.push(['index', name, keys, options]),
+        drop: async () => {
+          calls.push(['drop', name]);
+          if (!existing.includes(name)) {
+            throw Object.assign(new Error('ns not found'), { codeName: 'NamespaceNotFound' });
+          }
+        }
+      })
+    };
+    return { context: { connection: { connection: { db: database } } }, calls };
+  };
+
+  test('creates the missing collections and every index', async () => {
+    const { context, calls } = fakeContext(['users']);
+    await initialSchema.mongodb.up(context);
+
+    const created = calls.filter(([call]) => call === 'create').map(([, name]) => name);
+    expect(created).not.toContain('users');
+    expect(created).toContain('auditlogs');
+    expect(calls).toContainEqual(['index', 'users', { email: 1 }, { unique: true }]);
+    expect(calls).toContainEqual(['index', 'revokedtokens', { expiresAt: 1 }, { expireAfterSeconds: 0 }]);
+  });
+
+  test('drops the collections, missing ones included', async () => {
+    const { context, calls } = fakeContext(['users']);
+    await initialSchema.mongodb.down(context);
+
+    expect(calls.filter(([call]) => call === 'drop').map(([, name]) => name)).toContain('users');
+  });
+});
+
+describe('007 on MongoDB', () => {
+  // A roles collection holding `roles`
+  const fakeContext = (roles) => ({
+    connection: {
+      connection: {
+        db: {
+          collection: () => ({
+            findOne: async (query) => roles.find(role => role.name === query.name && role.builtIn === query.builtIn) ?? null,
+            updateOne: async ({ _id }, { $set }) => Object.assign(roles.find(role => role._id === _id), $set)
+          })
+        }
+      }
+    }
+  });
+
+  test('lets the built-in user role read only its own user, and back', async () => {
+    const roles = [{ _id: 1, name: 'user', builtIn: true, permissions: ['users:read', 'users:update:own'] }];
+    const context = fakeContext(roles);
+
+    await userRoleReadOwn.mongodb.up(context);
+    expect(roles[0].permissions).toEqual(['users:read:own', 'users:update:own']);
+
+    await userRoleReadOwn.mongodb.down(context);
+    expect(roles[0].permissions).toEqual(['users:read', 'users:update:own']);
+  });
+
+  test('leaves roles created by hand alone', async () => {
+    const roles = [{ _id: 1, name: 'user', builtIn: false, permissions: ['users:read'] }];
+    await userRoleReadOwn.mongodb.up(fakeContext(roles));
+    expect(roles[0].permissions).toEqual(['users:read']);
+  });
+});
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import { app, api, useDatabase, createUser } from '../tests/helpers.js';
+import { MockOidcProvider } from '../tests/mockOidcProvider.js';
+import config from '../src/config/index.js';
+import LinkedIdentity from '../src/models/LinkedIdentity.js';
+
+useDatabase();
+
+const REDIRECT_URI = 'http://localhost:3000/api/v1/auth/oidc/mock/callback';
+
+const provider = new MockOidcProvider();
+
+beforeAll(async () => {
+  await provider.start();
+  config.oidc.providers.mock = provider.config(REDIRECT_URI);
+});
+
+afterAll(async () => {
+  delete config.oidc.providers.mock;
+  await provider.stop();
+});
+
+beforeEach(() => {
+  provider.claims = { sub: crypto.randomUUID(), email: `${crypto.randomUUID()}@example.com`, name: 'Oidc User' };
+  provider.tamper = () => ({});
+});
+
+// Start a login: the provider URL the user is sent to and the state cookie
+const begin = async () => {
+  const res = await request(app).get(api('/auth/oidc/mock'));
+  expect(res.status).toBe(302);
+  return {
+    url: res.headers.location,
+    cookie: res.headers['set-cookie'].find(cookie => cookie.startsWith('oidc_state=')).split(';')[0]
+  };
+};
+
+const stateOf = (url) => new URL(url).searchParams.get('state');
+
+const callback = (query, cookie) => {
+  const req = request(app).get(api('/auth/oidc/mock/callback')).query(query);
+  return cookie ? req.set('Cookie', cookie) : req;
+};
+
+// The whole round trip, with the user consenting at the provider
+const loginWithProvider = async () => {
+  const { url, cookie } = await begin();
+  return callback({ code: provider.authorize(url), state: stateOf(url) }, cookie);
+};
+
+describe('OIDC login', () => {
+  test('lists the configured providers', async () => {
+    const res = await request(app).get(api('/auth/oidc'));
+    expect(res.body.data).toContain('mock');
+  });
+
+  test('redirects to the provider with state, nonce and an S256 challenge', async () => {
+    const { url, cookie } = await begin();
+    const params = new URL(url).searchParams;
+
+    expect(url.startsWith(`${provider.issuer}/authorize?`)).toBe(true);
+    expect(params.get('client_id')).toBe(provider.clientId);
+    expect(params.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(params.get('state')).toEqual(expect.any(String));
+    expect(params.get('nonce')).toEqual(expect.any(String));
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(cookie).toMatch(/^oidc_state=.+/);
+  });
+
+  test('creates and links a user on the first login and finds them after', async () => {
+    const first = await loginWithProvider();
+    expect(first.status).toBe(201);
+    expect(first.body.data.token).toEqual(expect.any(String));
+    expect(first.body.data.user.email).toBe(provider.claims.email);
+
+    const token = provider.tokenRequests[provider.tokenRequests.length - 1];
+    expect(token.headers.authorization).toMatch(/^Basic /);
+    expect(token.params.get('code_verifier')).toEqual(expect.any(String));
+
+    const second = await loginWithProvider();
+    expect(second.status).toBe(200);
+    expect(second.body.data.user.email).toBe(provider.claims.email);
+    expect(await LinkedIdentity.repository.find({ subject: provider.claims.sub })).toHaveLength(1);
+  });
+
+  test('links an existing account with the same verified email', async () => {
+    const user = await createUser({ email: provider.claims.email });
+
+    const res = await loginWithProvider();
+    expect(res.status).toBe(200);
+    expect((await LinkedIdentity.find('mock', provider.claims.sub)).userId).toBe(user.id);
+  });
+
+  test('refuses an email the provider has not verified', async () => {
+    provider.claims.email_verified = false;
+    expect((await loginWithProvider()).status).toBe(403);
+  });
+
+  test('refuses a callback without the state cookie', async () => {
+    const { url } = await begin();
+    const res = await callback({ code: provider.authorize(url), state: stateOf(url) });
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid or expired login state');
+  });
+
+  test('refuses a state that does not match the cookie', async () => {
+    const { url, cookie } = await begin();
+    const other = await begin();
+    const res = await callback({ code: provider.authorize(url), state: stateOf(other.url) }, cookie);
+    expect(res.status).toBe(401);
+  });
+
+  test('a code issued to another login fails the PKCE check', async () => {
+    const { url, cookie } = await begin();
+    const other = await begin();
+
+    const res = await callback({ code: provider.authorize(other.url), state: stateOf(url) }, cookie);
+    expect(res.status).toBe(502);
+  });
+
+  test('a code is only exchanged once', async () => {
+    const { url, cookie } = await begin();
+    const code = provider.authorize(url);
+
+    expect((await callback({ code, state: stateOf(url) }, cookie)).status).toBe(201);
+    expect((await callback({ code, state: stateOf(url) }, cookie)).status).toBe(502);
+  });
+
+  test('refuses an ID token for another nonce', async () => {
+    provider.tamper = () => ({ nonce: 'replayed' });
+    const res = await loginWithProvider();
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid ID token');
+  });
+
+  test('refuses an ID token for another client', async () => {
+    provider.tamper = () => ({ aud: 'someone-else' });
+    expect((await loginWithProvider()).status).toBe(401);
+  });
+
+  test('refuses an expired ID token', async () => {
+    provider.tamper = () => ({ exp: Math.floor(Date.now() / 1000) - 60 });
+    expect((await loginWithProvider()).status).toBe(401);
+  });
+
+  test('reports a login the user denied at the provider', async () => {
+    const { url, cookie } = await begin();
+    const res = await callback({ error: 'access_denied', state: stateOf(url) }, cookie);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toContain('access_denied');
+  });
+
+  test('does not know unconfigured providers', async () => {
+    expect((await request(app).get(api('/auth/oidc/nobody'))).status).toBe(404);
+  });
+});
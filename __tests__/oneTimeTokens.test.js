@@ -0,0 +1,84 @@
+import request from 'supertest';
+import { app, api, useDatabase, createUser, sentEmails, tokenFromMail } from '../tests/helpers.js';
+import OneTimeToken from '../src/models/OneTimeToken.js';
+import { issueToken, consumeToken } from '../src/services/oneTimeTokens.js';
+import { VersionConflictError } from '../src/utils/errors.js';
+
+useDatabase();
+
+let userId;
+
+beforeAll(async () => {
+  userId = (await createUser({ email: 'tokens@example.com' })).id;
+});
+
+describe('one-time tokens', () => {
+  test('redeem once for their owner', async () => {
+    const token = await issueToken(userId, 'test', '1h');
+
+    expect(await consumeToken('test', token)).toBe(String(userId));
+    expect(await consumeToken('test', token)).toBeNull();
+  });
+
+  test('only for their purpose', async () => {
+    const token = await issueToken(userId, 'test', '1h');
+
+    expect(await consumeToken('other', token)).toBeNull();
+    expect(await consumeToken('test', token)).toBe(String(userId));
+  });
+
+  test('a new token replaces the earlier ones', async () => {
+    const first = await issueToken(userId, 'test', '1h');
+    const second = await issueToken(userId, 'test', '1h');
+
+    expect(await consumeToken('test', first)).toBeNull();
+    expect(await consumeToken('test', second)).toBe(String(userId));
+  });
+
+  test('expire', async () => {
+    const token = await issueToken(userId, 'test', '1ms');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await consumeToken('test', token)).toBeNull();
+  });
+
+  test('unknown tokens are refused', async () => {
+    expect(await consumeToken('test', 'made-up')).toBeNull();
+  });
+
+  test('of concurrent redemptions one succeeds', async () => {
+    const token = await issueToken(userId, 'test', '1h');
+
+    const results = await Promise.all([consumeToken('test', token), consumeToken('test', token)]);
+    expect(results.filter(Boolean)).toEqual([String(userId)]);
+  });
+
+  test('markUsed refuses a stale record', async () => {
+    await issueToken(userId, 'stale', '1h');
+    const tokens = await OneTimeToken.repository.find({ userId: String(userId) });
+    const record = tokens.find(token => token.purpose === 'stale' && !token.usedAt);
+
+    await OneTimeToken.markUsed(record);
+    await expect(OneTimeToken.markUsed(record)).rejects.toBeInstanceOf(VersionConflictError);
+  });
+});
+
+describe('POST /auth/forgot-password', () => {
+  test('answers before the mail is sent, the same way for unknown addresses', async () => {
+    const before = sentEmails.length;
+    const known = await request(app).post(api('/auth/forgot-password')).send({ email: 'tokens@example.com' });
+    const unknown = await request(app).post(api('/auth/forgot-password')).send({ email: 'unknown@example.com' });
+
+    expect(known.body).toEqual(unknown.body);
+    expect(await tokenFromMail('tokens@example.com')).toBeTruthy();
+    expect(sentEmails.slice(before).map(mail => mail.to)).toEqual(['tokens@example.com']);
+  });
+
+  test('a reset token works once, even when sent twice at once', async () => {
+    const token = await tokenFromMail('tokens@example.com');
+    const reset = () => request(app).post(api('/auth/reset-password')).send({ token, password: 'Reset123!' });
+
+    const statuses = (await Promise.all([reset(), reset()])).map(res => res.status).sort();
+    expect(statuses).toEqual([200, 400]);
+  });
+});
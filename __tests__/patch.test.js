@@ -0,0 +1,68 @@
+import { applyMergePatch, applyJsonPatch } from '../src/utils/patch.js';
+
+const status = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.statusCode;
+  }
+  return null;
+};
+
+describe('applyMergePatch', () => {
+  test('merges objects and removes null members', () => {
+    const target = { name: 'A', address: { city: 'X', zip: '1' } };
+    const result = applyMergePatch(target, { address: { zip: null, street: 'Y' }, role: 'admin' });
+
+    expect(result).toEqual({ name: 'A', address: { city: 'X', street: 'Y' }, role: 'admin' });
+    expect(target.address.zip).toBe('1');
+  });
+
+  test('refuses prototype members', () => {
+    expect(status(() => applyMergePatch({}, JSON.parse('{"__proto__": {"polluted": true}}')))).toBe(400);
+    expect(status(() => applyMergePatch({}, { constructor: { prototype: { polluted: true } } }))).toBe(400);
+    expect({}.polluted).toBeUndefined();
+  });
+});
+
+describe('applyJsonPatch', () => {
+  const target = { name: 'A', tags: ['x', 'y'], nested: { a: 1 } };
+
+  test('applies the operations in order to a copy', () => {
+    const result = applyJsonPatch(target, [
+      { op: 'add', path: '/tags/-', value: 'z' },
+      { op: 'remove', path: '/tags/0' },
+      { op: 'replace', path: '/name', value: 'B' },
+      { op: 'move', from: '/nested/a', path: '/moved' },
+      { op: 'copy', from: '/tags', path: '/copied' },
+      { op: 'add', path: '/a~1b', value: 1 }
+    ]);
+
+    expect(result).toEqual({ name: 'B', tags: ['y', 'z'], nested: {}, moved: 1, copied: ['y', 'z'], 'a/b': 1 });
+    expect(target).toEqual({ name: 'A', tags: ['x', 'y'], nested: { a: 1 } });
+  });
+
+  test('a failed test is a conflict and nothing applies', () => {
+    expect(status(() => applyJsonPatch(target, [
+      { op: 'replace', path: '/name', value: 'B' },
+      { op: 'test', path: '/name', value: 'A' }
+    ]))).toBe(409);
+    expect(target.name).toBe('A');
+  });
+
+  test('missing paths cannot be applied', () => {
+    expect(status(() => applyJsonPatch(target, [{ op: 'remove', path: '/missing' }]))).toBe(422);
+    expect(status(() => applyJsonPatch(target, [{ op: 'add', path: '/missing/child', value: 1 }]))).toBe(422);
+    expect(status(() => applyJsonPatch(target, [{ op: 'add', path: '/tags/5', value: 1 }]))).toBe(422);
+    expect(status(() => applyJsonPatch(target, [{ op: 'add', path: 'name', value: 1 }]))).toBe(422);
+    expect(status(() => applyJsonPatch(target, [{ op: 'move', from: '/nested', path: '/nested/inner' }]))).toBe(422);
+  });
+
+  test('refuses prototype members and follows own members only', () => {
+    expect(status(() => applyJsonPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: true }]))).toBe(400);
+    expect(status(() => applyJsonPatch({}, [{ op: 'add', path: '/constructor/prototype/polluted', value: true }]))).toBe(400);
+    expect(status(() => applyJsonPatch({}, [{ op: 'add', path: '/toString/polluted', value: true }]))).toBe(422);
+    expect(status(() => applyJsonPatch({}, [{ op: 'test', path: '/hasOwnProperty', value: {} }]))).toBe(422);
+    expect({}.polluted).toBeUndefined();
+  });
+});
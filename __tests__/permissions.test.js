@@ -0,0 +1,123 @@
+import request from 'supertest';
+import { app, api, useDatabase, createUser, login, bearer, encryptId } from '../tests/helpers.js';
+import { can, unknownPermissions } from '../src/services/permissions.js';
+
+useDatabase();
+
+let admin;
+let adminId;
+let member;
+let memberId;
+let otherId;
+
+beforeAll(async () => {
+  adminId = encryptId((await createUser({ email: 'admin@example.com', role: 'admin' })).id);
+  memberId = encryptId((await createUser({ email: 'member@example.com' })).id);
+  otherId = encryptId((await createUser({ email: 'other@example.com' })).id);
+  admin = (await login('admin@example.com')).token;
+  member = (await login('member@example.com')).token;
+});
+
+describe('can', () => {
+  test('matches exact names, namespaces and the wildcard', () => {
+    expect(can(['users:read'], 'users:read')).toBe(true);
+    expect(can(['users:*'], 'users:delete')).toBe(true);
+    expect(can(['*'], 'roles:manage')).toBe(true);
+
+    expect(can(['users:*'], 'roles:read')).toBe(false);
+    expect(can(['users:update:own'], 'users:update')).toBe(false);
+    expect(can([], 'users:read')).toBe(false);
+  });
+
+  test('tells unknown permissions apart', () => {
+    expect(unknownPermissions(['*', 'users:*', 'audit:read', 'users:fly', 'wizards:*'])).toEqual(['users:fly', 'wizards:*']);
+  });
+});
+
+describe('roles', () => {
+  const roles = (token) => request(app).get(api('/roles')).set(bearer(token));
+
+  test('are listed with their permissions to those who may read them', async () => {
+    expect((await roles(member)).status).toBe(403);
+
+    const res = await roles(admin);
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(role => role.name)).toEqual(expect.arrayContaining(['user', 'admin']));
+
+    const permissions = await request(app).get(api('/roles/permissions')).set(bearer(admin));
+    expect(permissions.body.data).toContainEqual({ name: 'audit:read', description: 'Read the audit log' });
+  });
+
+  test('only grant known permissions', async () => {
+    const res = await request(app).post(api('/roles')).set(bearer(admin))
+      .send({ name: 'broken', permissions: ['users:fly'] });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Unknown permissions: users:fly');
+  });
+
+  test('grant their permissions to their users at once', async () => {
+    const created = await request(app).post(api('/roles')).set(bearer(admin))
+      .send({ name: 'auditor', description: 'Reads the audit log', permissions: ['audit:read', 'users:list'] });
+    expect(created.status).toBe(201);
+
+    await createUser({ email: 'auditor@example.com', role: 'auditor' });
+    const auditor = (await login('auditor@example.com')).token;
+
+    expect((await request(app).get(api('/audit')).set(bearer(auditor))).status).toBe(200);
+    expect((await request(app).get(api('/users')).set(bearer(auditor))).status).toBe(200);
+    expect((await request(app).delete(api(`/users/${otherId}`)).set(bearer(auditor))).status).toBe(403);
+
+    const updated = await request(app).put(api('/roles/auditor')).set(bearer(admin)).send({ permissions: ['audit:read'] });
+    expect(updated.status).toBe(200);
+    expect((await request(app).get(api('/users')).set(bearer(auditor))).status).toBe(403);
+  });
+
+  test('cannot be deleted while built in or assigned', async () => {
+    expect((await request(app).delete(api('/roles/user')).set(bearer(admin))).status).toBe(409);
+
+    const assigned = await request(app).delete(api('/roles/auditor')).set(bearer(admin));
+    expect(assigned.status).toBe(409);
+    expect(assigned.body.message).toBe('Role is still assigned to users');
+
+    await request(app).post(api('/roles')).set(bearer(admin)).send({ name: 'unused', permissions: [] });
+    expect((await request(app).delete(api('/roles/unused')).set(bearer(admin))).status).toBe(200);
+    expect((await request(app).get(api('/roles/unused')).set(bearer(admin))).status).toBe(404);
+  });
+});
+
+describe('own permissions', () => {
+  test('let a user read themselves and no one else', async () => {
+    expect((await request(app).get(api(`/users/${memberId}`)).set(bearer(member))).status).toBe(200);
+
+    const other = await request(app).get(api(`/users/${otherId}`)).set(bearer(member));
+    expect(other.status).toBe(403);
+    expect(other.body).not.toHaveProperty('data');
+  });
+
+  test('cover the caller only', async () => {
+    const own = await request(app).put(api(`/users/${memberId}`)).set(bearer(member)).send({ name: 'Mine' });
+    expect(own.status).toBe(200);
+
+    const other = await request(app).put(api(`/users/${otherId}`)).set(bearer(member)).send({ name: 'Yours' });
+    expect(other.status).toBe(403);
+  });
+});
+
+describe('API key scopes', () => {
+  test('limit a key to a part of its owner\'s permissions', async () => {
+    const created = await request(app).post(api(`/users/${adminId}/api-keys`)).set(bearer(admin))
+      .send({ name: 'reader', scopes: ['users:read'] });
+    expect(created.status).toBe(201);
+    const key = { 'X-API-Key': created.body.data.key };
+
+    expect((await request(app).get(api(`/users/${otherId}`)).set(key)).status).toBe(200);
+    expect((await request(app).get(api('/users')).set(key)).status).toBe(403);
+    expect((await request(app).delete(api(`/users/${otherId}`)).set(key)).status).toBe(403);
+  });
+
+  test('cannot name unknown permissions', async () => {
+    const res = await request(app).post(api(`/users/${adminId}/api-keys`)).set(bearer(admin))
+      .send({ name: 'broken', scopes: ['users:fly'] });
+    expect(res.status).toBe(400);
+  });
+});
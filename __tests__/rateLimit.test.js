@@ -0,0 +1,100 @@
+import express from 'express';
+import request from 'supertest';
+import { useDatabase } from '../tests/helpers.js';
+import config from '../src/config/index.js';
+import counterStore from '../src/utils/counterStore.js';
+import RateLimitCounter from '../src/models/RateLimitCounter.js';
+import { createRateLimiter } from '../src/middleware/rateLimit.js';
+
+useDatabase();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// An app with one route behind a limiter on `store`
+const limitedApp = (store, name, options) => {
+  const previous = config.rateLimit.store;
+  config.rateLimit.store = store;
+  const limiter = createRateLimiter(name, options);
+  config.rateLimit.store = previous;
+
+  return express().get('/', limiter, (req, res) => res.json({ success: true }));
+};
+
+describe('RateLimitCounter', () => {
+  test('counts hits of a window in one counter', async () => {
+    await RateLimitCounter.hit('count', 60000);
+    const counter = await RateLimitCounter.hit('count', 60000);
+
+    expect(counter.hits).toBe(2);
+    expect(await RateLimitCounter.repository.find({ key: 'count' })).toHaveLength(1);
+  });
+
+  test('concurrent first hits share one counter', async () => {
+    await Promise.all([1, 2, 3].map(() => RateLimitCounter.hit('race', 60000)));
+    expect((await RateLimitCounter.get('race')).hits).toBe(3);
+  });
+
+  test('decrements and resets', async () => {
+    await RateLimitCounter.hit('undo', 60000);
+    await RateLimitCounter.hit('undo', 60000);
+
+    await RateLimitCounter.decrement('undo');
+    expect((await RateLimitCounter.get('undo')).hits).toBe(1);
+
+    await RateLimitCounter.reset('undo');
+    expect(await RateLimitCounter.get('undo')).toBeNull();
+  });
+
+  test('purging removes only counters whose window has ended', async () => {
+    await RateLimitCounter.hit('ended', 10);
+    await RateLimitCounter.hit('open', 60000);
+    await wait(20);
+
+    expect(await RateLimitCounter.get('ended')).toBeNull();
+    expect(await RateLimitCounter.purgeExpired()).toBe(1);
+    expect(await RateLimitCounter.repository.find({ key: 'ended' })).toHaveLength(0);
+    expect(await RateLimitCounter.get('open')).not.toBeNull();
+  });
+});
+
+describe.each(['cluster', 'database'])('the %s store', (store) => {
+  test('limits requests within a window', async () => {
+    const app = limitedApp(store, `limit-${store}`, { windowMs: 60000, max: 2 });
+
+    expect((await request(app).get('/')).status).toBe(200);
+    const second = await request(app).get('/');
+    expect(second.status).toBe(200);
+    expect(second.headers['ratelimit-remaining']).toBe('0');
+
+    const third = await request(app).get('/');
+    expect(third.status).toBe(429);
+    expect(third.body.success).toBe(false);
+  });
+
+  test('starts a new window once the old one ends', async () => {
+    const app = limitedApp(store, `window-${store}`, { windowMs: 500, max: 1 });
+
+    expect((await request(app).get('/')).status).toBe(200);
+    expect((await request(app).get('/')).status).toBe(429);
+    await wait(600);
+    expect((await request(app).get('/')).status).toBe(200);
+  });
+});
+
+describe('counter store', () => {
+  test('keeps values until their time to live ends', async () => {
+    await counterStore.set('value', 'kept', 200);
+    expect(await counterStore.get('value')).toBe('kept');
+
+    await wait(250);
+    expect(await counterStore.get('value')).toBeNull();
+  });
+
+  test('never counts below zero', async () => {
+    await counterStore.increment('floor', 60000);
+    await counterStore.decrement('floor');
+    await counterStore.decrement('floor');
+
+    expect(await counterStore.get('floor')).toBe(0);
+  });
+});
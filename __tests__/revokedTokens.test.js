@@ -0,0 +1,63 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { app, api, useDatabase, createUser, login, bearer } from '../tests/helpers.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+
+useDatabase();
+
+beforeAll(async () => {
+  await createUser({ email: 'denylist@example.com' });
+});
+
+const me = (token) => request(app).get(api('/auth/sessions')).set(bearer(token));
+
+describe('access token denylist', () => {
+  test('logout rejects that token and no other', async () => {
+    const first = await login('denylist@example.com');
+    const second = await login('denylist@example.com');
+
+    expect((await request(app).post(api('/auth/logout')).set(bearer(first.token))).status).toBe(200);
+
+    expect((await me(first.token)).status).toBe(401);
+    expect((await me(second.token)).status).toBe(200);
+    expect(await RevokedToken.isRevoked(jwt.decode(first.token).jti)).toBe(true);
+  });
+
+  test('tokens carry distinct ids', async () => {
+    const first = await login('denylist@example.com');
+    const second = await login('denylist@example.com');
+    expect(jwt.decode(first.token).jti).not.toBe(jwt.decode(second.token).jti);
+  });
+
+  test('revoking a token twice keeps one entry', async () => {
+    const expiresAt = new Date(Date.now() + 60000);
+    await RevokedToken.revoke('twice', 'user', expiresAt);
+    await RevokedToken.revoke('twice', 'user', expiresAt);
+
+    expect(await RevokedToken.repository.find({ jti: 'twice' })).toHaveLength(1);
+  });
+
+  test('two logouts of one token at once both succeed and keep one entry', async () => {
+    const { token } = await login('denylist@example.com');
+    const { jti, id, exp } = jwt.decode(token);
+    const expiresAt = new Date(exp * 1000);
+
+    // As two requests that passed the denylist check before either wrote
+    await expect(Promise.all([
+      RevokedToken.revoke(jti, id, expiresAt),
+      RevokedToken.revoke(jti, id, expiresAt)
+    ])).resolves.toBeDefined();
+
+    expect(await RevokedToken.repository.find({ jti })).toHaveLength(1);
+    expect((await me(token)).status).toBe(401);
+  });
+
+  test('purging removes only entries whose tokens have expired', async () => {
+    await RevokedToken.revoke('expired', 'user', new Date(Date.now() - 1000));
+    await RevokedToken.revoke('current', 'user', new Date(Date.now() + 60000));
+
+    expect(await RevokedToken.purgeExpired()).toBe(1);
+    expect(await RevokedToken.isRevoked('expired')).toBe(false);
+    expect(await RevokedToken.isRevoked('current')).toBe(true);
+  });
+});
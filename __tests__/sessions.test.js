@@ -0,0 +1,113 @@
+import request from 'supertest';
+import { app, api, useDatabase, createUser, login, bearer } from '../tests/helpers.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import { createSession } from '../src/services/sessions.js';
+import { VersionConflictError } from '../src/utils/errors.js';
+
+useDatabase();
+
+const refresh = (refreshToken) => request(app).post(api('/auth/refresh')).send({ refreshToken });
+
+describe('refresh token rotation', () => {
+  beforeAll(async () => {
+    await createUser({ email: 'rotate@example.com' });
+  });
+
+  test('each token is exchanged once for a new pair in the same session', async () => {
+    const session = await login('rotate@example.com');
+
+    const first = await refresh(session.refreshToken);
+    expect(first.status).toBe(200);
+    const second = await refresh(first.body.data.refreshToken);
+    expect(second.status).toBe(200);
+
+    const sessions = await request(app).get(api('/auth/sessions')).set(bearer(second.body.data.token));
+    expect(sessions.body.data).toHaveLength(1);
+    expect(sessions.body.data[0].current).toBe(true);
+  });
+
+  test('reusing a rotated token revokes the whole session', async () => {
+    const session = await login('rotate@example.com');
+    const rotated = await refresh(session.refreshToken);
+    expect(rotated.status).toBe(200);
+
+    const reused = await refresh(session.refreshToken);
+    expect(reused.status).toBe(401);
+
+    const latest = await refresh(rotated.body.data.refreshToken);
+    expect(latest.status).toBe(401);
+  });
+
+  test('of two concurrent refreshes one wins and the session is revoked', async () => {
+    const session = await login('rotate@example.com');
+
+    const results = await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)]);
+    const statuses = results.map(res => res.status).sort();
+    expect(statuses).toEqual([200, 401]);
+
+    const winner = results.find(res => res.status === 200);
+    expect((await refresh(winner.body.data.refreshToken)).status).toBe(401);
+  });
+
+  test('unknown tokens are rejected', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+  });
+
+  test('markRotated refuses a stale record', async () => {
+    const user = await createUser({ email: 'stale@example.com' });
+    const { refreshToken } = await createSession(user.id);
+    const [token] = await RefreshToken.findByUser(user.id);
+    expect(token).toBeDefined();
+    expect(refreshToken).toEqual(expect.any(String));
+
+    await RefreshToken.markRotated(token);
+    await expect(RefreshToken.markRotated(token)).rejects.toBeInstanceOf(VersionConflictError);
+  });
+});
+
+describe('sessions', () => {
+  let phone;
+  let laptop;
+
+  beforeAll(async () => {
+    await createUser({ email: 'devices@example.com' });
+  });
+
+  test('logging in again from a device replaces its session', async () => {
+    const login = (deviceId) => request(app).post(api('/auth/login'))
+      .send({ email: 'devices@example.com', password: 'Password123!', deviceId });
+
+    const oldPhone = (await login('phone')).body.data;
+    phone = (await login('phone')).body.data;
+    laptop = (await login('laptop')).body.data;
+
+    expect((await refresh(oldPhone.refreshToken)).status).toBe(401);
+
+    const sessions = await request(app).get(api('/auth/sessions')).set(bearer(laptop.token));
+    expect(sessions.body.data.map(session => session.deviceId).sort()).toEqual(['laptop', 'phone']);
+  });
+
+  test('a session can be revoked by id', async () => {
+    const sessions = await request(app).get(api('/auth/sessions')).set(bearer(laptop.token));
+    const other = sessions.body.data.find(session => !session.current);
+
+    const res = await request(app).delete(api(`/auth/sessions/${other.id}`)).set(bearer(laptop.token));
+    expect(res.status).toBe(200);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+
+    const again = await request(app).delete(api(`/auth/sessions/${other.id}`)).set(bearer(laptop.token));
+    expect(again.status).toBe(404);
+  });
+
+  test('logging out everywhere ends every session', async () => {
+    const desktop = await login('devices@example.com');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const res = await request(app).post(api('/auth/logout-all')).set(bearer(desktop.token));
+    expect(res.status).toBe(200);
+
+    expect((await refresh(desktop.refreshToken)).status).toBe(401);
+    expect((await refresh(laptop.refreshToken)).status).toBe(401);
+    expect((await request(app).get(api('/auth/sessions')).set(bearer(laptop.token))).status).toBe(401);
+  });
+});
@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { app, useDatabase } from '../tests/helpers.js';
+import SigningKey from '../src/models/SigningKey.js';
+import { rotateSigningKey, rotateIfDue, signAccessToken, verifyAccessToken, getJwks } from '../src/services/signingKeys.js';
+
+useDatabase();
+
+const MINUTE = 60 * 1000;
+
+// Only the clock is faked; timers and ticks stay real
+beforeAll(() => {
+  jest.useFakeTimers({
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+      'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+  });
+});
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+const sign = (expiresIn = '1h') => signAccessToken({ id: '1' }, { expiresIn });
+
+const published = async () => (await getJwks()).keys.map(key => key.kid);
+
+const stored = async (kid) => SigningKey.repository.findOne({ kid });
+
+describe('signing key rotation', () => {
+  let first;
+  let second;
+  let longLived;
+
+  test('the first key signs at once', async () => {
+    first = await rotateIfDue();
+
+    expect(kidOf(await sign())).toBe(first.kid);
+    expect(await rotateIfDue()).toBeNull();
+  });
+
+  test('a rotated-in key is published before it signs', async () => {
+    second = await rotateSigningKey();
+
+    expect(new Date(second.activatesAt) - Date.now()).toBe(10 * MINUTE);
+    expect(await published()).toEqual(expect.arrayContaining([first.kid, second.kid]));
+    expect(kidOf(await sign())).toBe(first.kid);
+    expect(new Date((await stored(first.kid)).retiredAt)).toEqual(new Date(second.activatesAt));
+
+    const res = await request(app).get('/.well-known/jwks.json');
+    expect(res.headers['cache-control']).toBe('public, max-age=300');
+    expect(res.body.keys.map(key => key.kid)).toContain(second.kid);
+  });
+
+  test('a waiting key counts as fresh', async () => {
+    expect(await rotateIfDue()).toBeNull();
+  });
+
+  test('the new key signs from its activation and old tokens keep verifying', async () => {
+    const token = await sign();
+    longLived = await sign('48h');
+
+    advance(10 * MINUTE);
+
+    expect(kidOf(await sign())).toBe(second.kid);
+    await expect(verifyAccessToken(token)).resolves.toMatchObject({ id: '1' });
+  });
+
+  test('a retired key verifies for the overlap plus the reload interval', async () => {
+    const retired = await stored(first.kid);
+    expect(new Date(retired.expiresAt) - new Date(retired.retiredAt)).toBe(24 * 60 * MINUTE + 5 * MINUTE);
+
+    jest.setSystemTime(new Date(retired.expiresAt).getTime() - MINUTE);
+    await expect(verifyAccessToken(longLived)).resolves.toMatchObject({ id: '1' });
+
+    advance(2 * MINUTE);
+    await expect(verifyAccessToken(longLived)).rejects.toThrow('Unknown signing key');
+    expect(await published()).not.toContain(first.kid);
+
+    expect(await SigningKey.purgeExpired()).toBe(1);
+    expect(await stored(first.kid)).toBeNull();
+  });
+
+  test('of concurrent rotations only one goes through', async () => {
+    const active = await SigningKey.findActive();
+    const results = await Promise.all([
+      rotateSigningKey({ previous: active }),
+      rotateSigningKey({ previous: active })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await SigningKey.findActive()).toHaveLength(1);
+  });
+
+  test('a conflict part way retires nothing and publishes nothing', async () => {
+    const [current] = await SigningKey.findActive();
+    const waiting = await SigningKey.create({ ...current, kid: 'waiting', activatesAt: new Date(Date.now() + 60 * MINUTE) });
+    // Changed by another process after this one read it
+    await SigningKey.repository.save({ id: waiting.id, activatesAt: new Date(Date.now() + 30 * MINUTE) });
+
+    expect(await rotateSigningKey({ previous: [current, waiting] })).toBeNull();
+
+    const active = await SigningKey.findActive();
+    expect(active.map(key => key.kid).sort()).toEqual([current.kid, 'waiting'].sort());
+  });
+});
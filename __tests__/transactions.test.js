@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { app, api, PASSWORD, useDatabase, createUser, login, bearer, encryptId } from '../tests/helpers.js';
+import { FakeDynamo } from '../tests/fakeDynamo.js';
+import db from '../src/utils/database.js';
+import logger from '../src/utils/logger.js';
+import { User, AuditLog } from '../src/models/index.js';
+import MemoryRepository from '../src/repositories/MemoryRepository.js';
+import DynamoRepository from '../src/repositories/DynamoRepository.js';
+import { DuplicateKeyError, VersionConflictError } from '../src/utils/errors.js';
+
+// Before useDatabase() closes the connections: the fake client has none
+afterAll(() => {
+  delete db.connections.dynamodb;
+});
+
+useDatabase();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const definition = {
+  name: 'widgets',
+  unique: ['email'],
+  versioned: true,
+  dynamodb: {
+    indexes: { email: 'EmailIndex' }
+  }
+};
+
+describe('withTransaction on memory', () => {
+  const repository = new MemoryRepository(definition, 'memory');
+
+  test('keeps the writes and then runs the after-commit callbacks', async () => {
+    const calls = [];
+    const result = await db.withTransaction(async (transaction) => {
+      await repository.save({ email: 'kept@example.com' }, { transaction });
+      transaction.afterCommit(() => calls.push('committed'));
+      calls.push('ran');
+      return 'result';
+    }, { type: 'memory' });
+
+    expect(result).toBe('result');
+    expect(calls).toEqual(['ran', 'committed']);
+    expect(await repository.findOne({ email: 'kept@example.com' })).not.toBeNull();
+  });
+
+  test('puts the tables back and skips the callbacks when fn throws', async () => {
+    const callback = jest.fn();
+    await expect(db.withTransaction(async (transaction) => {
+      await repository.save({ email: 'dropped@example.com' }, { transaction });
+      transaction.afterCommit(callback);
+      throw new Error('abort');
+    }, { type: 'memory' })).rejects.toThrow('abort');
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(await repository.findOne({ email: 'dropped@example.com' })).toBeNull();
+  });
+
+  test('runs one at a time, so a rollback keeps the writes of another', async () => {
+    let release;
+    const first = db.withTransaction(async (transaction) => {
+      await repository.save({ email: 'first@example.com' }, { transaction });
+      await new Promise((resolve) => { release = resolve; });
+    }, { type: 'memory' });
+    const second = db.withTransaction(async (transaction) => {
+      await repository.save({ email: 'second@example.com' }, { transaction });
+      throw new Error('abort');
+    }, { type: 'memory' });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await repository.findOne({ email: 'second@example.com' })).toBeNull();
+    release();
+
+    await first;
+    await expect(second).rejects.toThrow('abort');
+    expect(await repository.findOne({ email: 'first@example.com' })).not.toBeNull();
+    expect(await repository.findOne({ email: 'second@example.com' })).toBeNull();
+  });
+
+  test('logs a failed callback without failing the committed transaction', async () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const result = await db.withTransaction(async (transaction) => {
+      transaction.afterCommit(() => { throw new Error('late'); });
+      return 'done';
+    }, { type: 'memory' });
+
+    expect(result).toBe('done');
+    expect(error).toHaveBeenCalledWith('Error after committing a transaction:', expect.any(Error));
+  });
+
+  test('refuses a store without transactions', async () => {
+    await expect(db.withTransaction(async () => {}, { type: 'nowhere' })).rejects.toThrow('Transactions are not supported on nowhere');
+  });
+});
+
+describe('withTransaction on DynamoDB', () => {
+  let dynamo;
+  let repository;
+
+  beforeEach(() => {
+    dynamo = new FakeDynamo().install();
+    repository = new DynamoRepository(definition, 'dynamodb');
+  });
+
+  const writes = () => dynamo.sent.filter(command => ['Put', 'Update', 'Delete', 'TransactWrite'].includes(command.name));
+
+  test('sends every write in one request when fn resolves', async () => {
+    const existing = await repository.save({ email: 'a@example.com', name: 'A' });
+    dynamo.sent.length = 0;
+
+    await db.withTransaction(async (transaction) => {
+      const created = await repository.save({ email: 'b@example.com' }, { transaction });
+      await repository.save({ id: existing.id, name: 'Changed' }, { transaction });
+
+      expect(writes()).toEqual([]);
+      expect(await repository.findById(created.id, { transaction })).toMatchObject({ email: 'b@example.com' });
+    }, { type: 'dynamodb' });
+
+    expect(writes().map(command => command.name)).toEqual(['TransactWrite']);
+    expect((await repository.findById(existing.id)).name).toBe('Changed');
+  });
+
+  test('writes nothing when fn throws', async () => {
+    await expect(db.withTransaction(async (transaction) => {
+      await repository.save({ email: 'a@example.com' }, { transaction });
+      throw new Error('abort');
+    }, { type: 'dynamodb' })).rejects.toThrow('abort');
+
+    expect(dynamo.items(repository.tableName)).toEqual([]);
+  });
+
+  test('a failed condition cancels every write with that write\'s error', async () => {
+    const existing = await repository.save({ email: 'a@example.com' });
+    const other = await repository.save({ email: 'b@example.com' });
+
+    await expect(db.withTransaction(async (transaction) => {
+      await repository.save({ email: 'c@example.com' }, { transaction });
+      // Taken by another request between the check and the commit
+      await repository.save({ id: other.id, email: 'd@example.com' }, { transaction });
+      await repository.save({ email: 'd@example.com' });
+    }, { type: 'dynamodb' })).rejects.toThrow(DuplicateKeyError);
+    expect(await repository.findOne({ email: 'c@example.com' })).toBeNull();
+
+    await expect(db.withTransaction(async (transaction) => {
+      await repository.save({ id: existing.id, name: 'Stale' }, { transaction, expectedVersion: 0 });
+    }, { type: 'dynamodb' })).rejects.toThrow(VersionConflictError);
+  });
+});
+
+describe('requests that write in a transaction', () => {
+  let admin;
+
+  beforeAll(async () => {
+    await createUser({ email: 'admin@example.com', role: 'admin' });
+    admin = (await login('admin@example.com')).token;
+  });
+
+  // The audit entry is the last write of each of these
+  const failAudit = () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    jest.spyOn(AuditLog, 'record').mockRejectedValue(new Error('audit down'));
+  };
+
+  test('a registration whose audit entry fails creates no user', async () => {
+    failAudit();
+    const res = await request(app).post(api('/auth/register'))
+      .send({ email: 'unregistered@example.com', password: PASSWORD, name: 'Nobody' });
+
+    expect(res.status).toBe(500);
+    expect(await User.findByEmail('unregistered@example.com')).toBeNull();
+  });
+
+  test('a delete whose audit entry fails keeps the user and their sessions', async () => {
+    const user = await createUser({ email: 'kept@example.com' });
+    const { token } = await login('kept@example.com');
+
+    failAudit();
+    const res = await request(app).delete(api(`/users/${encryptId(user.id)}`)).set(bearer(admin));
+    jest.restoreAllMocks();
+
+    expect(res.status).toBe(500);
+    expect((await User.findById(user.id)).deletedAt).toBeFalsy();
+    expect((await request(app).get(api('/auth/sessions')).set(bearer(token))).status).toBe(200);
+  });
+
+  test('a password change whose audit entry fails keeps the old password', async () => {
+    const user = await createUser({ email: 'unchanged@example.com' });
+
+    failAudit();
+    const res = await request(app).put(api(`/users/${encryptId(user.id)}`)).set(bearer(admin)).send({ password: 'N3w-Passw0rd!' });
+    jest.restoreAllMocks();
+
+    expect(res.status).toBe(500);
+    await expect(login('unchanged@example.com')).resolves.toHaveProperty('token');
+  });
+});
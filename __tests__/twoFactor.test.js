@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import { app, api, PASSWORD, useDatabase, createUser, login, bearer } from '../tests/helpers.js';
+import User from '../src/models/User.js';
+import config from '../src/config/index.js';
+import encryption from '../src/utils/encryption.js';
+import { generateCode, generateSecret } from '../src/utils/totp.js';
+import { verifyChallenge } from '../src/services/twoFactor.js';
+
+useDatabase();
+
+const STEP_MS = 30 * 1000;
+
+const passwordStep = async (email) => {
+  const res = await request(app).post(api('/auth/login')).send({ email, password: PASSWORD });
+  expect(res.body.data.mfaToken).toEqual(expect.any(String));
+  return res.body.data.mfaToken;
+};
+
+const verify = async (email, challenge) => request(app).post(api('/auth/2fa/verify'))
+  .send({ mfaToken: await passwordStep(email), ...challenge });
+
+describe('two-factor login', () => {
+  let secret;
+  let enrollCode;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    await createUser({ email: 'totp@example.com' });
+    const { token } = await login('totp@example.com');
+
+    const setup = await request(app).post(api('/auth/2fa/setup')).set(bearer(token));
+    secret = setup.body.data.secret;
+    enrollCode = generateCode(secret);
+    const confirm = await request(app).post(api('/auth/2fa/confirm')).set(bearer(token))
+      .send({ code: enrollCode });
+    expect(confirm.status).toBe(200);
+    recoveryCodes = confirm.body.data.recoveryCodes;
+  });
+
+  test('enrollment hands out ten recovery codes', () => {
+    expect(recoveryCodes).toHaveLength(10);
+  });
+
+  test('the password alone no longer logs in', async () => {
+    const res = await request(app).post(api('/auth/login')).send({ email: 'totp@example.com', password: PASSWORD });
+    expect(res.body.data).not.toHaveProperty('token');
+  });
+
+  test('the code used to enroll cannot log in', async () => {
+    const res = await verify('totp@example.com', { code: enrollCode });
+    expect(res.status).toBe(401);
+  });
+
+  test('a new code logs in once', async () => {
+    const code = generateCode(secret, Date.now() + STEP_MS);
+
+    const first = await verify('totp@example.com', { code });
+    expect(first.status).toBe(200);
+    expect(first.body.data.token).toEqual(expect.any(String));
+
+    const replay = await verify('totp@example.com', { code });
+    expect(replay.status).toBe(401);
+  });
+
+  test('a recovery code logs in once', async () => {
+    const [recoveryCode] = recoveryCodes;
+
+    expect((await verify('totp@example.com', { recoveryCode })).status).toBe(200);
+    expect((await verify('totp@example.com', { recoveryCode })).status).toBe(401);
+
+    const user = await User.findByEmail('totp@example.com');
+    expect(user.data.twoFactorRecoveryCodes).toHaveLength(9);
+  });
+
+  test('disabling needs a valid code', async () => {
+    const mfa = await verify('totp@example.com', { recoveryCode: recoveryCodes[1] });
+    const token = mfa.body.data.token;
+
+    const wrong = await request(app).post(api('/auth/2fa/disable')).set(bearer(token)).send({ code: '000000' });
+    expect(wrong.status).toBe(401);
+
+    const res = await request(app).post(api('/auth/2fa/disable')).set(bearer(token))
+      .send({ recoveryCode: recoveryCodes[2] });
+    expect(res.status).toBe(200);
+    await expect(login('totp@example.com')).resolves.toHaveProperty('token');
+  });
+});
+
+describe('disabling with wrong codes', () => {
+  const secret = generateSecret();
+  let token;
+
+  beforeAll(async () => {
+    const user = await createUser({ email: 'guessed@example.com' });
+    ({ token } = await login('guessed@example.com'));
+    await User.update(user.id, {
+      twoFactorEnabled: true,
+      twoFactorSecret: encryption.encrypt(secret),
+      twoFactorRecoveryCodes: []
+    });
+  });
+
+  const disable = (challenge) => request(app).post(api('/auth/2fa/disable')).set(bearer(token)).send(challenge);
+
+  test('locks the account out like failed logins do', async () => {
+    for (let i = 0; i < config.loginProtection.maxAttempts; i += 1) {
+      expect((await disable({ code: '000000' })).status).toBe(401);
+    }
+
+    const locked = await disable({ code: generateCode(secret) });
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect((await User.findByEmail('guessed@example.com')).twoFactorEnabled).toBe(true);
+
+    const password = await request(app).post(api('/auth/login')).send({ email: 'guessed@example.com', password: PASSWORD });
+    expect(password.status).toBe(429);
+  });
+});
+
+describe('verifyChallenge', () => {
+  const secret = generateSecret();
+  let id;
+
+  beforeAll(async () => {
+    id = (await createUser({
+      email: 'race@example.com',
+      twoFactorEnabled: true,
+      twoFactorSecret: encryption.encrypt(secret),
+      twoFactorRecoveryCodes: []
+    })).id;
+  });
+
+  // Two logins that read the user before either of them wrote
+  const staleReads = async () => Promise.all([User.findById(id), User.findById(id)]);
+
+  test('accepts a TOTP code for only one of two concurrent logins', async () => {
+    const [first, second] = await staleReads();
+    const code = generateCode(secret);
+
+    expect(await verifyChallenge(first, { code })).toBe(true);
+    expect(await verifyChallenge(second, { code })).toBe(false);
+  });
+
+  test('accepts a recovery code for only one of two concurrent logins', async () => {
+    await User.update(id, { twoFactorRecoveryCodes: [
+      // Stored as the sha256 of the code without dashes
+      crypto.createHash('sha256').update('aaaaabbbbbcccccddddd').digest('hex')
+    ] });
+    const [first, second] = await staleReads();
+
+    expect(await verifyChallenge(first, { recoveryCode: 'aaaaa-bbbbb-ccccc-ddddd' })).toBe(true);
+    expect(await verifyChallenge(second, { recoveryCode: 'aaaaa-bbbbb-ccccc-ddddd' })).toBe(false);
+    expect((await User.findById(id)).data.twoFactorRecoveryCodes).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { useDatabase, createUser } from '../tests/helpers.js';
+import { FakeDynamo } from '../tests/fakeDynamo.js';
+import db from '../src/utils/database.js';
+import User from '../src/models/User.js';
+import DynamoRepository from '../src/repositories/DynamoRepository.js';
+import { copyUsers, verifyUsers } from '../src/services/userCopy.js';
+
+// Before useDatabase() closes the connections: the fake client has none
+afterAll(() => {
+  delete db.connections.dynamodb;
+});
+
+useDatabase();
+
+const from = 'memory';
+const to = 'dynamodb';
+
+let directory;
+let checkpointFile;
+let sourceUsers;
+
+beforeAll(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'user-copy-'));
+  sourceUsers = [];
+  for (const name of ['one', 'two', 'three', 'four', 'five']) {
+    sourceUsers.push(await createUser({ email: `${name}@example.com`, name }));
+  }
+  await User.delete(sourceUsers[4].id);
+});
+
+afterAll(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  new FakeDynamo().install();
+  checkpointFile = path.join(directory, `${expect.getState().currentTestName.replace(/\W+/g, '-')}.json`);
+});
+
+const target = () => User.repositoryFor(to);
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+describe('copyUsers', () => {
+  test('copies every user, deleted ones included, and verifies', async () => {
+    const summary = await copyUsers({ from, to, checkpointFile, pageSize: 2 });
+
+    expect(summary).toMatchObject({ copied: 5, skipped: 0, remapped: 0, done: true });
+    expect(await readJson(checkpointFile)).toMatchObject({ from, to, copied: 5, done: true });
+    expect((await target().findById(sourceUsers[0].id)).email).toBe('one@example.com');
+    expect((await target().findById(sourceUsers[4].id)).deletedAt).toBeTruthy();
+
+    expect(await verifyUsers({ from, to })).toMatchObject({ match: true, source: { count: 5 } });
+  });
+
+  test('a dry run writes nothing', async () => {
+    const summary = await copyUsers({ from, to, checkpointFile, dryRun: true });
+
+    expect(summary).toMatchObject({ copied: 5, dryRun: true });
+    expect(await target().count()).toBe(0);
+    await expect(fs.access(checkpointFile)).rejects.toThrow();
+  });
+
+  test('resumes after the last page written', async () => {
+    const insertMany = DynamoRepository.prototype.insertMany;
+    const spy = jest.spyOn(DynamoRepository.prototype, 'insertMany').mockImplementation(function (...args) {
+      if (spy.mock.calls.length === 2) throw new Error('connection lost');
+      return insertMany.apply(this, args);
+    });
+    try {
+      await expect(copyUsers({ from, to, checkpointFile, pageSize: 2 })).rejects.toThrow('connection lost');
+    } finally {
+      spy.mockRestore();
+    }
+    expect(await readJson(checkpointFile)).toMatchObject({ copied: 2, done: false });
+
+    const summary = await copyUsers({ from, to, checkpointFile, pageSize: 2 });
+    expect(summary).toMatchObject({ copied: 5, skipped: 0, done: true });
+    expect((await verifyUsers({ from, to })).match).toBe(true);
+
+    const again = await copyUsers({ from, to, checkpointFile });
+    expect(again.copied).toBe(5);
+  });
+
+  test('skips users already in the target and copies others under a taken id anew', async () => {
+    await target().insertMany([
+      { email: 'two@example.com', name: 'Already there', password: 'x' },
+      { id: String(sourceUsers[2].id), email: 'squatter@example.com', name: 'Squatter', password: 'x' }
+    ], { copy: true });
+
+    const summary = await copyUsers({ from, to, checkpointFile });
+
+    expect(summary).toMatchObject({ copied: 4, skipped: 1, remapped: 1 });
+    expect(summary.conflicts).toEqual([{ id: String(sourceUsers[1].id), email: 'two@example.com', field: 'email' }]);
+
+    const moved = await target().findOne({ email: 'three@example.com' });
+    expect(moved.id).not.toBe(String(sourceUsers[2].id));
+    const ids = (await fs.readFile(checkpointFile.replace(/\.json$/, '.ids.ndjson'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(ids).toEqual([{ from: String(sourceUsers[2].id), to: moved.id }]);
+
+    expect((await verifyUsers({ from, to })).match).toBe(false);
+  });
+
+  test('refuses a checkpoint of another copy and a copy onto itself', async () => {
+    await fs.writeFile(checkpointFile, JSON.stringify({ from: 'mysql', to, done: false }));
+
+    await expect(copyUsers({ from, to, checkpointFile })).rejects.toThrow('is a checkpoint of a copy from mysql to dynamodb');
+    await expect(copyUsers({ from, to: from })).rejects.toThrow('must differ');
+  });
+});
+
+describe('verifyUsers', () => {
+  test('notices a changed user', async () => {
+    await copyUsers({ from, to, checkpointFile });
+    await target().save({ id: String(sourceUsers[0].id), name: 'Changed' });
+
+    const result = await verifyUsers({ from, to });
+    expect(result.match).toBe(false);
+    expect(result.target.count).toBe(result.source.count);
+  });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { app, api, PASSWORD, useDatabase, createUser, login, bearer } from '../tests/helpers.js';
+import { parseCsv } from '../src/utils/csv.js';
+import logger from '../src/utils/logger.js';
+import { User } from '../src/models/index.js';
+
+useDatabase();
+
+let admin;
+let member;
+
+beforeAll(async () => {
+  await createUser({ email: 'admin@example.com', role: 'admin' });
+  await createUser({ email: 'member@example.com' });
+  admin = (await login('admin@example.com')).token;
+  member = (await login('member@example.com')).token;
+});
+
+const upload = (token, type, body) => request(app).post(api('/users/import'))
+  .set(bearer(token)).set('Content-Type', type).send(body);
+
+const download = (format) => request(app).get(api('/users/export')).query({ format }).set(bearer(admin))
+  .buffer(true).parse((res, done) => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => done(null, text));
+  });
+
+describe('POST /users/import', () => {
+  test('creates the valid rows of a CSV upload and reports the others by number', async () => {
+    const csv = [
+      'email,name,password,role',
+      `csv1@example.com,"Doe, Jane",${PASSWORD},`,
+      `not-an-email,Bad,${PASSWORD},`,
+      `csv2@example.com,Wizard,${PASSWORD},wizard`,
+      `CSV1@example.com,Again,${PASSWORD},`,
+      `member@example.com,Taken,${PASSWORD},`,
+      `csv3@example.com,Admin,${PASSWORD},admin`
+    ].join('\r\n');
+
+    const res = await upload(admin, 'text/csv', csv);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ imported: 2, failed: 4 });
+    expect(res.body.data.errors.map(({ row }) => row)).toEqual([2, 3, 4, 5]);
+    expect(res.body.data.errors[1].errors).toEqual([{ path: 'role', message: 'Unknown role: wizard' }]);
+
+    const imported = await login('csv1@example.com');
+    expect(imported.user.name).toBe('Doe, Jane');
+    expect(imported.user.role).toBe('user');
+    expect((await login('csv3@example.com')).user.role).toBe('admin');
+  });
+
+  test('reads NDJSON and reports lines that do not parse', async () => {
+    const ndjson = [
+      JSON.stringify({ email: 'nd1@example.com', name: 'Nd One', password: PASSWORD }),
+      '{ not json',
+      '',
+      JSON.stringify({ email: 'nd2@example.com', name: 'Nd Two', password: PASSWORD })
+    ].join('\n');
+
+    const res = await upload(admin, 'application/x-ndjson', ndjson);
+
+    expect(res.body.data).toMatchObject({ imported: 2, failed: 1, errors: [{ row: 2, errors: [{ message: 'Invalid JSON' }] }] });
+  });
+
+  test('needs users:import and a known content type', async () => {
+    expect((await upload(member, 'text/csv', 'email\n')).status).toBe(403);
+    expect((await upload(admin, 'application/json', '[]')).status).toBe(415);
+  });
+});
+
+describe('GET /users/export', () => {
+  test('streams every user as CSV without secrets', async () => {
+    const res = await download('csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="users.csv"');
+
+    const rows = [];
+    for await (const row of parseCsv([res.body])) rows.push(row);
+    const [header, ...users] = rows;
+    const emails = users.map(row => row[header.indexOf('email')]);
+
+    expect(header[0]).toBe('id');
+    expect(header).not.toContain('password');
+    expect(header).not.toContain('twoFactorSecret');
+    expect(emails).toEqual(expect.arrayContaining(['admin@example.com', 'csv1@example.com', 'nd2@example.com']));
+    expect(users.find(row => row[header.indexOf('email')] === 'csv1@example.com')[header.indexOf('name')]).toBe('Doe, Jane');
+  });
+
+  test('streams every user as NDJSON', async () => {
+    const res = await download('ndjson');
+    const users = res.body.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(users.map(user => user.email)).toEqual(expect.arrayContaining(['member@example.com', 'nd1@example.com']));
+    expect(users[0]).not.toHaveProperty('password');
+  });
+
+  test('needs users:export', async () => {
+    const res = await request(app).get(api('/users/export')).set(bearer(member));
+    expect(res.status).toBe(403);
+  });
+
+  describe('failing', () => {
+    beforeEach(() => {
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('before the first row answers with an error', async () => {
+      jest.spyOn(User, 'listPage').mockRejectedValue(new Error('store down'));
+
+      const res = await download('ndjson');
+      expect(res.status).toBe(500);
+      expect(res.headers['content-type']).toMatch(/^application\/json/);
+    });
+
+    test('part way cuts the response short', async () => {
+      jest.spyOn(User, 'listPage').mockRejectedValue(new Error('store down'));
+
+      await expect(download('csv')).rejects.toThrow();
+      expect(logger.error).toHaveBeenCalledWith('Error exporting users:', expect.any(Error));
+    });
+  });
+});
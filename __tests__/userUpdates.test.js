@@ -0,0 +1,154 @@
+import request from 'supertest';
+import { app, api, PASSWORD, useDatabase, createUser, login, bearer, encryptId } from '../tests/helpers.js';
+import { JSON_PATCH, MERGE_PATCH } from '../src/utils/patch.js';
+
+useDatabase();
+
+let admin;
+let member;
+let memberId;
+
+beforeAll(async () => {
+  await createUser({ email: 'admin@example.com', role: 'admin' });
+  memberId = encryptId((await createUser({ email: 'member@example.com', name: 'Member' })).id);
+  admin = (await login('admin@example.com')).token;
+  member = (await login('member@example.com')).token;
+});
+
+const patch = (token, type, body) => request(app).patch(api(`/users/${memberId}`))
+  .set(bearer(token)).set('Content-Type', type).send(JSON.stringify(body));
+
+describe('PATCH /users/:id', () => {
+  test('applies a merge patch', async () => {
+    const res = await patch(admin, MERGE_PATCH, { name: 'Merged' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.name).toBe('Merged');
+    expect(res.headers.etag).toBeDefined();
+  });
+
+  test('applies a JSON Patch', async () => {
+    const res = await patch(admin, JSON_PATCH, [
+      { op: 'test', path: '/name', value: 'Merged' },
+      { op: 'replace', path: '/name', value: 'Patched' }
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.name).toBe('Patched');
+  });
+
+  test('reports a failed test as a conflict', async () => {
+    const res = await patch(admin, JSON_PATCH, [{ op: 'test', path: '/name', value: 'Someone' }]);
+    expect(res.status).toBe(409);
+  });
+
+  test('validates the patched user', async () => {
+    const res = await patch(admin, JSON_PATCH, [{ op: 'remove', path: '/email' }]);
+    expect(res.status).toBe(400);
+  });
+
+  test('refuses prototype members', async () => {
+    const merge = await request(app).patch(api(`/users/${memberId}`)).set(bearer(admin))
+      .set('Content-Type', MERGE_PATCH).send('{"__proto__": {"role": "admin"}}');
+    expect(merge.status).toBe(400);
+
+    const json = await patch(admin, JSON_PATCH, [{ op: 'add', path: '/__proto__/role', value: 'admin' }]);
+    expect(json.status).toBe(400);
+  });
+
+  test('takes only patch content types', async () => {
+    const res = await request(app).patch(api(`/users/${memberId}`)).set(bearer(admin))
+      .set('Content-Type', 'text/plain').send('name=x');
+    expect(res.status).toBe(415);
+  });
+
+  test('checks If-Match', async () => {
+    const current = await request(app).get(api(`/users/${memberId}`)).set(bearer(admin));
+
+    const matching = await patch(admin, MERGE_PATCH, { name: 'Matched' }).set('If-Match', current.headers.etag);
+    expect(matching.status).toBe(200);
+    expect(matching.headers.etag).not.toBe(current.headers.etag);
+
+    const stale = await patch(admin, MERGE_PATCH, { name: 'Stale' }).set('If-Match', current.headers.etag);
+    expect(stale.status).toBe(412);
+  });
+});
+
+describe('roles', () => {
+  test('a user may send back their unchanged role', async () => {
+    const res = await request(app).put(api(`/users/${memberId}`)).set(bearer(member)).send({ name: 'Own', role: 'user' });
+    expect(res.status).toBe(200);
+
+    const patched = await patch(member, JSON_PATCH, [{ op: 'replace', path: '/role', value: 'user' }]);
+    expect(patched.status).toBe(200);
+  });
+
+  test('changing it needs users:assign-role', async () => {
+    const res = await patch(member, MERGE_PATCH, { role: 'admin' });
+    expect(res.status).toBe(403);
+
+    const unknown = await patch(admin, MERGE_PATCH, { role: 'wizard' });
+    expect(unknown.status).toBe(400);
+  });
+});
+
+describe('passwords', () => {
+  let session;
+
+  beforeAll(async () => {
+    await createUser({ email: 'self@example.com' });
+    session = await login('self@example.com');
+  });
+
+  const selfId = async () => (await request(app).get(api('/users')).set(bearer(admin)).query({ search: 'self@' })).body.data[0].id;
+
+  test('changing your own takes the current one', async () => {
+    const id = await selfId();
+
+    const missing = await request(app).put(api(`/users/${id}`)).set(bearer(session.token)).send({ password: 'Changed123!' });
+    expect(missing.status).toBe(400);
+
+    const wrong = await request(app).put(api(`/users/${id}`)).set(bearer(session.token))
+      .send({ password: 'Changed123!', currentPassword: 'Wrong123!' });
+    expect(wrong.status).toBe(403);
+
+    const jsonPatch = await request(app).patch(api(`/users/${id}`)).set(bearer(session.token))
+      .set('Content-Type', JSON_PATCH).send(JSON.stringify([{ op: 'add', path: '/password', value: 'Changed123!' }]));
+    expect(jsonPatch.status).toBe(400);
+
+    await expect(login('self@example.com')).resolves.toHaveProperty('token');
+  });
+
+  test('a change ends every session', async () => {
+    // Access tokens from the second of the change stay valid (iat has
+    // second precision), so the session's must be older
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const id = await selfId();
+    const res = await request(app).put(api(`/users/${id}`)).set(bearer(session.token))
+      .send({ password: 'Changed123!', currentPassword: PASSWORD });
+    expect(res.status).toBe(200);
+    expect(res.body.data).not.toHaveProperty('currentPassword');
+
+    const stale = await request(app).get(api('/auth/sessions')).set(bearer(session.token));
+    expect(stale.status).toBe(401);
+    const refresh = await request(app).post(api('/auth/refresh')).send({ refreshToken: session.refreshToken });
+    expect(refresh.status).toBe(401);
+
+    await expect(login('self@example.com')).rejects.toThrow(/401/);
+    session = await login('self@example.com', 'Changed123!');
+  });
+
+  test('a merge patch can carry the current one', async () => {
+    const id = await selfId();
+    const res = await request(app).patch(api(`/users/${id}`)).set(bearer(session.token))
+      .set('Content-Type', MERGE_PATCH).send(JSON.stringify({ password: 'Patched123!', currentPassword: 'Changed123!' }));
+    expect(res.status).toBe(200);
+    await expect(login('self@example.com', 'Patched123!')).resolves.toHaveProperty('token');
+  });
+
+  test('admins set other users\' passwords without it', async () => {
+    const res = await request(app).put(api(`/users/${memberId}`)).set(bearer(admin)).send({ password: 'ByAdmin123!' });
+    expect(res.status).toBe(200);
+    await expect(login('member@example.com', 'ByAdmin123!')).resolves.toHaveProperty('token');
+  });
+});
@@ -0,0 +1,295 @@
+import request from 'supertest';
+import { app, api, PASSWORD, useDatabase, createUser, login, bearer, encryptId } from '../tests/helpers.js';
+import { User, AuditLog } from '../src/models/index.js';
+import { purgeDeletedUsers } from '../src/services/userRetention.js';
+
+useDatabase();
+
+let admin;
+let member;
+let memberId;
+
+beforeAll(async () => {
+  await createUser({ email: 'admin@example.com', name: 'Admin', role: 'admin' });
+  const user = await createUser({ email: 'member@example.com', name: 'Member' });
+  memberId = encryptId(user.id);
+  admin = (await login('admin@example.com')).token;
+  member = (await login('member@example.com')).token;
+});
+
+describe('POST /users', () => {
+  test('creates a user', async () => {
+    const res = await request(app).post(api('/users')).set(bearer(admin))
+      .send({ email: 'Created@Example.com', password: PASSWORD, name: 'Created' });
+
+    expect(res.status).toBe(201);
+    expect(res.headers.etag).toBeDefined();
+    expect(res.body.data).toMatchObject({ email: 'created@example.com', name: 'Created', role: 'user' });
+    expect(res.body.data).not.toHaveProperty('password');
+  });
+
+  test('rejects a taken address', async () => {
+    const res = await request(app).post(api('/users')).set(bearer(admin))
+      .send({ email: 'created@example.com', password: PASSWORD, name: 'Again' });
+    expect(res.status).toBe(409);
+  });
+
+  test('rejects an unknown role', async () => {
+    const res = await request(app).post(api('/users')).set(bearer(admin))
+      .send({ email: 'role@example.com', password: PASSWORD, name: 'Role', role: 'wizard' });
+    expect(res.status).toBe(400);
+  });
+
+  test('needs users:create', async () => {
+    const res = await request(app).post(api('/users')).set(bearer(member))
+      .send({ email: 'nope@example.com', password: PASSWORD, name: 'Nope' });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /users', () => {
+  beforeAll(async () => {
+    for (let i = 0; i < 5; i++) {
+      await createUser({ email: `page${i}@example.com`, name: `Page ${i}` });
+    }
+  });
+
+  test('pages by cursor through every user once', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const res = await request(app).get(api('/users')).set(bearer(admin))
+        .query({ limit: 3, total: true, ...(cursor && { cursor }) });
+      expect(res.status).toBe(200);
+      seen.push(...res.body.data.map(user => user.email));
+      cursor = res.body.pageInfo.nextCursor;
+    } while (cursor);
+
+    const total = (await request(app).get(api('/users')).set(bearer(admin)).query({ total: true })).body.pageInfo.total;
+    expect(seen).toHaveLength(total);
+    expect(new Set(seen).size).toBe(total);
+  });
+
+  test('pages by cursor in the requested order', async () => {
+    const emails = [];
+    let cursor;
+    do {
+      const res = await request(app).get(api('/users')).set(bearer(admin))
+        .query({ limit: 2, sort: 'asc', sortBy: 'email', ...(cursor && { cursor }) });
+      emails.push(...res.body.data.map(user => user.email));
+      cursor = res.body.pageInfo.nextCursor;
+      if (cursor) expect(res.headers.link).toMatch(/rel="next"/);
+    } while (cursor);
+
+    expect(emails).toEqual([...emails].sort());
+    expect(new Set(emails).size).toBe(emails.length);
+  });
+
+  test('rejects a cursor issued for another order or not issued at all', async () => {
+    const first = await request(app).get(api('/users')).set(bearer(admin)).query({ limit: 1, sortBy: 'email' });
+    const cursor = first.body.pageInfo.nextCursor;
+
+    const other = await request(app).get(api('/users')).set(bearer(admin)).query({ limit: 1, sortBy: 'name', cursor });
+    expect(other.status).toBe(400);
+
+    const forged = await request(app).get(api('/users')).set(bearer(admin)).query({ cursor: 'forged' });
+    expect(forged.status).toBe(400);
+  });
+
+  test('pages by number', async () => {
+    const res = await request(app).get(api('/users')).set(bearer(admin))
+      .query({ page: 2, limit: 2, sortBy: 'email', sort: 'asc' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pageInfo).toMatchObject({ page: 2, limit: 2, hasMore: true });
+    expect(res.body.data).toHaveLength(2);
+    expect(res.headers.link).toMatch(/rel="prev"/);
+  });
+
+  test('filters and searches', async () => {
+    const res = await request(app).get(api('/users')).set(bearer(admin)).query({ search: 'Page 3' });
+    expect(res.body.data.map(user => user.email)).toEqual(['page3@example.com']);
+
+    const admins = await request(app).get(api('/users')).set(bearer(admin)).query({ role: 'admin' });
+    expect(admins.body.data.map(user => user.email)).toEqual(['admin@example.com']);
+  });
+
+  test('filters by creation time', async () => {
+    const before = await request(app).get(api('/users')).set(bearer(admin))
+      .query({ createdTo: '2000-01-01T00:00:00Z' });
+    expect(before.status).toBe(200);
+    expect(before.body.data).toEqual([]);
+
+    const since = await request(app).get(api('/users')).set(bearer(admin))
+      .query({ createdFrom: '2000-01-01T00:00:00Z', limit: 100 });
+    expect(since.body.data.length).toBeGreaterThan(5);
+
+    const backwards = await request(app).get(api('/users')).set(bearer(admin))
+      .query({ createdFrom: '2000-01-02T00:00:00Z', createdTo: '2000-01-01T00:00:00Z' });
+    expect(backwards.status).toBe(400);
+  });
+
+  test('returns only the selected fields', async () => {
+    const res = await request(app).get(api('/users')).set(bearer(admin)).query({ fields: 'email', limit: 1 });
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.data[0]).sort()).toEqual(['email', 'id']);
+
+    const unknown = await request(app).get(api('/users')).set(bearer(admin)).query({ fields: 'password' });
+    expect(unknown.status).toBe(400);
+  });
+
+  test('sorts by each sortable field', async () => {
+    for (const sortBy of User.fieldsWith('sortable')) {
+      const res = await request(app).get(api('/users')).set(bearer(admin))
+        .query({ page: 1, limit: 100, sort: 'desc', sortBy, fields: sortBy });
+      expect(res.status).toBe(200);
+
+      const values = res.body.data.map(user => user[sortBy]);
+      expect(values).toEqual([...values].sort().reverse());
+    }
+  });
+
+  test('rejects sorting by a field that is not sortable', async () => {
+    for (const sortBy of ['password', 'twoFactorSecret', 'emailVerified', 'nonexistent']) {
+      const res = await request(app).get(api('/users')).set(bearer(admin)).query({ sortBy });
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(error => error.path)).toEqual(['query.sortBy']);
+    }
+  });
+
+  test('ignores query parameters that are not filters', async () => {
+    const all = await request(app).get(api('/users')).set(bearer(admin)).query({ total: true });
+    const res = await request(app).get(api('/users')).set(bearer(admin))
+      .query({ total: true, password: PASSWORD, tokensValidAfter: '2000-01-01T00:00:00Z' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pageInfo.total).toBe(all.body.pageInfo.total);
+  });
+
+  test('never lets a list reach undeclared fields', async () => {
+    await expect(User.repository.list({ where: { password: 'x' } }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cannot filter by password' });
+    await expect(User.repository.list({ search: { term: 'x', fields: ['twoFactorSecret'] } }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cannot filter by twoFactorSecret' });
+    await expect(User.repository.list({ sortBy: 'password' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cannot sort by password' });
+  });
+
+  test('needs users:list', async () => {
+    const res = await request(app).get(api('/users')).set(bearer(member));
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /users/:id', () => {
+  test('returns the user with an ETag', async () => {
+    const res = await request(app).get(api(`/users/${memberId}`)).set(bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.email).toBe('member@example.com');
+    expect(res.headers.etag).toBeDefined();
+  });
+
+  test('leaves secrets and token bookkeeping out', async () => {
+    const user = await createUser({ email: 'bookkeeping@example.com', tokensValidAfter: new Date() });
+    const res = await request(app).get(api(`/users/${encryptId(user.id)}`)).set(bearer(admin));
+
+    for (const field of ['password', 'twoFactorSecret', 'twoFactorRecoveryCodes', 'tokensValidAfter', 'version']) {
+      expect(res.body.data).not.toHaveProperty(field);
+    }
+  });
+
+  test('hides deleted users without users:read-deleted', async () => {
+    const res = await request(app).get(api(`/users/${memberId}`)).set(bearer(member)).query({ includeDeleted: true });
+    expect(res.status).toBe(403);
+  });
+
+  test('404s for an unknown id', async () => {
+    const res = await request(app).get(api(`/users/${encryptId('0'.repeat(24))}`)).set(bearer(admin));
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /users/:id', () => {
+  test('updates the given fields', async () => {
+    const res = await request(app).put(api(`/users/${memberId}`)).set(bearer(admin)).send({ name: 'Renamed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ name: 'Renamed', email: 'member@example.com' });
+  });
+
+  test('refuses a stale If-Match', async () => {
+    const current = await request(app).get(api(`/users/${memberId}`)).set(bearer(admin));
+    await request(app).put(api(`/users/${memberId}`)).set(bearer(admin)).send({ name: 'First' });
+
+    const res = await request(app).put(api(`/users/${memberId}`)).set(bearer(admin))
+      .set('If-Match', current.headers.etag).send({ name: 'Second' });
+    expect(res.status).toBe(412);
+  });
+
+  test('does not let users change their own role', async () => {
+    const res = await request(app).put(api(`/users/${memberId}`)).set(bearer(member)).send({ role: 'admin' });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /users/:id', () => {
+  let id;
+
+  beforeAll(async () => {
+    id = encryptId((await createUser({ email: 'deleted@example.com' })).id);
+  });
+
+  test('needs users:delete', async () => {
+    const res = await request(app).delete(api(`/users/${id}`)).set(bearer(member));
+    expect(res.status).toBe(403);
+  });
+
+  test('soft-deletes the user', async () => {
+    const res = await request(app).delete(api(`/users/${id}`)).set(bearer(admin));
+    expect(res.status).toBe(200);
+
+    const gone = await request(app).get(api(`/users/${id}`)).set(bearer(admin));
+    expect(gone.status).toBe(404);
+
+    const kept = await request(app).get(api(`/users/${id}`)).set(bearer(admin)).query({ includeDeleted: true });
+    expect(kept.status).toBe(200);
+    expect(kept.body.data.deletedAt).toBeTruthy();
+
+    await expect(login('deleted@example.com')).rejects.toThrow(/401/);
+  });
+
+  test('restores the user', async () => {
+    const res = await request(app).post(api(`/users/${id}/restore`)).set(bearer(admin));
+    expect(res.status).toBe(200);
+
+    const back = await request(app).get(api(`/users/${id}`)).set(bearer(admin));
+    expect(back.status).toBe(200);
+    await expect(login('deleted@example.com')).resolves.toHaveProperty('token');
+  });
+
+  test('404s for an unknown id', async () => {
+    const res = await request(app).delete(api(`/users/${encryptId('0'.repeat(24))}`)).set(bearer(admin));
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('purging deleted users', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  test('hard-deletes tombstones older than the retention period', async () => {
+    const expired = await createUser({ email: 'expired@example.com', deletedAt: new Date(Date.now() - 31 * DAY) });
+    const recent = await createUser({ email: 'recent@example.com', deletedAt: new Date(Date.now() - DAY) });
+    const live = await createUser({ email: 'live@example.com' });
+
+    expect(await purgeDeletedUsers()).toBe(1);
+
+    expect(await User.findById(expired.id, { includeDeleted: true })).toBeNull();
+    expect(await User.findById(recent.id, { includeDeleted: true })).not.toBeNull();
+    expect(await User.findById(live.id)).not.toBeNull();
+
+    const { entries } = await AuditLog.search({ action: 'user.purge' });
+    expect(entries.map(entry => entry.targetUserId)).toEqual([expired.id]);
+  });
+});
@@ -1,10 +1,9 @@
+// The package is "type": "module", so .js files already run as native ES
+// modules (the test script passes --experimental-vm-modules); nothing is
+// transformed
 export default {
   testEnvironment: 'node',
   transform: {},
-  extensionsToTreatAsEsm: ['.js'],
-  moduleNameMapper: {
-    '^(\\.{1,2}/.*)\\.js$': '$1',
-  },
   coverageDirectory: 'coverage',
   collectCoverageFrom: [
     'src/**/*.js',
@@ -13,6 +12,6 @@ export default {
     '!**/vendor/**'
   ],
   testMatch: ['**/__tests__/**/*.test.js'],
-  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+  setupFiles: ['<rootDir>/tests/setup.js'],
   testTimeout: 10000
-}; 
\ No newline at end of file
+};
@@ -12,18 +12,6 @@ wait_for_service() {
     echo "$1 is ready!"
 }
 
-# Initialize DynamoDB tables
-init_dynamodb() {
-    echo "Initializing DynamoDB tables..."
-    aws dynamodb create-table \
-        --endpoint-url http://localhost:8000 \
-        --table-name Users \
-        --attribute-definitions AttributeName=id,AttributeType=S \
-        --key-schema AttributeName=id,KeyType=HASH \
-        --provisioned-throughput ReadCapacityUnits=5,WriteCapacityUnits=5 \
-        --region us-east-1
-}
-
 # Main initialization
 echo "Starting services initialization..."
 
@@ -35,7 +23,7 @@ wait_for_service "MongoDB" "localhost" "27017"
 wait_for_service "MySQL" "localhost" "3306"
 wait_for_service "DynamoDB" "localhost" "8000"
 
-# Initialize DynamoDB
-init_dynamodb
+# Tables, collections and indexes are created by the migrate service
+# (npm run migrate:up), which the API servers wait for
 
 echo "All services are initialized and ready!" 
\ No newline at end of file
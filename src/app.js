@@ -0,0 +1,84 @@
+import express from 'express';
+import morgan from 'morgan';
+import cookieParser from 'cookie-parser';
+import cors from 'cors';
+import config from './config/index.js';
+import logger from './utils/logger.js';
+import db from './utils/database.js';
+import routes from './routes/index.js';
+import { corsOptions, helmetConfig, securityHeaders } from './middleware/security.js';
+import { rateLimiter } from './middleware/rateLimit.js';
+import { requestId } from './middleware/requestId.js';
+import { transformResponse } from './utils/encryption.js';
+import { getJwks, JWKS_MAX_AGE_MS } from './services/signingKeys.js';
+
+// Initialize Express app
+const app = express();
+
+// Request IDs first, so every later step can refer to them
+app.use(requestId);
+
+// Security middleware
+app.use(helmetConfig);
+app.use(securityHeaders);
+app.use(cors(corsOptions));
+app.use(rateLimiter);
+
+// Basic middleware
+app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+app.use(morgan('combined', { stream: logger.stream }));
+
+// Add after basic middleware setup
+app.use(transformResponse());
+
+// Public keys for verifying our access tokens, outside the API version and
+// the ID encryption
+app.get('/.well-known/jwks.json', async (req, res, next) => {
+  try {
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_MS / 1000}`);
+    res.type('application/json').send(JSON.stringify(await getJwks()));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API versioning
+const apiRouter = express.Router();
+app.use(`/api/${config.apiVersion}`, apiRouter);
+
+// Health check endpoint. The server answers while a store is down
+// (requests needing it get 503), so it reports itself degraded rather
+// than failing the check.
+apiRouter.get('/health', (req, res) => {
+  const stores = db.health();
+  const degraded = Object.values(stores).some(store => store.breaker && store.breaker.state !== 'closed');
+  res.json({
+    success: true,
+    message: degraded ? 'Server is degraded' : 'Server is healthy',
+    timestamp: new Date().toISOString(),
+    data: {
+      status: degraded ? 'degraded' : 'ok',
+      stores
+    }
+  });
+});
+
+apiRouter.use(routes);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error:', err);
+  
+  const status = err.statusCode || err.status || 500;
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  res.status(status).json({
+    success: false,
+    message: config.env === 'production' && status >= 500 ? 'Internal server error' : err.message
+  });
+});
+
+export default app;
@@ -1,25 +1,102 @@
 import cluster from 'cluster';
 import os from 'os';
+import dotenv from 'dotenv';
 import logger from './utils/logger.js';
+import { loadConfig, validateConfig } from './config/index.js';
+import { attachCounterStore } from './utils/counterStore.js';
 
 const numCPUs = os.cpus().length;
 
 if (cluster.isPrimary) {
+  // Fail once here instead of in an endless loop of restarting workers
+  try {
+    validateConfig();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
   logger.info(`Primary ${process.pid} is running`);
   logger.info(`Starting ${numCPUs} workers...`);
 
+  // Shared counters (login lockout, rate limits) live in the primary
+  attachCounterStore();
+
   // Fork workers
   for (let i = 0; i < numCPUs; i++) {
     cluster.fork();
   }
 
-  // Log when a worker dies
+  // Log when a worker dies. Workers disconnected on purpose (shutdown,
+  // reload) and ones still starting during a reload are not replaced.
   cluster.on('exit', (worker, code, signal) => {
+    if (worker.exitedAfterDisconnect || worker.reloading) return;
     logger.warn(`Worker ${worker.process.pid} died with code ${code} and signal ${signal}`);
     logger.info('Starting a new worker...');
     cluster.fork();
   });
 
+  // Fork a worker to take over from `old` once it is listening
+  const replaceWorker = (old) => new Promise((resolve, reject) => {
+    const worker = cluster.fork();
+    worker.reloading = true;
+    const timer = setTimeout(() => {
+      worker.kill();
+      reject(new Error(`Worker ${worker.process.pid} did not start listening`));
+    }, 30000);
+    worker.once('listening', () => {
+      clearTimeout(timer);
+      worker.reloading = false;
+      old.disconnect();
+      resolve();
+    });
+    worker.once('exit', () => {
+      clearTimeout(timer);
+      reject(new Error(`Worker ${worker.process.pid} exited while starting`));
+    });
+  });
+
+  const restoreEnv = (previous) => {
+    for (const name of Object.keys(process.env)) {
+      if (!(name in previous)) delete process.env[name];
+    }
+    Object.assign(process.env, previous);
+  };
+
+  // SIGHUP reloads the configuration without downtime (e.g. to flip
+  // USERS_PRIMARY_DB): .env is read again and the workers are replaced one
+  // at a time. An invalid configuration is refused before any worker is
+  // touched; if a new worker fails to start, the rest keep the old one.
+  let reloading = false;
+  process.on('SIGHUP', async () => {
+    if (reloading) return;
+    reloading = true;
+    const previous = { ...process.env };
+    dotenv.config({ override: true });
+
+    try {
+      validateConfig(loadConfig());
+    } catch (error) {
+      logger.error(`Reload refused, keeping the current configuration: ${error.message}`);
+      restoreEnv(previous);
+      reloading = false;
+      return;
+    }
+    logger.info('Reloading configuration: replacing workers one at a time');
+
+    try {
+      for (const worker of Object.values(cluster.workers)) {
+        await replaceWorker(worker);
+      }
+      logger.info('Configuration reloaded');
+    } catch (error) {
+      logger.error('Reload stopped:', error);
+      restoreEnv(previous);
+    } finally {
+      reloading = false;
+    }
+  });
+
   // Log worker status changes
   cluster.on('online', (worker) => {
     logger.info(`Worker ${worker.process.pid} is online`);
@@ -27,6 +104,7 @@ if (cluster.isPrimary) {
 
   // Handle worker messages
   cluster.on('message', (worker, message) => {
+    if (message?.type === 'counterStore') return;
     logger.debug(`Message from worker ${worker.process.pid}:`, message);
   });
 
@@ -8,7 +8,28 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
-const config = {
+// OpenID Connect providers are listed in OIDC_PROVIDERS (e.g. "google,corp")
+// and configured with OIDC_<NAME>_ISSUER, _CLIENT_ID, _CLIENT_SECRET,
+// _SCOPES and optionally _REDIRECT_URI
+const oidcProviders = (appUrl, apiVersion) => Object.fromEntries(
+  (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      const env = (key) => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+      return [name, {
+        issuer: env('ISSUER'),
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        scopes: env('SCOPES') || 'openid email profile',
+        redirectUri: env('REDIRECT_URI') || `${appUrl}/api/${apiVersion}/auth/oidc/${name}/callback`,
+      }];
+    })
+);
+
+// Build the configuration from process.env
+export const loadConfig = () => ({
   env: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT || '3000', 10),
   apiVersion: process.env.API_VERSION || 'v1',
@@ -16,12 +37,87 @@ const config = {
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key',
     expiresIn: process.env.JWT_EXPIRATION || '24h',
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRATION || '30d',
+    // Access token signing: RS256 or ES256 with rotating keys published at
+    // /.well-known/jwks.json, or HS256 with the shared secret
+    algorithm: process.env.JWT_ALGORITHM || 'RS256',
+    keyRotationInterval: process.env.JWT_KEY_ROTATION_INTERVAL || '30d',
+    // How long a retired key keeps verifying tokens (at least JWT_EXPIRATION)
+    keyOverlap: process.env.JWT_KEY_OVERLAP || '24h',
+  },
+  
+  twoFactor: {
+    // Shown next to the account in authenticator apps
+    issuer: process.env.TOTP_ISSUER || 'Express API Server',
+    // Lifetime of the "mfa_pending" token between password and code
+    pendingExpiresIn: process.env.MFA_PENDING_EXPIRATION || '5m',
+  },
+  
+  passwordReset: {
+    expiresIn: process.env.PASSWORD_RESET_EXPIRATION || '1h',
+  },
+  
+  emailVerification: {
+    // Block login until the address is verified
+    required: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRATION || '24h',
+  },
+  
+  email: {
+    // console | file, or any transport registered with registerTransport()
+    transport: process.env.EMAIL_TRANSPORT || 'console',
+    from: process.env.EMAIL_FROM || 'no-reply@example.com',
+    fileDir: process.env.EMAIL_FILE_DIR || path.join(__dirname, '../../logs/mail'),
+  },
+  
+  users: {
+    // How long deleted users can be restored before they are purged
+    deletedRetention: process.env.DELETED_USER_RETENTION || '30d',
+  },
+  
+  // Public URL used in links sent by email
+  appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || '3000'}`,
+  
+  oidc: {
+    providers: oidcProviders(
+      process.env.APP_URL || `http://localhost:${process.env.PORT || '3000'}`,
+      process.env.API_VERSION || 'v1'
+    ),
+    // Lifetime of the state cookie between redirect and callback
+    stateExpiresIn: process.env.OIDC_STATE_EXPIRATION || '10m',
   },
   
   encryption: {
     key: process.env.ENCRYPTION_KEY || 'your-32-char-encryption-key-here',
   },
   
+  database: {
+    // Storage backend used by the models: mongodb | mysql | dynamodb | memory
+    type: process.env.DB_TYPE || 'mysql',
+    // While users move to another store, every user write also goes to
+    // USERS_DUAL_WRITE_DB. USERS_PRIMARY_DB says which of the two serves
+    // reads and is written first; USERS_SHADOW_READS repeats reads on the
+    // other one and logs differences.
+    dualWrite: {
+      store: process.env.USERS_DUAL_WRITE_DB,
+      primary: process.env.USERS_PRIMARY_DB || process.env.DB_TYPE || 'mysql',
+      shadowReads: process.env.USERS_SHADOW_READS === 'true',
+    },
+    // Connection attempts per store, with exponential backoff and jitter
+    // between them, before startup fails
+    connectRetry: {
+      attempts: parseInt(process.env.DB_CONNECT_ATTEMPTS || '10', 10),
+      delayMs: parseInt(process.env.DB_CONNECT_RETRY_DELAY_MS || '500', 10),
+      maxDelayMs: parseInt(process.env.DB_CONNECT_RETRY_MAX_DELAY_MS || '30000', 10),
+    },
+    // Consecutive failures to reach a store that open its circuit breaker,
+    // and how long requests then fail fast before one is tried again
+    circuitBreaker: {
+      threshold: parseInt(process.env.DB_BREAKER_THRESHOLD || '5', 10),
+      resetMs: parseInt(process.env.DB_BREAKER_RESET_MS || '30000', 10),
+    },
+  },
+  
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/express_api_server',
   },
@@ -36,6 +132,7 @@ const config = {
   
   dynamodb: {
     region: process.env.AWS_REGION || 'us-east-1',
+    endpoint: process.env.DYNAMODB_ENDPOINT,
     credentials: {
       accessKeyId: process.env.AWS_ACCESS_KEY_ID,
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
@@ -52,10 +149,58 @@ const config = {
     origin: process.env.CORS_ORIGIN || '*',
   },
   
+  loginProtection: {
+    // Failed logins per account / per IP before a temporary lockout
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10),
+    ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '20', 10),
+    windowMs: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MS || '900000', 10), // 15 minutes
+    lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS || '900000', 10), // 15 minutes
+    // Delay added per earlier failure, doubling each time up to maxDelayMs
+    delayMs: parseInt(process.env.LOGIN_DELAY_MS || '250', 10),
+    maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS || '5000', 10),
+  },
+  
   rateLimit: {
+    // memory (per process), cluster (shared by all workers) or database
+    store: process.env.RATE_LIMIT_STORE || 'cluster',
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10), // 15 minutes
-    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10), // limit each IP to 100 requests per windowMs
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10), // limit each client to 100 requests per windowMs
+    // Stricter policy for /auth/* (login, password reset, ...)
+    auth: {
+      windowMs: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_MS || '900000', 10),
+      max: parseInt(process.env.RATE_LIMIT_AUTH_MAX_REQUESTS || '20', 10),
+    },
   },
+});
+
+const config = loadConfig();
+
+// Development defaults that must never reach production
+const defaultSecrets = (checked) => ({
+  JWT_SECRET: checked.jwt.secret === 'your-secret-key',
+  ENCRYPTION_KEY: checked.encryption.key === 'your-32-char-encryption-key-here',
+});
+
+// Called on startup (and by the primary on reload, with a freshly loaded
+// configuration); throws on configuration the server must not run with
+export const validateConfig = (checked = config) => {
+  if (!['RS256', 'ES256', 'HS256'].includes(checked.jwt.algorithm)) {
+    throw new Error(`Unsupported JWT_ALGORITHM: ${checked.jwt.algorithm}`);
+  }
+
+  const { type, dualWrite } = checked.database;
+  if (dualWrite.store === type) {
+    throw new Error('USERS_DUAL_WRITE_DB must be another store than DB_TYPE');
+  }
+  if (![type, dualWrite.store].includes(dualWrite.primary)) {
+    throw new Error('USERS_PRIMARY_DB must be DB_TYPE or USERS_DUAL_WRITE_DB');
+  }
+
+  const secrets = defaultSecrets(checked);
+  const defaults = Object.keys(secrets).filter(name => secrets[name]);
+  if (checked.env === 'production' && defaults.length) {
+    throw new Error(`Refusing to start in production with default secrets: ${defaults.join(', ')}`);
+  }
 };
 
 export default config; 
\ No newline at end of file
@@ -0,0 +1,63 @@
+import db from './utils/database.js';
+import logger from './utils/logger.js';
+import { copyUsers, verifyUsers, defaultCheckpointFile } from './services/userCopy.js';
+
+// Copy every user from one storage backend to another, then verify both
+// hold the same users:
+//   node src/copyUsers.js --from mysql --to dynamodb
+//     [--dry-run]            report what would be copied, write nothing
+//     [--restart]            ignore an existing checkpoint
+//     [--checkpoint <file>]  default user-copy-<from>-<to>.json
+//     [--verify]             only compare counts and checksums
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const flag = (name) => process.argv.includes(`--${name}`);
+
+const verify = async (from, to) => {
+  const { source, target, match } = await verifyUsers({ from, to });
+  logger.info(`${from}: ${source.count} users, checksum ${source.checksum}`);
+  logger.info(`${to}: ${target.count} users, checksum ${target.checksum}`);
+  if (!match) {
+    throw new Error(`The users in ${from} and ${to} differ`);
+  }
+  logger.info('Verified: both backends hold the same users');
+};
+
+const run = async () => {
+  const from = option('from');
+  const to = option('to');
+  if (!from || !to) {
+    console.error('Usage: node src/copyUsers.js --from <db type> --to <db type> [--dry-run] [--restart] [--checkpoint <file>] [--verify]');
+    process.exit(1);
+  }
+
+  try {
+    if (!flag('verify')) {
+      const summary = await copyUsers({
+        from,
+        to,
+        dryRun: flag('dry-run'),
+        restart: flag('restart'),
+        checkpointFile: option('checkpoint') ?? defaultCheckpointFile(from, to)
+      });
+      for (const { id, email, field } of summary.conflicts) {
+        logger.warn(`Skipped user ${id} (${email}): ${field} already in ${to}`);
+      }
+      logger.info(`${summary.dryRun ? 'Would copy' : 'Copied'} ${summary.copied} users (${summary.remapped} with new ids), skipped ${summary.skipped}`);
+    }
+
+    if (flag('verify') || !flag('dry-run')) {
+      await verify(from, to);
+    }
+    await db.closeAll();
+  } catch (error) {
+    logger.error('User copy failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -1,8 +1,16 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { isTokenRevoked } from '../services/tokens.js';
+import { can, permissionsForRole } from '../services/permissions.js';
+import { authenticateApiKey } from '../services/apiKeys.js';
+import { signAccessToken, verifyAccessToken } from '../services/signingKeys.js';
 
-export const verifyToken = (req, res, next) => {
+// Access tokens only, for account and session management routes that API
+// keys must not reach
+export const verifyUserToken = async (req, res, next) => {
+  let decoded;
   try {
     const token = req.headers.authorization?.split(' ')[1] || req.cookies?.token;
 
@@ -13,16 +21,64 @@ export const verifyToken = (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, config.jwt.secret);
-    req.user = decoded;
-    next();
+    decoded = await verifyAccessToken(token);
+
+    // Typed tokens (e.g. mfa_pending) are not access tokens
+    if (decoded.type) {
+      throw new jwt.JsonWebTokenError(`${decoded.type} token used as access token`);
+    }
   } catch (error) {
+    // Anything but a bad token (e.g. the key store being down) is a server error
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      return next(error);
+    }
     logger.error('Token verification failed:', error);
     return res.status(401).json({
       success: false,
       message: 'Invalid token'
     });
   }
+
+  try {
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
+    req.user = decoded;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Access token, or an API key in the X-API-Key header for machine clients.
+// API key requests act as the key's owner, limited to the key's scopes
+// (req.apiKey).
+export const verifyToken = async (req, res, next) => {
+  const key = req.get('x-api-key');
+  if (!key) {
+    return verifyUserToken(req, res, next);
+  }
+
+  try {
+    const result = await authenticateApiKey(key);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key'
+      });
+    }
+
+    const { apiKey, user } = result;
+    req.user = { id: user.id, email: user.email, role: user.role };
+    req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 export const checkRole = (roles) => {
@@ -49,57 +105,88 @@ export const checkRole = (roles) => {
   };
 };
 
-export const generateToken = (user) => {
-  return jwt.sign(
+// Allow the request if the user's role grants `permission`. Options:
+//   owner - (req) => id of the user owning the target resource; a
+//           `<permission>:own` grant then covers the caller's own resources
+//   when  - (req) => boolean; the check only applies when this is true,
+//           e.g. for a field that needs an extra permission to change
+// API keys additionally need the permission (or its `:own` form) in their
+// scopes. The role's permissions are left on req.permissions for handlers.
+export const requirePermission = (permission, { owner, when } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated'
+      });
+    }
+
+    try {
+      const granted = await permissionsForRole(req.user.role);
+      req.permissions = granted;
+
+      if (when && !when(req)) {
+        return next();
+      }
+
+      const own = `${permission}:own`;
+      const keyAllows = (...names) => !req.apiKey || names.some(name => can(req.apiKey.scopes, name));
+      const isOwner = Boolean(owner) && String(owner(req)) === String(req.user.id);
+      const allowed = (can(granted, permission) && keyAllows(permission)) ||
+        (isOwner && (can(granted, permission) || can(granted, own)) && keyAllows(permission, own));
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// `sessionId` ties the access token to the refresh-token session it came from
+export const generateToken = async (user, { sessionId } = {}) => {
+  return signAccessToken(
     {
       id: user.id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      ...(sessionId && { sid: sessionId })
     },
-    config.jwt.secret,
     {
-      expiresIn: config.jwt.expiresIn
+      expiresIn: config.jwt.expiresIn,
+      jwtid: crypto.randomUUID()
     }
   );
 };
 
-export const refreshToken = (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1] || req.cookies?.token;
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided'
-      });
+// Short-lived token proving the password step of a two-factor login. Only
+// this server reads it, so it stays signed with the shared secret and can
+// never pass as an access token elsewhere.
+export const generateMfaToken = (user) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      type: 'mfa_pending'
+    },
+    config.jwt.secret,
+    {
+      expiresIn: config.twoFactor.pendingExpiresIn
     }
+  );
+};
 
+// Returns the decoded mfa_pending token, or null if it is not one
+export const verifyMfaToken = (token) => {
+  try {
     const decoded = jwt.verify(token, config.jwt.secret);
-    const newToken = generateToken({
-      id: decoded.id,
-      email: decoded.email,
-      role: decoded.role
-    });
-
-    // Set the new token in response header
-    res.setHeader('X-New-Token', newToken);
-    
-    // If using cookies, update the cookie
-    if (req.cookies?.token) {
-      res.cookie('token', newToken, {
-        httpOnly: true,
-        secure: config.env === 'production',
-        sameSite: 'strict',
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-      });
-    }
-
-    next();
+    return decoded.type === 'mfa_pending' ? decoded : null;
   } catch (error) {
-    logger.error('Token refresh failed:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
+    return null;
   }
-}; 
\ No newline at end of file
+};
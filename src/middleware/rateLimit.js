@@ -0,0 +1,134 @@
+import rateLimit from 'express-rate-limit';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import counterStore from '../utils/counterStore.js';
+import RateLimitCounter from '../models/RateLimitCounter.js';
+import { verifyAccessToken } from '../services/signingKeys.js';
+
+// Rate limiting with named policies. Hits are counted in the store selected
+// by RATE_LIMIT_STORE so that limits hold across cluster workers:
+//   memory   - express-rate-limit's own per-process store
+//   cluster  - the shared counter store (primary process over IPC)
+//   database - the RateLimitCounter model on the configured database
+
+// Counters kept in utils/counterStore.js
+class ClusterStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { count, resetAt } = await counterStore.increment(this.prefix + key, this.windowMs);
+    return { totalHits: count, resetTime: new Date(resetAt) };
+  }
+
+  async decrement(key) {
+    await counterStore.decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await counterStore.delete(this.prefix + key);
+  }
+}
+
+// Counters kept in the database, shared by every process and container
+class DatabaseStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const counter = await RateLimitCounter.hit(this.prefix + key, this.windowMs);
+    return {
+      totalHits: counter?.hits ?? 1,
+      resetTime: counter ? new Date(counter.resetAt) : new Date(Date.now() + this.windowMs)
+    };
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.reset(this.prefix + key);
+  }
+}
+
+const stores = {
+  memory: () => undefined,
+  cluster: (prefix) => new ClusterStore(prefix),
+  database: (prefix) => new DatabaseStore(prefix)
+};
+
+// Authenticated requests are limited per user, everything else per IP. The
+// token signature is checked here; revocation is left to verifyToken.
+const keyByUser = async (req) => {
+  const token = req.headers.authorization?.split(' ')[1] || req.cookies?.token;
+  if (token) {
+    try {
+      const decoded = await verifyAccessToken(token);
+      if (!decoded.type && decoded.id) {
+        return `user:${decoded.id}`;
+      }
+    } catch (error) {
+      // Invalid tokens fall back to the IP address
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+const keyByIp = (req) => `ip:${req.ip}`;
+
+export const policies = {
+  default: {
+    windowMs: config.rateLimit.windowMs,
+    max: config.rateLimit.max,
+    keyGenerator: keyByUser
+  },
+  auth: {
+    windowMs: config.rateLimit.auth.windowMs,
+    max: config.rateLimit.auth.max,
+    keyGenerator: keyByIp
+  }
+};
+
+export const createRateLimiter = (name, { windowMs, max, keyGenerator = keyByIp }) => {
+  const createStore = stores[config.rateLimit.store];
+  if (!createStore) {
+    throw new Error(`Unknown rate limit store: ${config.rateLimit.store}`);
+  }
+
+  const limiter = rateLimit({
+    windowMs,
+    max,
+    keyGenerator,
+    store: createStore(`rl:${name}:`),
+    message: {
+      success: false,
+      message: 'Too many requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+  // A store outage should not take the API down with it
+  return (req, res, next) => limiter(req, res, (error) => {
+    if (error) {
+      logger.error(`Rate limit store error (${name}):`, error);
+    }
+    next();
+  });
+};
+
+export const rateLimiter = createRateLimiter('default', policies.default);
+export const authRateLimiter = createRateLimiter('auth', policies.auth);
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+// Tag every request with an ID (req.id), echoed in the X-Request-ID
+// response header. An ID set by the proxy in front of us is kept if it
+// looks sane, so log lines and audit entries can be matched across hops.
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+  next();
+};
@@ -1,26 +1,13 @@
-import rateLimit from 'express-rate-limit';
 import cors from 'cors';
 import helmet from 'helmet';
 import config from '../config/index.js';
 
-// Rate limiting middleware
-export const rateLimiter = rateLimit({
-  windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.max,
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
 // CORS configuration
 export const corsOptions = {
   origin: config.cors.origin,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['X-New-Token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true,
   maxAge: 86400 // 24 hours
 };
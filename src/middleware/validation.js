@@ -1,5 +1,24 @@
 import Joi from 'joi';
 import logger from '../utils/logger.js';
+import { AUDIT_ACTIONS } from '../services/audit.js';
+import User from '../models/User.js';
+import { JSON_PATCH_OPERATIONS } from '../utils/patch.js';
+
+// Comma-separated list of field names, each one of `allowed`
+const fieldList = (allowed) => Joi.string().custom((value, helpers) => {
+  const fields = [...new Set(value.split(',').map(field => field.trim()).filter(Boolean))];
+  const unknown = fields.filter(field => field !== 'id' && !allowed.includes(field));
+  if (unknown.length) {
+    return helpers.message(`Unknown fields: ${unknown.join(', ')}`);
+  }
+  return fields.filter(field => field !== 'id');
+});
+
+// Joi error details as { path, message } pairs for the response
+export const validationErrors = (error) => error.details.map(detail => ({
+  path: detail.path.join('.'),
+  message: detail.message
+}));
 
 export const validate = (schema) => {
   return (req, res, next) => {
@@ -19,10 +38,7 @@ export const validate = (schema) => {
     const { error, value } = schema.validate(dataToValidate, validationOptions);
     
     if (error) {
-      const errors = error.details.map(detail => ({
-        path: detail.path.join('.'),
-        message: detail.message
-      }));
+      const errors = validationErrors(error);
 
       logger.warn('Validation error:', { path: req.path, errors });
       
@@ -50,22 +66,42 @@ export const schemas = {
     })
   }),
 
-  pagination: Joi.object({
-    query: Joi.object({
-      page: Joi.number().integer().min(1).default(1),
-      limit: Joi.number().integer().min(1).max(100).default(10),
-      sort: Joi.string().valid('asc', 'desc').default('desc'),
-      sortBy: Joi.string()
-    })
-  }),
-
   user: {
+    // `page` selects offset pagination, otherwise pages follow `cursor`
+    list: Joi.object({
+      query: Joi.object({
+        page: Joi.number().integer().min(1),
+        cursor: Joi.string(),
+        limit: Joi.number().integer().min(1).max(100).default(10),
+        total: Joi.boolean().default(false),
+        // Left unset by default: cursor pages on DynamoDB cannot be sorted
+        sort: Joi.string().valid('asc', 'desc'),
+        sortBy: Joi.string().valid(...User.fieldsWith('sortable')),
+        includeDeleted: Joi.boolean().default(false),
+        role: Joi.string().max(64),
+        createdFrom: Joi.date().iso(),
+        createdTo: Joi.date().iso().when('createdFrom', { is: Joi.exist(), then: Joi.date().min(Joi.ref('createdFrom')) }),
+        emailDomain: Joi.string().domain(),
+        search: Joi.string().trim().min(1).max(100),
+        fields: fieldList(User.fieldsWith('selectable'))
+      }).oxor('page', 'cursor')
+    }),
+
+    get: Joi.object({
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      query: Joi.object({
+        includeDeleted: Joi.boolean().default(false)
+      })
+    }),
+
     create: Joi.object({
       body: Joi.object({
         email: Joi.string().email().required(),
         password: Joi.string().min(8).required(),
         name: Joi.string().required(),
-        role: Joi.string().valid('user', 'admin').default('user')
+        role: Joi.string().max(64)
       })
     }),
 
@@ -76,16 +112,214 @@ export const schemas = {
       body: Joi.object({
         email: Joi.string().email(),
         password: Joi.string().min(8),
+        currentPassword: Joi.string(),
         name: Joi.string(),
-        role: Joi.string().valid('user', 'admin')
+        role: Joi.string().max(64)
       }).min(1)
     }),
 
+    export: Joi.object({
+      query: Joi.object({
+        format: Joi.string().valid('ndjson', 'csv').default('ndjson'),
+        includeDeleted: Joi.boolean().default(false)
+      })
+    }),
+
+    // A merge patch (an object) or a JSON Patch (an array of operations);
+    // the Content-Type says which
+    patch: Joi.object({
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      body: Joi.alternatives().try(
+        Joi.array().items(Joi.object({
+          op: Joi.string().valid(...JSON_PATCH_OPERATIONS).required(),
+          path: Joi.string().allow('').required(),
+          from: Joi.string().allow('').when('op', { is: Joi.valid('move', 'copy'), then: Joi.required() }),
+          value: Joi.any().when('op', { is: Joi.valid('add', 'replace', 'test'), then: Joi.required() })
+        })).min(1),
+        Joi.object().min(1)
+      ).required()
+    }),
+
+    // The user a patch produces: the update fields, with the required ones
+    // still present and nothing else
+    patched: Joi.object({
+      email: Joi.string().email().required(),
+      password: Joi.string().min(8),
+      name: Joi.string().required(),
+      role: Joi.string().max(64).required()
+    }),
+
     login: Joi.object({
       body: Joi.object({
         email: Joi.string().email().required(),
-        password: Joi.string().required()
+        password: Joi.string().required(),
+        deviceId: Joi.string().max(255)
+      })
+    })
+  },
+
+  auth: {
+    // Self-registration always gets the default role
+    register: Joi.object({
+      body: Joi.object({
+        email: Joi.string().email().required(),
+        password: Joi.string().min(8).required(),
+        name: Joi.string().required()
+      })
+    }),
+
+    oidcProvider: Joi.object({
+      params: Joi.object({
+        provider: Joi.string().required()
+      })
+    }),
+
+    // Providers redirect back with either a code or an error
+    oidcCallback: Joi.object({
+      params: Joi.object({
+        provider: Joi.string().required()
+      }),
+      query: Joi.object({
+        code: Joi.string(),
+        state: Joi.string().required(),
+        error: Joi.string(),
+        error_description: Joi.string()
+      }).xor('code', 'error')
+    }),
+
+    refresh: Joi.object({
+      body: Joi.object({
+        refreshToken: Joi.string().required()
+      })
+    }),
+
+    forgotPassword: Joi.object({
+      body: Joi.object({
+        email: Joi.string().email().required()
+      })
+    }),
+
+    verifyEmail: Joi.object({
+      query: Joi.object({
+        token: Joi.string().required()
+      })
+    }),
+
+    resendVerification: Joi.object({
+      body: Joi.object({
+        email: Joi.string().email().required()
+      })
+    }),
+
+    resetPassword: Joi.object({
+      body: Joi.object({
+        token: Joi.string().required(),
+        password: Joi.string().min(8).required()
+      })
+    })
+  },
+
+  apiKey: {
+    list: Joi.object({
+      params: Joi.object({
+        id: Joi.string().required()
+      })
+    }),
+
+    get: Joi.object({
+      params: Joi.object({
+        id: Joi.string().required(),
+        keyId: Joi.string().required()
+      })
+    }),
+
+    create: Joi.object({
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      body: Joi.object({
+        name: Joi.string().max(255).required(),
+        scopes: Joi.array().items(Joi.string()).unique().min(1).required(),
+        expiresAt: Joi.date().greater('now').allow(null)
       })
+    }),
+
+    update: Joi.object({
+      params: Joi.object({
+        id: Joi.string().required(),
+        keyId: Joi.string().required()
+      }),
+      body: Joi.object({
+        name: Joi.string().max(255),
+        scopes: Joi.array().items(Joi.string()).unique().min(1),
+        expiresAt: Joi.date().greater('now').allow(null)
+      }).min(1)
+    })
+  },
+
+  role: {
+    name: Joi.object({
+      params: Joi.object({
+        name: Joi.string().required()
+      })
+    }),
+
+    create: Joi.object({
+      body: Joi.object({
+        name: Joi.string().pattern(/^[a-z][a-z0-9_-]*$/).max(64).required(),
+        description: Joi.string().allow('').max(255),
+        permissions: Joi.array().items(Joi.string()).unique().required()
+      })
+    }),
+
+    update: Joi.object({
+      params: Joi.object({
+        name: Joi.string().required()
+      }),
+      body: Joi.object({
+        description: Joi.string().allow('').max(255),
+        permissions: Joi.array().items(Joi.string()).unique()
+      }).min(1)
+    })
+  },
+
+  audit: {
+    // `actor` is an (encrypted) user id
+    list: Joi.object({
+      query: Joi.object({
+        actor: Joi.string(),
+        action: Joi.string().valid(...AUDIT_ACTIONS),
+        from: Joi.date().iso(),
+        to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(50)
+      })
+    })
+  },
+
+  twoFactor: {
+    confirm: Joi.object({
+      body: Joi.object({
+        code: Joi.string().pattern(/^\d{6}$/).required()
+      })
+    }),
+
+    // A TOTP code or a recovery code, not both
+    challenge: Joi.object({
+      body: Joi.object({
+        code: Joi.string().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string()
+      }).xor('code', 'recoveryCode')
+    }),
+
+    verify: Joi.object({
+      body: Joi.object({
+        mfaToken: Joi.string().required(),
+        code: Joi.string().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string()
+      }).xor('code', 'recoveryCode')
     })
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,61 @@
+import db from './utils/database.js';
+import logger from './utils/logger.js';
+import { migrateUp, migrateDown, migrationStatus, configuredStores } from './services/migrations.js';
+
+// Schema migrations for every configured store (DB_TYPE and
+// USERS_DUAL_WRITE_DB), or only the one given with --store:
+//   node src/migrate.js up [--to NNN-name]   apply pending migrations
+//   node src/migrate.js down [--steps N]     roll back the last N (default 1)
+//   node src/migrate.js status               list applied and pending
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const stores = () => (option('store') ? [option('store')] : configuredStores());
+
+const commands = {
+  up: async () => {
+    for (const store of stores()) {
+      const applied = await migrateUp({ to: option('to'), store });
+      logger.info(applied.length ? `Applied ${applied.join(', ')} to ${store}` : `No pending migrations on ${store}`);
+    }
+  },
+  down: async () => {
+    const steps = Number(option('steps') ?? 1);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('--steps must be a positive integer');
+    }
+    for (const store of stores()) {
+      const rolledBack = await migrateDown({ steps, store });
+      logger.info(rolledBack.length ? `Rolled back ${rolledBack.join(', ')} on ${store}` : `No applied migrations on ${store}`);
+    }
+  },
+  status: async () => {
+    for (const store of stores()) {
+      console.log(`${store}:`);
+      for (const { name, appliedAt } of await migrationStatus({ store })) {
+        console.log(`  ${appliedAt ? new Date(appliedAt).toISOString() : 'pending'.padEnd(24)}  ${name}`);
+      }
+    }
+  }
+};
+
+const run = async () => {
+  const command = commands[process.argv[2]];
+  if (!command) {
+    console.error('Usage: node src/migrate.js up [--to NNN-name] | down [--steps N] | status [--store TYPE]');
+    process.exit(1);
+  }
+
+  try {
+    await command();
+    await db.closeAll();
+  } catch (error) {
+    logger.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,237 @@
+import { globalIndex } from '../repositories/index.js';
+
+// The tables every model needs, as they stood before migrations were
+// introduced. CREATE ... IF NOT EXISTS makes this a no-op on databases the
+// server used to set up itself; 002 brings an older users table up to date.
+
+const MYSQL_TABLES = [
+  `
+  CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    role ENUM('user', 'admin') DEFAULT 'user',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX email_index (email)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(64) NOT NULL,
+    family_id VARCHAR(64) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    device_id VARCHAR(255) NULL,
+    user_agent VARCHAR(512) NULL,
+    ip VARCHAR(64) NULL,
+    session_started_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL,
+    rotated_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX user_index (user_id),
+    INDEX family_index (family_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS revoked_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    jti VARCHAR(64) NOT NULL UNIQUE,
+    user_id VARCHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX expires_index (expires_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS one_time_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(64) NOT NULL,
+    purpose VARCHAR(64) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX user_index (user_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS rate_limit_counters (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    counter_key VARCHAR(255) NOT NULL UNIQUE,
+    hits INT NOT NULL DEFAULT 0,
+    reset_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX reset_index (reset_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS roles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(64) NOT NULL UNIQUE,
+    description VARCHAR(255) NOT NULL DEFAULT '',
+    permissions JSON NOT NULL,
+    built_in BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(64) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes JSON NOT NULL,
+    expires_at DATETIME NULL,
+    last_used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX user_index (user_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS linked_identities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    identity_key VARCHAR(320) NOT NULL UNIQUE,
+    provider VARCHAR(64) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    user_id VARCHAR(64) NOT NULL,
+    email VARCHAR(255) NULL,
+    last_login_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX user_index (user_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS signing_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    kid VARCHAR(64) NOT NULL UNIQUE,
+    algorithm VARCHAR(16) NOT NULL,
+    public_jwk JSON NOT NULL,
+    private_key TEXT NOT NULL,
+    retired_at DATETIME NULL,
+    expires_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS audit_logs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    action VARCHAR(64) NOT NULL,
+    actor_id VARCHAR(64) NULL,
+    actor_role VARCHAR(64) NULL,
+    api_key_id VARCHAR(64) NULL,
+    target_user_id VARCHAR(64) NULL,
+    ip VARCHAR(64) NULL,
+    user_agent VARCHAR(512) NULL,
+    request_id VARCHAR(128) NULL,
+    changes JSON NULL,
+    metadata JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX action_index (action),
+    INDEX actor_index (actor_id),
+    INDEX target_index (target_user_id),
+    INDEX created_index (created_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `
+];
+
+export const mysql = {
+  async up({ pool }) {
+    for (const query of MYSQL_TABLES) {
+      await pool.query(query);
+    }
+  },
+
+  async down({ pool }) {
+    for (const query of [...MYSQL_TABLES].reverse()) {
+      const [, table] = query.match(/CREATE TABLE IF NOT EXISTS (\w+)/);
+      await pool.query('DROP TABLE IF EXISTS ??', [table]);
+    }
+  }
+};
+
+// Collection name -> its indexes as [keys, options], spelled out as the
+// models declared them here rather than read from the live models, so a
+// later schema change needs a migration of its own
+const MONGODB_COLLECTIONS = {
+  users: [[{ email: 1 }, { unique: true }]],
+  refreshtokens: [[{ userId: 1 }], [{ familyId: 1 }], [{ tokenHash: 1 }, { unique: true }]],
+  revokedtokens: [[{ jti: 1 }, { unique: true }], [{ expiresAt: 1 }, { expireAfterSeconds: 0 }]],
+  onetimetokens: [[{ userId: 1 }], [{ tokenHash: 1 }, { unique: true }]],
+  ratelimitcounters: [[{ key: 1 }, { unique: true }], [{ resetAt: 1 }, { expireAfterSeconds: 0 }]],
+  roles: [[{ name: 1 }, { unique: true }]],
+  apikeys: [[{ userId: 1 }], [{ keyHash: 1 }, { unique: true }]],
+  linkedidentities: [[{ identityKey: 1 }, { unique: true }], [{ userId: 1 }]],
+  signingkeys: [[{ kid: 1 }, { unique: true }]],
+  auditlogs: [[{ action: 1 }], [{ actorId: 1 }], [{ targetUserId: 1 }], [{ createdAt: 1 }]]
+};
+
+export const mongodb = {
+  async up({ connection }) {
+    const database = connection.connection.db;
+    const existing = new Set((await database.listCollections({}, { nameOnly: true }).toArray()).map(({ name }) => name));
+
+    for (const [name, indexes] of Object.entries(MONGODB_COLLECTIONS)) {
+      if (!existing.has(name)) {
+        await database.createCollection(name);
+      }
+      for (const [keys, options = {}] of indexes) {
+        await database.collection(name).createIndex(keys, options);
+      }
+    }
+  },
+
+  async down({ connection }) {
+    const database = connection.connection.db;
+    for (const name of Object.keys(MONGODB_COLLECTIONS).reverse()) {
+      await database.collection(name).drop().catch((error) => {
+        if (error.codeName !== 'NamespaceNotFound') throw error;
+      });
+    }
+  }
+};
+
+// Table name -> { IndexName: attribute } of its string GSIs
+const DYNAMODB_TABLES = {
+  users: { EmailIndex: 'email' },
+  refresh_tokens: { TokenHashIndex: 'tokenHash', UserIndex: 'userId', FamilyIndex: 'familyId' },
+  revoked_tokens: { JtiIndex: 'jti' },
+  one_time_tokens: { TokenHashIndex: 'tokenHash', UserIndex: 'userId' },
+  rate_limit_counters: { KeyIndex: 'key' },
+  roles: { NameIndex: 'name' },
+  api_keys: { KeyHashIndex: 'keyHash', UserIndex: 'userId' },
+  linked_identities: { IdentityKeyIndex: 'identityKey', UserIndex: 'userId' },
+  signing_keys: { KidIndex: 'kid' },
+  audit_logs: { ActionIndex: 'action', ActorIndex: 'actorId' }
+};
+
+export const dynamodb = {
+  async up({ createTable }) {
+    for (const [name, indexes] of Object.entries(DYNAMODB_TABLES)) {
+      const attributes = [...new Set(['id', ...Object.values(indexes)])];
+      await createTable(name, {
+        KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+        AttributeDefinitions: attributes.map(AttributeName => ({ AttributeName, AttributeType: 'S' })),
+        GlobalSecondaryIndexes: Object.entries(indexes).map(([indexName, attribute]) => globalIndex(indexName, attribute))
+      });
+    }
+  },
+
+  async down({ deleteTable }) {
+    for (const name of Object.keys(DYNAMODB_TABLES).reverse()) {
+      await deleteTable(name);
+    }
+  }
+};
@@ -0,0 +1,46 @@
+// Bring a users table created from the original schema (or the old
+// init-mysql.sql) up to the columns the User model reads today. Each step
+// checks first, so tables that already have them are left alone.
+// MongoDB and DynamoDB store users schemaless: nothing to do there.
+
+const COLUMNS = [
+  ['email_verified', 'BOOLEAN NOT NULL DEFAULT FALSE'],
+  ['two_factor_enabled', 'BOOLEAN NOT NULL DEFAULT FALSE'],
+  ['two_factor_secret', 'VARCHAR(255) NULL'],
+  ['two_factor_pending_secret', 'VARCHAR(255) NULL'],
+  ['two_factor_recovery_codes', 'JSON NULL'],
+  ['two_factor_last_step', 'BIGINT NULL'],
+  ['tokens_valid_after', 'DATETIME NULL'],
+  ['deleted_at', 'DATETIME NULL'],
+  ['version', 'INT NOT NULL DEFAULT 0']
+];
+
+export const mysql = {
+  async up({ pool, hasColumn, hasIndex }) {
+    // Roles are no longer a fixed list
+    await pool.query("ALTER TABLE users MODIFY role VARCHAR(64) DEFAULT 'user'");
+
+    for (const [column, type] of COLUMNS) {
+      if (!(await hasColumn('users', column))) {
+        await pool.query(`ALTER TABLE users ADD COLUMN ?? ${type}`, [column]);
+      }
+    }
+    if (!(await hasIndex('users', 'deleted_index'))) {
+      await pool.query('ALTER TABLE users ADD INDEX deleted_index (deleted_at)');
+    }
+  },
+
+  async down({ pool, hasColumn, hasIndex }) {
+    if (await hasIndex('users', 'deleted_index')) {
+      await pool.query('ALTER TABLE users DROP INDEX deleted_index');
+    }
+    for (const [column] of [...COLUMNS].reverse()) {
+      if (await hasColumn('users', column)) {
+        await pool.query('ALTER TABLE users DROP COLUMN ??', [column]);
+      }
+    }
+    // Users with a custom role fall back to the default
+    await pool.query("UPDATE users SET role = 'user' WHERE role NOT IN ('user', 'admin')");
+    await pool.query("ALTER TABLE users MODIFY role ENUM('user', 'admin') DEFAULT 'user'");
+  }
+};
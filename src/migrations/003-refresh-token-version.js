@@ -0,0 +1,17 @@
+// Refresh tokens are versioned, so a token is rotated only once even when it
+// is presented twice at the same time. Rows from before start at version 0.
+// MongoDB and DynamoDB store tokens schemaless: nothing to do there.
+
+export const mysql = {
+  async up({ pool, hasColumn }) {
+    if (!(await hasColumn('refresh_tokens', 'version'))) {
+      await pool.query('ALTER TABLE refresh_tokens ADD COLUMN version INT NOT NULL DEFAULT 0');
+    }
+  },
+
+  async down({ pool, hasColumn }) {
+    if (await hasColumn('refresh_tokens', 'version')) {
+      await pool.query('ALTER TABLE refresh_tokens DROP COLUMN version');
+    }
+  }
+};
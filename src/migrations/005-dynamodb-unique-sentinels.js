@@ -0,0 +1,69 @@
+import { ScanCommand, PutCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+import logger from '../utils/logger.js';
+import { uniqueKey } from '../repositories/index.js';
+
+// DynamoDB items claim their unique values with sentinel items (see
+// DynamoRepository). This writes the sentinels of the items stored before
+// that; a value already held by more than one item stays with the first
+// one met and the others are logged, to be fixed by hand. The other
+// backends enforce uniqueness with their indexes.
+
+// Table name -> its unique fields, as the models declare them
+const UNIQUE_FIELDS = {
+  users: ['email'],
+  refresh_tokens: ['tokenHash'],
+  revoked_tokens: ['jti'],
+  one_time_tokens: ['tokenHash'],
+  rate_limit_counters: ['key'],
+  roles: ['name'],
+  api_keys: ['keyHash'],
+  linked_identities: ['identityKey'],
+  signing_keys: ['kid'],
+  schema_migrations: ['name']
+};
+
+async function* scanItems(client, TableName) {
+  let ExclusiveStartKey;
+  do {
+    const result = await client.send(new ScanCommand({ TableName, ExclusiveStartKey }));
+    yield* result.Items;
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+}
+
+export const dynamodb = {
+  async up({ client, tableName }) {
+    for (const [name, fields] of Object.entries(UNIQUE_FIELDS)) {
+      const TableName = tableName(name);
+      // Sentinels have none of the unique fields, so they are passed over
+      for await (const item of scanItems(client, TableName)) {
+        for (const field of fields) {
+          if (item[field] === undefined || item[field] === null) continue;
+          try {
+            await client.send(new PutCommand({
+              TableName,
+              Item: { id: uniqueKey(field, item[field]), ownerId: item.id },
+              ConditionExpression: 'attribute_not_exists(id) OR ownerId = :owner',
+              ExpressionAttributeValues: { ':owner': item.id }
+            }));
+          } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') throw error;
+            logger.warn(`${name} item ${item.id} shares its ${field} with another item`);
+          }
+        }
+      }
+    }
+  },
+
+  async down({ client, tableName }) {
+    for (const [name, fields] of Object.entries(UNIQUE_FIELDS)) {
+      const TableName = tableName(name);
+      const prefixes = fields.map(field => uniqueKey(field, ''));
+      for await (const item of scanItems(client, TableName)) {
+        if (prefixes.some(prefix => String(item.id).startsWith(prefix))) {
+          await client.send(new DeleteCommand({ TableName, Key: { id: item.id } }));
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,28 @@
+// Signing keys are published before they start signing (`activates_at`) and
+// retired with a conditional write, so of several processes rotating at once
+// only one succeeds. Keys from before activated when they were created and
+// start at version 0. MongoDB and DynamoDB store keys schemaless: nothing to
+// do there.
+
+const COLUMNS = [
+  ['activates_at', 'DATETIME NULL'],
+  ['version', 'INT NOT NULL DEFAULT 0']
+];
+
+export const mysql = {
+  async up({ pool, hasColumn }) {
+    for (const [column, type] of COLUMNS) {
+      if (!(await hasColumn('signing_keys', column))) {
+        await pool.query(`ALTER TABLE signing_keys ADD COLUMN ?? ${type}`, [column]);
+      }
+    }
+  },
+
+  async down({ pool, hasColumn }) {
+    for (const [column] of [...COLUMNS].reverse()) {
+      if (await hasColumn('signing_keys', column)) {
+        await pool.query('ALTER TABLE signing_keys DROP COLUMN ??', [column]);
+      }
+    }
+  }
+};
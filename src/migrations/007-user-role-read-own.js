@@ -0,0 +1,66 @@
+import { QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+// The built-in `user` role was created granting `users:read`, which reads
+// any user. Regular accounts only read themselves: the role now grants
+// `users:read:own` instead. Roles created by hand are left as they are.
+
+const swap = (permissions, from, to) => (permissions.includes(from)
+  ? [...new Set(permissions.map(permission => (permission === from ? to : permission)))]
+  : null);
+
+const mysqlStep = (from, to) => async ({ pool }) => {
+  const [rows] = await pool.query("SELECT id, permissions FROM roles WHERE name = 'user' AND built_in = TRUE");
+  for (const { id, permissions } of rows) {
+    const swapped = swap(typeof permissions === 'string' ? JSON.parse(permissions) : permissions, from, to);
+    if (swapped) {
+      await pool.query('UPDATE roles SET permissions = ? WHERE id = ?', [JSON.stringify(swapped), id]);
+    }
+  }
+};
+
+const mongodbStep = (from, to) => async ({ connection }) => {
+  const roles = connection.connection.db.collection('roles');
+  const role = await roles.findOne({ name: 'user', builtIn: true });
+  const swapped = role && swap(role.permissions || [], from, to);
+  if (swapped) {
+    await roles.updateOne({ _id: role._id }, { $set: { permissions: swapped } });
+  }
+};
+
+const dynamodbStep = (from, to) => async ({ client, tableName }) => {
+  const TableName = tableName('roles');
+  const { Items = [] } = await client.send(new QueryCommand({
+    TableName,
+    IndexName: 'NameIndex',
+    KeyConditionExpression: '#name = :name',
+    ExpressionAttributeNames: { '#name': 'name' },
+    ExpressionAttributeValues: { ':name': 'user' }
+  }));
+  for (const role of Items.filter(item => item.builtIn)) {
+    const swapped = swap(role.permissions || [], from, to);
+    if (swapped) {
+      await client.send(new UpdateCommand({
+        TableName,
+        Key: { id: role.id },
+        UpdateExpression: 'SET #permissions = :permissions',
+        ExpressionAttributeNames: { '#permissions': 'permissions' },
+        ExpressionAttributeValues: { ':permissions': swapped }
+      }));
+    }
+  }
+};
+
+export const mysql = {
+  up: mysqlStep('users:read', 'users:read:own'),
+  down: mysqlStep('users:read:own', 'users:read')
+};
+
+export const mongodb = {
+  up: mongodbStep('users:read', 'users:read:own'),
+  down: mongodbStep('users:read:own', 'users:read')
+};
+
+export const dynamodb = {
+  up: dynamodbStep('users:read', 'users:read:own'),
+  down: dynamodbStep('users:read:own', 'users:read')
+};
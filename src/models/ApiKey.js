@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+// Long-lived credentials for machine clients. Each key belongs to a user,
+// is limited to a set of permission scopes and is stored as a SHA-256 hash;
+// `prefix` is kept in clear so owners can tell their keys apart.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  scopes: { type: [String], default: [] },
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoApiKey = mongoose.model('ApiKey', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'api_keys',
+  unique: ['keyHash'],
+  mongodb: {
+    model: MongoApiKey
+  },
+  mysql: {
+    json: ['scopes'],
+    columns: {
+      userId: 'user_id',
+      keyHash: 'key_hash',
+      expiresAt: 'expires_at',
+      lastUsedAt: 'last_used_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      keyHash: 'KeyHashIndex',
+      userId: 'UserIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+class ApiKey {
+  static get repository() {
+    return repository;
+  }
+
+  static async initializeTables() {
+    await repository.initialize();
+    logger.info('API key storage initialized');
+  }
+
+  static async create(fields) {
+    return repository.save({
+      ...fields,
+      userId: String(fields.userId),
+      expiresAt: fields.expiresAt || null,
+      lastUsedAt: null
+    });
+  }
+
+  static async findByHash(keyHash) {
+    return repository.findOne({ keyHash });
+  }
+
+  // A user's key by id; null if it belongs to someone else
+  static async findForUser(userId, id) {
+    const key = await repository.findById(id);
+    return key && key.userId === String(userId) ? key : null;
+  }
+
+  static async findByUser(userId) {
+    const keys = await repository.find({ userId: String(userId) });
+    return keys.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  static async update(id, fields) {
+    return repository.save({ id, ...fields });
+  }
+
+  static async touch(id) {
+    return repository.save({ id, lastUsedAt: new Date() });
+  }
+
+  static async delete(id) {
+    return repository.delete(id);
+  }
+
+  static isExpired(key) {
+    return Boolean(key.expiresAt) && new Date(key.expiresAt) <= new Date();
+  }
+
+  // Never expose the hash; the owner is already in the URL, and raw ids
+  // are not shown to clients
+  static toJSON(key) {
+    const { keyHash, userId, ...fields } = key;
+    return fields;
+  }
+}
+
+export default ApiKey;
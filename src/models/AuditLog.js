@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+// Append-only trail of security-relevant actions (see services/audit.js).
+// Entries are only ever inserted; nothing here updates or deletes them.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  action: { type: String, required: true, index: true },
+  actorId: { type: String, default: null, index: true },
+  actorRole: { type: String, default: null },
+  apiKeyId: { type: String, default: null },
+  targetUserId: { type: String, default: null, index: true },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  requestId: { type: String, default: null },
+  changes: { type: Object, default: null },
+  metadata: { type: Object, default: null },
+  createdAt: { type: Date, default: Date.now, index: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoAuditLog = mongoose.model('AuditLog', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'audit_logs',
+  fields: {
+    action: { filterable: true },
+    actorId: { filterable: true },
+    createdAt: { sortable: true, filterable: true }
+  },
+  mongodb: {
+    model: MongoAuditLog
+  },
+  mysql: {
+    json: ['changes', 'metadata'],
+    columns: {
+      actorId: 'actor_id',
+      actorRole: 'actor_role',
+      apiKeyId: 'api_key_id',
+      targetUserId: 'target_user_id',
+      userAgent: 'user_agent',
+      requestId: 'request_id',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      action: 'ActionIndex',
+      actorId: 'ActorIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+class AuditLog {
+  static get repository() {
+    return repository;
+  }
+
+  static async initializeTables() {
+    await repository.initialize();
+    logger.info('Audit log storage initialized');
+  }
+
+  // Empty fields are left out: DynamoDB rejects null index keys
+  static async record(entry, { transaction } = {}) {
+    return repository.save(Object.fromEntries(
+      Object.entries(entry).filter(([, value]) => value !== null && value !== undefined)
+    ), { transaction });
+  }
+
+  // Entries matching the filters, newest first; the store filters, sorts
+  // and pages them
+  static async search({ actorId, action, from, to, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (actorId) where.actorId = String(actorId);
+    if (action) where.action = action;
+    if (from || to) {
+      where.createdAt = { ...(from && { gte: from }), ...(to && { lte: to }) };
+    }
+
+    const [entries, total] = await Promise.all([
+      repository.list({ where, page, limit, sort: 'desc', sortBy: 'createdAt' }),
+      repository.count(where)
+    ]);
+    return { entries, total };
+  }
+
+  // Raw user ids are never shown to clients; nesting them under `id` keys
+  // lets the response transform encrypt them
+  static toJSON(entry) {
+    const { actorId, actorRole, apiKeyId, targetUserId, updatedAt, ...fields } = entry;
+    return {
+      ...fields,
+      actor: actorId ? { id: actorId, role: actorRole, apiKey: apiKeyId ? { id: apiKeyId } : null } : null,
+      target: targetUserId ? { id: targetUserId } : null
+    };
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+// Accounts at external OpenID Connect providers linked to local users.
+// `identityKey` ("<provider>|<subject>") keeps each external account linked
+// to at most one user.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  identityKey: { type: String, required: true, unique: true },
+  provider: { type: String, required: true },
+  subject: { type: String, required: true },
+  userId: { type: String, required: true, index: true },
+  email: { type: String, default: null },
+  lastLoginAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoLinkedIdentity = mongoose.model('LinkedIdentity', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'linked_identities',
+  unique: ['identityKey'],
+  mongodb: {
+    model: MongoLinkedIdentity
+  },
+  mysql: {
+    columns: {
+      identityKey: 'identity_key',
+      userId: 'user_id',
+      lastLoginAt: 'last_login_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      identityKey: 'IdentityKeyIndex',
+      userId: 'UserIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+const identityKey = (provider, subject) => `${provider}|${subject}`;
+
+class LinkedIdentity {
+  static get repository() {
+    return repository;
+  }
+
+  static async initializeTables() {
+    await repository.initialize();
+    logger.info('Linked identity storage initialized');
+  }
+
+  static async find(provider, subject) {
+    return repository.findOne({ identityKey: identityKey(provider, subject) });
+  }
+
+  static async findByUser(userId) {
+    return repository.find({ userId: String(userId) });
+  }
+
+  static async link(userId, provider, subject, email) {
+    return repository.save({
+      identityKey: identityKey(provider, subject),
+      provider,
+      subject,
+      userId: String(userId),
+      email: email || null,
+      lastLoginAt: new Date()
+    });
+  }
+
+  static async touch(id) {
+    return repository.save({ id, lastLoginAt: new Date() });
+  }
+
+  static async delete(id) {
+    return repository.delete(id);
+  }
+}
+
+export default LinkedIdentity;
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+// Single-use tokens mailed to users (password reset etc.). Only an HMAC of
+// the token is stored; `purpose` keeps tokens for different flows apart.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  purpose: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  // Bumped by every write; see Repository#save
+  version: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoOneTimeToken = mongoose.model('OneTimeToken', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'one_time_tokens',
+  unique: ['tokenHash'],
+  versioned: true,
+  // Filled in by MySQL for rows from before versioning
+  defaults: {
+    version: 0
+  },
+  mongodb: {
+    model: MongoOneTimeToken
+  },
+  mysql: {
+    columns: {
+      userId: 'user_id',
+      tokenHash: 'token_hash',
+      expiresAt: 'expires_at',
+      usedAt: 'used_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      tokenHash: 'TokenHashIndex',
+      userId: 'UserIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+class OneTimeToken {
+  static get repository() {
+    return repository;
+  }
+
+  static async initializeTables() {
+    await repository.initialize();
+    logger.info('One-time token storage initialized');
+  }
+
+  static async create(userId, purpose, tokenHash, expiresAt) {
+    return repository.save({ userId: String(userId), purpose, tokenHash, expiresAt, usedAt: null });
+  }
+
+  static async findByHash(purpose, tokenHash) {
+    const token = await repository.findOne({ tokenHash });
+    return token && token.purpose === purpose ? token : null;
+  }
+
+  // Mark every unused token of a user for this purpose as used
+  static async invalidateForUser(userId, purpose) {
+    const tokens = await repository.find({ userId: String(userId) });
+    const usedAt = new Date();
+    await Promise.all(tokens
+      .filter(token => token.purpose === purpose && !token.usedAt)
+      .map(token => repository.save({ id: token.id, usedAt })));
+  }
+
+  // Mark a token used, unless it has changed since it was read: a
+  // concurrent redemption gets a VersionConflictError
+  static async markUsed(token) {
+    return repository.save({ id: token.id, usedAt: new Date() }, { expectedVersion: token.version ?? 0 });
+  }
+
+  static isUsable(token) {
+    return !token.usedAt && new Date(token.expiresAt) > new Date();
+  }
+}
+
+export default OneTimeToken;
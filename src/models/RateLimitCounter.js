@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import { DuplicateKeyError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Fixed-window request counters for the `database` rate-limit store, shared
+// by every process (and container) using the same database.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  hits: { type: Number, default: 0 },
+  // TTL index: MongoDB drops the counter once its window has ended
+  resetAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoRateLimitCounter = mongoose.model('RateLimitCounter', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'rate_limit_counters',
+  unique: ['key'],
+  mongodb: {
+    model: MongoRateLimitCounter
+  },
+  mysql: {
+    columns: {
+      key: 'counter_key',
+      resetAt: 'reset_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      key: 'KeyIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+const isExpired = (counter) => new Date(counter.resetAt) <= new Date();
+
+class RateLimitCounter {
+  static get repository() {
+    return repository;
+  }
+
+  static async initializeTables() {
+    await repository.initialize();
+    logger.info('Rate limit counter storage initialized');
+  }
+
+  static async get(key) {
+    const counter = await repository.findOne({ key });
+    return counter && !isExpired(counter) ? counter : null;
+  }
+
+  // Count one hit. The first hit of a window creates the counter; when two
+  // processes race to create it, the loser increments the winner's row.
+  static async hit(key, windowMs) {
+    let counter = await repository.findOne({ key });
+    if (counter && isExpired(counter)) {
+      await repository.delete(counter.id);
+      counter = null;
+    }
+
+    if (!counter) {
+      try {
+        return await repository.save({ key, hits: 1, resetAt: new Date(Date.now() + windowMs) });
+      } catch (error) {
+        if (!(error instanceof DuplicateKeyError)) throw error;
+        counter = await repository.findOne({ key });
+      }
+    }
+
+    return counter && repository.increment(counter.id, 'hits', 1);
+  }
+
+  static async decrement(key) {
+    const counter = await RateLimitCounter.get(key);
+    if (counter && counter.hits > 0) {
+      await repository.increment(counter.id, 'hits', -1);
+    }
+  }
+
+  static async reset(key) {
+    const counter = await repository.findOne({ key });
+    if (counter) {
+      await repository.delete(counter.id);
+    }
+  }
+
+  // Remove counters whose window has ended
+  static async purgeExpired() {
+    const expired = await repository.find({ resetAt: { lte: new Date() } });
+    await Promise.all(expired.map(counter => repository.delete(counter.id)));
+    return expired.length;
+  }
+}
+
+export default RateLimitCounter;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+// One row per issued refresh token. Tokens rotated from the same login share
+// a familyId; the family is what users see as a "session".
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  familyId: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  deviceId: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  ip: { type: String, default: null },
+  sessionStartedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  rotatedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  // Bumped by every write; see Repository#save
+  version: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoRefreshToken = mongoose.model('RefreshToken', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'refresh_tokens',
+  unique: ['tokenHash'],
+  versioned: true,
+  // Filled in by MySQL for rows from before versioning
+  defaults: {
+    version: 0
+  },
+  mongodb: {
+    model: MongoRefreshToken
+  },
+  mysql: {
+    columns: {
+      userId: 'user_id',
+      familyId: 'family_id',
+      tokenHash: 'token_hash',
+      deviceId: 'device_id',
+      userAgent: 'user_agent',
+      sessionStartedAt: 'session_started_at',
+      expiresAt: 'expires_at',
+      rotatedAt: 'rotated_at',
+      revokedAt: 'revoked_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      tokenHash: 'TokenHashIndex',
+      userId: 'UserIndex',
+      familyId: 'FamilyIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+class RefreshToken {
+  static get repository() {
+    return repository;
+  }
+
+  static async initializeTables() {
+    await repository.initialize();
+    logger.info('Refresh token storage initialized');
+  }
+
+  static async create(data) {
+    return repository.save({ rotatedAt: null, revokedAt: null, ...data });
+  }
+
+  static async findByHash(tokenHash) {
+    return repository.findOne({ tokenHash });
+  }
+
+  static async findByUser(userId, { transaction } = {}) {
+    return repository.find({ userId: String(userId) }, { transaction });
+  }
+
+  static async findByFamily(familyId, { transaction } = {}) {
+    return repository.find({ familyId }, { transaction });
+  }
+
+  // Mark a token rotated, unless it has changed since it was read: a
+  // concurrent rotation gets a VersionConflictError
+  static async markRotated(token) {
+    return repository.save({ id: token.id, rotatedAt: new Date() }, { expectedVersion: token.version ?? 0 });
+  }
+
+  // Revoke every token of a family that is not revoked yet. In a
+  // transaction the writes go one at a time, as a MongoDB session runs one
+  // operation at a time.
+  static async revokeFamily(familyId, { transaction } = {}) {
+    const tokens = await RefreshToken.findByFamily(familyId, { transaction });
+    const revokedAt = new Date();
+    const active = tokens.filter(token => !token.revokedAt);
+    if (transaction) {
+      for (const token of active) {
+        await repository.save({ id: token.id, revokedAt }, { transaction });
+      }
+    } else {
+      await Promise.all(active.map(token => repository.save({ id: token.id, revokedAt })));
+    }
+    return tokens.length;
+  }
+
+  // A token can be exchanged only once, before it expires
+  static isActive(token) {
+    return !token.rotatedAt && !token.revokedAt && new Date(token.expiresAt) > new Date();
+  }
+}
+
+export default RefreshToken;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import { DuplicateKeyError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Denylist of access tokens (by jti) that were logged out before they
+// expired. Entries are only needed until the token's own expiry.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  // TTL index: MongoDB drops the entry once the token has expired
+  expiresAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoRevokedToken = mongoose.model('RevokedToken', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'revoked_tokens',
+  unique: ['jti'],
+  mongodb: {
+    model: MongoRevokedToken
+  },
+  mysql: {
+    columns: {
+      userId: 'user_id',
+      expiresAt: 'expires_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      jti: 'JtiIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+class RevokedToken {
+  static get repository() {
+    return repository;
+  }
+
+  static async initializeTables() {
+    await repository.initialize();
+    logger.info('Revoked token storage initialized');
+  }
+
+  // Revoking a token twice, even from two requests at once, keeps the
+  // first entry: the unique jti refuses the second
+  static async revoke(jti, userId, expiresAt) {
+    try {
+      await repository.save({ jti, userId: String(userId), expiresAt });
+    } catch (error) {
+      if (!(error instanceof DuplicateKeyError)) throw error;
+    }
+  }
+
+  static async isRevoked(jti) {
+    return Boolean(await repository.findOne({ jti }));
+  }
+
+  // Remove entries whose tokens have expired anyway
+  static async purgeExpired() {
+    const expired = await repository.find({ expiresAt: { lte: new Date() } });
+    await Promise.all(expired.map(entry => repository.delete(entry.id)));
+    return expired.length;
+  }
+}
+
+export default RevokedToken;
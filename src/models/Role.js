@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+// Named roles mapping to permission sets (see services/permissions.js).
+// Users reference a role by name; built-in roles cannot be deleted.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: { type: String, default: '' },
+  permissions: { type: [String], default: [] },
+  builtIn: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoRole = mongoose.model('Role', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'roles',
+  unique: ['name'],
+  mongodb: {
+    model: MongoRole
+  },
+  mysql: {
+    booleans: ['builtIn'],
+    json: ['permissions'],
+    columns: {
+      builtIn: 'built_in',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      name: 'NameIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+class Role {
+  static get repository() {
+    return repository;
+  }
+
+  // Connect and create any missing built-in roles. Existing roles are
+  // left alone so permission changes made by admins survive restarts.
+  static async initializeTables(defaults = []) {
+    await repository.initialize();
+    for (const role of defaults) {
+      if (!await Role.findByName(role.name)) {
+        await repository.save({ ...role, builtIn: true });
+        logger.info(`Created built-in role ${role.name}`);
+      }
+    }
+    logger.info('Role storage initialized');
+  }
+
+  static async findByName(name) {
+    return repository.findOne({ name });
+  }
+
+  static async list() {
+    const roles = await repository.find({});
+    return roles.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  static async create({ name, description = '', permissions }) {
+    return repository.save({ name, description, permissions, builtIn: false });
+  }
+
+  static async update(name, fields) {
+    const role = await Role.findByName(name);
+    return role && repository.save({ id: role.id, ...fields });
+  }
+
+  static async delete(name) {
+    const role = await Role.findByName(name);
+    return Boolean(role) && repository.delete(role.id);
+  }
+}
+
+export default Role;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import { createRepository } from '../repositories/index.js';
+
+// Migrations applied to a store, one record per migration, kept in that
+// store (see services/migrations.js). The runner creates this table itself,
+// since it has to exist before the first migration. Every method takes the
+// store as `store`, DB_TYPE by default.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoSchemaMigration = mongoose.model('SchemaMigration', mongooseSchema, 'schema_migrations');
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'schema_migrations',
+  unique: ['name'],
+  mongodb: {
+    model: MongoSchemaMigration
+  },
+  mysql: {
+    columns: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      name: 'NameIndex'
+    }
+  }
+};
+
+const repositories = {};
+
+const repositoryFor = (store = config.database.type) => {
+  repositories[store] ??= createRepository(definition, store);
+  return repositories[store];
+};
+
+class SchemaMigration {
+  static get repository() {
+    return repositoryFor();
+  }
+
+  static repositoryFor(store) {
+    return repositoryFor(store);
+  }
+
+  // Applied migrations by name
+  static async applied({ store } = {}) {
+    const records = await repositoryFor(store).find({});
+    return new Map(records.map(record => [record.name, record]));
+  }
+
+  static async record(name, { store } = {}) {
+    await repositoryFor(store).save({ name });
+  }
+
+  static async forget(name, { store } = {}) {
+    const repository = repositoryFor(store);
+    const record = await repository.findOne({ name });
+    if (record) {
+      await repository.delete(record.id);
+    }
+  }
+}
+
+export default SchemaMigration;
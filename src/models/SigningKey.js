@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { createRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+// Asymmetric keys for signing access tokens (see services/signingKeys.js).
+// The private key is stored encrypted. A key is published from creation,
+// signs from `activatesAt` until `retiredAt` and keeps verifying tokens
+// until `expiresAt`.
+
+// MongoDB Schema
+const mongooseSchema = new mongoose.Schema({
+  kid: { type: String, required: true, unique: true },
+  algorithm: { type: String, required: true },
+  publicJwk: { type: Object, required: true },
+  privateKey: { type: String, required: true },
+  activatesAt: { type: Date, default: null },
+  retiredAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  // Bumped by every write; see Repository#save
+  version: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const MongoSigningKey = mongoose.model('SigningKey', mongooseSchema);
+
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'signing_keys',
+  unique: ['kid'],
+  versioned: true,
+  // Filled in by MySQL for rows from before versioning
+  defaults: {
+    version: 0
+  },
+  mongodb: {
+    model: MongoSigningKey
+  },
+  mysql: {
+    json: ['publicJwk'],
+    columns: {
+      publicJwk: 'public_jwk',
+      privateKey: 'private_key',
+      activatesAt: 'activates_at',
+      retiredAt: 'retired_at',
+      expiresAt: 'expires_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      kid: 'KidIndex'
+    }
+  }
+};
+
+const repository = createRepository(definition);
+
+class SigningKey {
+  static get repository() {
+    return repository;
+  }
+
+  static async initializeTables() {
+    await repository.initialize();
+    logger.info('Signing key storage initialized');
+  }
+
+  static async create({ kid, algorithm, publicJwk, privateKey, activatesAt }, { transaction } = {}) {
+    return repository.save({ kid, algorithm, publicJwk, privateKey, activatesAt, retiredAt: null, expiresAt: null }, { transaction });
+  }
+
+  // Keys that still verify tokens, newest first: the unretired ones and the
+  // retired ones whose overlap window is still open
+  static async findValid() {
+    const [active, retired] = await Promise.all([
+      repository.find({ retiredAt: null }),
+      repository.find({ expiresAt: { gte: new Date() } })
+    ]);
+    return [...active, ...retired].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Keys that are neither retired nor due to retire: the signing one and
+  // any published one waiting to take over
+  static async findActive() {
+    return repository.find({ retiredAt: null });
+  }
+
+  // Conditional on the version `key` was read at, so of two processes
+  // retiring the same key only one succeeds; the other gets a
+  // VersionConflictError
+  static async retire(key, retiredAt, expiresAt, { transaction } = {}) {
+    return repository.save({ id: key.id, retiredAt, expiresAt }, { expectedVersion: key.version ?? 0, transaction });
+  }
+
+  static async purgeExpired() {
+    const expired = await repository.find({ expiresAt: { lte: new Date() } });
+    await Promise.all(expired.map(key => repository.delete(key.id)));
+    return expired.length;
+  }
+}
+
+export default SigningKey;
@@ -1,8 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import { PutCommand, GetCommand, QueryCommand, DeleteCommand, CreateTableCommand } from '@aws-sdk/lib-dynamodb';
-import db from '../utils/database.js';
-import config from '../config/index.js';
+import { createRepository, createDualWriteRepository } from '../repositories/index.js';
 import logger from '../utils/logger.js';
 
 // MongoDB Schema
@@ -22,11 +20,52 @@ const mongooseSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Name of a Role; permissions are resolved through the roles table
   role: {
     type: String,
-    enum: ['user', 'admin'],
     default: 'user'
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP two-factor authentication; secrets are stored encrypted and
+  // recovery codes as SHA-256 hashes
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: undefined
+  },
+  twoFactorLastStep: {
+    type: Number,
+    default: null
+  },
+  // Tokens issued before this instant are rejected ("logout everywhere")
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
+  // Soft delete tombstone; hidden from lookups until restored or purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Bumped by every write; see Repository#save
+  version: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -37,152 +76,164 @@ const mongooseSchema = new mongoose.Schema({
   }
 });
 
-// Hash password before saving
-mongooseSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
-  
-  try {
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
+const MongoUser = mongoose.model('User', mongooseSchema);
 
-// Compare password method
-mongooseSchema.methods.comparePassword = async function(candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
+// Storage definition shared by all backend adapters
+const definition = {
+  name: 'users',
+  unique: ['email'],
+  versioned: true,
+  // Column defaults some backends fill in for fields a record lacks; when
+  // records are compared across stores these count as missing
+  defaults: {
+    emailVerified: false,
+    twoFactorEnabled: false,
+    version: 0
+  },
+  // What list queries may return, sort and filter by; anything else is
+  // rejected (secrets are never sortable, filterable or selectable)
+  fields: {
+    email: { selectable: true, sortable: true, filterable: true },
+    name: { selectable: true, sortable: true, filterable: true },
+    role: { selectable: true, sortable: true, filterable: true },
+    emailVerified: { selectable: true, filterable: true },
+    twoFactorEnabled: { selectable: true },
+    createdAt: { selectable: true, sortable: true, filterable: true },
+    updatedAt: { selectable: true, sortable: true },
+    deletedAt: { selectable: true, filterable: true }
+  },
+  mongodb: {
+    model: MongoUser
+  },
+  mysql: {
+    booleans: ['emailVerified', 'twoFactorEnabled'],
+    json: ['twoFactorRecoveryCodes'],
+    columns: {
+      emailVerified: 'email_verified',
+      twoFactorEnabled: 'two_factor_enabled',
+      twoFactorSecret: 'two_factor_secret',
+      twoFactorPendingSecret: 'two_factor_pending_secret',
+      twoFactorRecoveryCodes: 'two_factor_recovery_codes',
+      twoFactorLastStep: 'two_factor_last_step',
+      tokensValidAfter: 'tokens_valid_after',
+      deletedAt: 'deleted_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  dynamodb: {
+    indexes: {
+      email: 'EmailIndex'
+    }
+  }
 };
 
-// Update timestamps on save
-mongooseSchema.pre('save', function(next) {
-  this.updatedAt = new Date();
-  next();
-});
+// Written to two stores while users are moved between them
+const repository = createDualWriteRepository(definition);
 
-const MongoUser = mongoose.model('User', mongooseSchema);
+const isDeleted = (record) => Boolean(record?.deletedAt);
+
+// Repository conditions for the list filters: `role`,
+// `createdFrom`/`createdTo`, `emailDomain` and a case-insensitive `search`
+// of name and email. `fields` limits the returned fields.
+const listQuery = ({ includeDeleted = false, role, createdFrom, createdTo, emailDomain, search, fields }) => {
+  const where = {};
+  if (!includeDeleted) where.deletedAt = null;
+  if (role) where.role = role;
+  if (createdFrom || createdTo) {
+    where.createdAt = {
+      ...(createdFrom && { gte: createdFrom }),
+      ...(createdTo && { lte: createdTo })
+    };
+  }
+  if (emailDomain) where.email = { endsWith: `@${emailDomain.toLowerCase()}` };
 
-// MySQL table creation query
-const mysqlTableQuery = `
-  CREATE TABLE IF NOT EXISTS users (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    email VARCHAR(255) NOT NULL UNIQUE,
-    password VARCHAR(255) NOT NULL,
-    name VARCHAR(255) NOT NULL,
-    role ENUM('user', 'admin') DEFAULT 'user',
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    INDEX email_index (email)
-  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-`;
-
-// DynamoDB table name
-const dynamoTableName = `${config.dynamodb.tablePrefix}users`;
+  return {
+    where,
+    search: search ? { term: search, fields: ['name', 'email'] } : undefined,
+    fields
+  };
+};
 
 class User {
   constructor(data) {
     this.data = data;
   }
 
+  get id() {
+    return this.data.id;
+  }
+
+  get email() {
+    return this.data.email;
+  }
+
+  get name() {
+    return this.data.name;
+  }
+
+  get role() {
+    return this.data.role;
+  }
+
+  get emailVerified() {
+    return Boolean(this.data.emailVerified);
+  }
+
+  get twoFactorEnabled() {
+    return Boolean(this.data.twoFactorEnabled);
+  }
+
+  get deletedAt() {
+    return this.data.deletedAt || null;
+  }
+
+  get version() {
+    return this.data.version ?? 0;
+  }
+
+  static get repository() {
+    return repository;
+  }
+
+  // User storage on any backend, not just the configured one, for copying
+  // users between stores (see services/userCopy.js)
+  static repositoryFor(type) {
+    return createRepository(definition, type);
+  }
+
+  // Fields marked `selectable`, `sortable` or `filterable` in the definition
+  static fieldsWith(capability) {
+    return repository.fieldsWith(capability);
+  }
+
   static async initializeTables() {
     try {
-      // Initialize MySQL table
-      const mysqlConnection = await db.connectMySQL();
-      await mysqlConnection.query(mysqlTableQuery);
-      logger.info('MySQL users table initialized');
-
-      // Initialize DynamoDB table
-      const dynamodb = db.connectDynamoDB();
-      if (db.connections.dynamodb) {
-        const createTableCommand = new CreateTableCommand({
-          TableName: dynamoTableName,
-          AttributeDefinitions: [
-            { AttributeName: 'id', AttributeType: 'S' },
-            { AttributeName: 'email', AttributeType: 'S' }
-          ],
-          KeySchema: [
-            { AttributeName: 'id', KeyType: 'HASH' }
-          ],
-          GlobalSecondaryIndexes: [
-            {
-              IndexName: 'EmailIndex',
-              KeySchema: [
-                { AttributeName: 'email', KeyType: 'HASH' }
-              ],
-              Projection: {
-                ProjectionType: 'ALL'
-              },
-              ProvisionedThroughput: {
-                ReadCapacityUnits: 5,
-                WriteCapacityUnits: 5
-              }
-            }
-          ],
-          ProvisionedThroughput: {
-            ReadCapacityUnits: 5,
-            WriteCapacityUnits: 5
-          }
-        });
-        
-        try {
-          await db.connections.dynamodb.send(createTableCommand);
-          logger.info('DynamoDB users table created');
-        } catch (error) {
-          if (error.name === 'ResourceInUseException') {
-            logger.info('DynamoDB users table already exists');
-          } else {
-            throw error;
-          }
-        }
-      }
-      
-      logger.info('Database tables initialized');
+      await repository.initialize();
+      logger.info('User storage initialized');
     } catch (error) {
-      logger.error('Error initializing database tables:', error);
+      logger.error('Error initializing user storage:', error);
       throw error;
     }
   }
 
-  static async findByEmail(email) {
+  // Deleted users are hidden unless `includeDeleted` is set. Their email
+  // stays taken until they are purged.
+  static async findByEmail(email, { includeDeleted = false } = {}) {
     try {
-      // MongoDB
-      if (db.connections.mongodb) {
-        return await MongoUser.findOne({ email });
-      }
-      
-      // MySQL
-      if (db.connections.mysql) {
-        const [rows] = await db.connections.mysql.query(
-          'SELECT * FROM users WHERE email = ?',
-          [email]
-        );
-        return rows[0];
-      }
-      
-      // DynamoDB
-      if (db.connections.dynamodb) {
-        const command = new QueryCommand({
-          TableName: dynamoTableName,
-          IndexName: 'EmailIndex',
-          KeyConditionExpression: 'email = :email',
-          ExpressionAttributeValues: {
-            ':email': email
-          }
-        });
-        
-        const result = await db.connections.dynamodb.send(command);
-        return result.Items[0];
-      }
-      
-      throw new Error('No database connection available');
+      const record = await repository.findOne({ email: email.toLowerCase().trim() });
+      if (!record || (isDeleted(record) && !includeDeleted)) return null;
+      return new User(record);
     } catch (error) {
       logger.error('Error finding user by email:', error);
       throw error;
     }
   }
 
-  async save() {
+  // With `expectedVersion`, only update the user if it is still at that
+  // version; a VersionConflictError is thrown otherwise. `transaction`
+  // makes the write part of a db.withTransaction() transaction.
+  async save({ expectedVersion, transaction } = {}) {
     try {
       // Hash password if it's new or modified
       if (this.data.password && !this.data.password.startsWith('$2')) {
@@ -190,162 +241,150 @@ class User {
         this.data.password = await bcrypt.hash(this.data.password, salt);
       }
 
-      // MongoDB
-      if (db.connections.mongodb) {
-        const user = new MongoUser(this.data);
-        return await user.save();
-      }
-      
-      // MySQL
-      if (db.connections.mysql) {
-        const { id, ...userData } = this.data;
-        if (id) {
-          const [result] = await db.connections.mysql.query(
-            'UPDATE users SET ? WHERE id = ?',
-            [userData, id]
-          );
-          return result;
-        } else {
-          const [result] = await db.connections.mysql.query(
-            'INSERT INTO users SET ?',
-            userData
-          );
-          return { ...userData, id: result.insertId };
-        }
-      }
-      
-      // DynamoDB
-      if (db.connections.dynamodb) {
-        const command = new PutCommand({
-          TableName: dynamoTableName,
-          Item: {
-            ...this.data,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          }
-        });
-        
-        await db.connections.dynamodb.send(command);
-        return this.data;
+      if (this.data.email) {
+        this.data.email = this.data.email.toLowerCase().trim();
       }
-      
-      throw new Error('No database connection available');
+
+      const record = await repository.save(this.data, { expectedVersion, transaction });
+      if (!record) return null;
+
+      this.data = record;
+      return this;
     } catch (error) {
       logger.error('Error saving user:', error);
       throw error;
     }
   }
 
-  static async findById(id) {
+  static async findById(id, { includeDeleted = false, transaction } = {}) {
     try {
-      // MongoDB
-      if (db.connections.mongodb) {
-        return await MongoUser.findById(id);
-      }
-      
-      // MySQL
-      if (db.connections.mysql) {
-        const [rows] = await db.connections.mysql.query(
-          'SELECT * FROM users WHERE id = ?',
-          [id]
-        );
-        return rows[0];
-      }
-      
-      // DynamoDB
-      if (db.connections.dynamodb) {
-        const command = new GetCommand({
-          TableName: dynamoTableName,
-          Key: { id }
-        });
-        
-        const result = await db.connections.dynamodb.send(command);
-        return result.Item;
-      }
-      
-      throw new Error('No database connection available');
+      const record = await repository.findById(id, { transaction });
+      if (!record || (isDeleted(record) && !includeDeleted)) return null;
+      return new User(record);
     } catch (error) {
       logger.error('Error finding user by id:', error);
       throw error;
     }
   }
 
-  static async delete(id) {
+  // Soft delete: the user disappears from lookups but can be restored until
+  // the tombstone is purged. Returns false if there is no such live user.
+  static async delete(id, { transaction } = {}) {
     try {
-      // MongoDB
-      if (db.connections.mongodb) {
-        return await MongoUser.findByIdAndDelete(id);
-      }
-      
-      // MySQL
-      if (db.connections.mysql) {
-        const [result] = await db.connections.mysql.query(
-          'DELETE FROM users WHERE id = ?',
-          [id]
-        );
-        return result;
-      }
-      
-      // DynamoDB
-      if (db.connections.dynamodb) {
-        const command = new DeleteCommand({
-          TableName: dynamoTableName,
-          Key: { id }
-        });
-        
-        return await db.connections.dynamodb.send(command);
-      }
-      
-      throw new Error('No database connection available');
+      const record = await repository.findById(id, { transaction });
+      if (!record || isDeleted(record)) return false;
+      await repository.save({ id: record.id, deletedAt: new Date() }, { transaction });
+      return true;
     } catch (error) {
       logger.error('Error deleting user:', error);
       throw error;
     }
   }
 
+  // Undo a soft delete. Returns the user, or null if it is not deleted.
+  static async restore(id) {
+    try {
+      const record = await repository.findById(id);
+      if (!isDeleted(record)) return null;
+      return new User(await repository.save({ id: record.id, deletedAt: null }));
+    } catch (error) {
+      logger.error('Error restoring user:', error);
+      throw error;
+    }
+  }
+
+  // Permanently remove users deleted before `before`. Returns their ids.
+  static async purgeDeleted(before) {
+    try {
+      const expired = await repository.find({ deletedAt: { lte: before } });
+      await Promise.all(expired.map(record => repository.delete(record.id)));
+      return expired.map(record => record.id);
+    } catch (error) {
+      logger.error('Error purging deleted users:', error);
+      throw error;
+    }
+  }
+
+  // Offset pages (`page` or `offset`, `limit`). See listQuery for filters.
   static async list(options = {}) {
-    const { page = 1, limit = 10, sort = 'desc', sortBy = 'createdAt' } = options;
-    
+    const { page, limit, offset, sort, sortBy } = options;
     try {
-      // MongoDB
-      if (db.connections.mongodb) {
-        return await MongoUser.find()
-          .sort({ [sortBy]: sort })
-          .skip((page - 1) * limit)
-          .limit(limit);
-      }
-      
-      // MySQL
-      if (db.connections.mysql) {
-        const [rows] = await db.connections.mysql.query(
-          `SELECT * FROM users ORDER BY ${sortBy} ${sort} LIMIT ? OFFSET ?`,
-          [limit, (page - 1) * limit]
-        );
-        return rows;
-      }
-      
-      // DynamoDB
-      if (db.connections.dynamodb) {
-        const command = new QueryCommand({
-          TableName: dynamoTableName,
-          Limit: limit,
-          ScanIndexForward: sort === 'asc'
-        });
-        
-        const result = await db.connections.dynamodb.send(command);
-        return result.Items;
-      }
-      
-      throw new Error('No database connection available');
+      const records = await repository.list({ ...listQuery(options), page, limit, offset, sort, sortBy });
+      return records.map(record => new User(record));
     } catch (error) {
       logger.error('Error listing users:', error);
       throw error;
     }
   }
 
+  // Keyset pages: { users, next }, where `next` is passed back as `after`
+  static async listPage(options = {}) {
+    const { limit, after, sort, sortBy } = options;
+    try {
+      const { records, next } = await repository.listPage({ ...listQuery(options), limit, after, sort, sortBy });
+      return { users: records.map(record => new User(record)), next };
+    } catch (error) {
+      logger.error('Error listing users:', error);
+      throw error;
+    }
+  }
+
+  // Number of users matching the list filters
+  static async count(options = {}) {
+    const { where, search } = listQuery(options);
+    return repository.count(where, search);
+  }
+
+  // Bulk insert of new users, hashing their passwords a batch at a time.
+  // Returns null or a DuplicateKeyError per user, as Repository#insertMany.
+  static async insertMany(users) {
+    try {
+      const records = await Promise.all(users.map(async user => ({
+        ...user,
+        email: user.email.toLowerCase().trim(),
+        password: await bcrypt.hash(user.password, await bcrypt.genSalt(10))
+      })));
+      return await repository.insertMany(records);
+    } catch (error) {
+      logger.error('Error importing users:', error);
+      throw error;
+    }
+  }
+
+  // Partial update of the given fields
+  static async update(id, fields, options) {
+    return new User({ ...fields, id }).save(options);
+  }
+
+  // Invalidate every token issued to the user before `date`
+  static async invalidateTokens(id, date = new Date(), { transaction } = {}) {
+    try {
+      return await repository.save({ id, tokensValidAfter: date }, { transaction });
+    } catch (error) {
+      logger.error('Error invalidating user tokens:', error);
+      throw error;
+    }
+  }
+
   async comparePassword(candidatePassword) {
     return bcrypt.compare(candidatePassword, this.data.password);
   }
+
+  // Never expose the password hash, two-factor secrets or token bookkeeping;
+  // the version travels in the ETag header
+  toJSON() {
+    const {
+      password,
+      twoFactorSecret,
+      twoFactorPendingSecret,
+      twoFactorRecoveryCodes,
+      twoFactorLastStep,
+      tokensValidAfter,
+      version,
+      ...user
+    } = this.data;
+    return user;
+  }
 }
 
-export default User; 
\ No newline at end of file
+export default User;
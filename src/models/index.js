@@ -0,0 +1,28 @@
+import User from './User.js';
+import RefreshToken from './RefreshToken.js';
+import RevokedToken from './RevokedToken.js';
+import OneTimeToken from './OneTimeToken.js';
+import RateLimitCounter from './RateLimitCounter.js';
+import Role from './Role.js';
+import ApiKey from './ApiKey.js';
+import LinkedIdentity from './LinkedIdentity.js';
+import SigningKey from './SigningKey.js';
+import AuditLog from './AuditLog.js';
+import { BUILT_IN_ROLES } from '../services/permissions.js';
+
+// Connect every model to the configured backend. Their tables come from the
+// migrations (npm run migrate:up), not from here.
+export const initializeTables = async () => {
+  await User.initializeTables();
+  await RefreshToken.initializeTables();
+  await RevokedToken.initializeTables();
+  await OneTimeToken.initializeTables();
+  await RateLimitCounter.initializeTables();
+  await Role.initializeTables(BUILT_IN_ROLES);
+  await ApiKey.initializeTables();
+  await LinkedIdentity.initializeTables();
+  await SigningKey.initializeTables();
+  await AuditLog.initializeTables();
+};
+
+export { User, RefreshToken, RevokedToken, OneTimeToken, RateLimitCounter, Role, ApiKey, LinkedIdentity, SigningKey, AuditLog };
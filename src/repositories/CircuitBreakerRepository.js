@@ -0,0 +1,67 @@
+import Repository from './Repository.js';
+
+// Runs every operation of a backend's repository through that backend's
+// circuit breaker (db.breaker()), so a store that cannot be reached fails
+// requests at once with a 503 instead of making each of them wait for a
+// timeout.
+class CircuitBreakerRepository extends Repository {
+  constructor(repository, breaker) {
+    super(repository.definition, repository.type);
+    this.repository = repository;
+    this.breaker = breaker;
+  }
+
+  keepsId(id) {
+    return this.repository.keepsId(id);
+  }
+
+  sortsPages() {
+    return this.repository.sortsPages();
+  }
+
+  async initialize() {
+    return this.breaker.run(() => this.repository.initialize());
+  }
+
+  async findById(id, options) {
+    return this.breaker.run(() => this.repository.findById(id, options));
+  }
+
+  async findOne(where, options) {
+    return this.breaker.run(() => this.repository.findOne(where, options));
+  }
+
+  async find(where, options) {
+    return this.breaker.run(() => this.repository.find(where, options));
+  }
+
+  async list(options) {
+    return this.breaker.run(() => this.repository.list(options));
+  }
+
+  async listPage(options) {
+    return this.breaker.run(() => this.repository.listPage(options));
+  }
+
+  async count(where, search) {
+    return this.breaker.run(() => this.repository.count(where, search));
+  }
+
+  async save(data, options) {
+    return this.breaker.run(() => this.repository.save(data, options));
+  }
+
+  async insertMany(records, options) {
+    return this.breaker.run(() => this.repository.insertMany(records, options));
+  }
+
+  async increment(id, field, amount, options) {
+    return this.breaker.run(() => this.repository.increment(id, field, amount, options));
+  }
+
+  async delete(id, options) {
+    return this.breaker.run(() => this.repository.delete(id, options));
+  }
+}
+
+export default CircuitBreakerRepository;
@@ -0,0 +1,208 @@
+import Repository from './Repository.js';
+import logger from '../utils/logger.js';
+import { recordDigest } from '../utils/recordDigest.js';
+
+// Writes every record to two stores while data moves from one to the
+// other. The primary is authoritative: reads are served from it, its errors
+// (a duplicate, a version conflict) fail the write, and the secondary is
+// only written once the primary has succeeded. A failed secondary write is
+// logged rather than raised; copying and verifying (services/userCopy.js)
+// repairs the drift. Records keep the primary's id on the secondary where
+// it can hold it (see keepsId()), and are found there by the definition's
+// first unique field otherwise. A record the secondary does not have yet
+// is copied in whole on its next write.
+// With `shadowReads`, point reads and counts are repeated on the secondary
+// in the background and any difference is logged. Lists are not: stores
+// page in different orders.
+// A write made in a transaction on the primary's backend is only mirrored
+// once the transaction has committed; the secondary is never part of it.
+class DualWriteRepository extends Repository {
+  constructor(definition, { primary, secondary, shadowReads = false }) {
+    super(definition, primary.type);
+    this.primary = primary;
+    this.secondary = secondary;
+    this.shadowReads = shadowReads;
+  }
+
+  async initialize() {
+    await this.primary.initialize();
+    await this.secondary.initialize();
+  }
+
+  keepsId(id) {
+    return this.primary.keepsId(id);
+  }
+
+  sortsPages() {
+    return this.primary.sortsPages();
+  }
+
+  // The primary's record as it is before a write, when the secondary's copy
+  // will have to be found by its unique field rather than by id
+  async before(id, options) {
+    return this.secondary.keepsId(String(id)) ? null : this.primary.findById(id, options);
+  }
+
+  // The secondary's copy of the primary's record `id` (`record` is the
+  // primary's record from before())
+  async counterpart(id, record) {
+    if (this.secondary.keepsId(String(id))) {
+      return this.secondary.findById(id);
+    }
+    const key = this.definition.unique?.[0];
+    return key && record ? this.secondary.findOne({ [key]: record[key] }) : null;
+  }
+
+  async copyToSecondary(record) {
+    const [error] = await this.secondary.insertMany([record], { copy: true });
+    if (error) throw error;
+  }
+
+  // Run a write on the secondary, after the primary's transaction (if the
+  // write is part of one) has committed; its failure is only logged
+  async mirror(operation, id, write, options) {
+    const transaction = this.transactionOf(options);
+    if (transaction) {
+      transaction.afterCommit(() => this.mirror(operation, id, write));
+      return;
+    }
+    try {
+      await write();
+    } catch (error) {
+      logger.error(`Secondary ${operation} of ${this.definition.name} ${id} failed:`, error);
+    }
+  }
+
+  // Repeat a read on the secondary without waiting for it, and log when the
+  // result differs from the primary's
+  shadow(operation, result, read) {
+    if (!this.shadowReads) return;
+
+    const options = {
+      defaults: this.definition.defaults,
+      // Each store stamps its own write, a moment apart
+      ignore: ['updatedAt']
+    };
+    const fingerprint = (value) => {
+      if (Array.isArray(value)) return value.map(record => recordDigest(record, options)).sort().join();
+      return value && typeof value === 'object' ? recordDigest(value, options) : String(value ?? null);
+    };
+
+    Promise.resolve()
+      .then(read)
+      .then((shadowed) => {
+        if (fingerprint(shadowed) !== fingerprint(result)) {
+          logger.warn(`Shadow read mismatch in ${this.definition.name}.${operation}`, {
+            id: result?.id,
+            primary: Array.isArray(result) ? result.length : Boolean(result),
+            secondary: Array.isArray(shadowed) ? shadowed.length : Boolean(shadowed)
+          });
+        }
+      })
+      .catch((error) => {
+        logger.error(`Shadow read of ${this.definition.name}.${operation} failed:`, error);
+      });
+  }
+
+  async findById(id, options) {
+    const record = await this.primary.findById(id, options);
+    this.shadow('findById', record, () => this.counterpart(id, record));
+    return record;
+  }
+
+  async findOne(where, options) {
+    const record = await this.primary.findOne(where, options);
+    this.shadow('findOne', record, () => this.secondary.findOne(where));
+    return record;
+  }
+
+  async find(where, options) {
+    const records = await this.primary.find(where, options);
+    this.shadow('find', records, () => this.secondary.find(where));
+    return records;
+  }
+
+  async list(options) {
+    return this.primary.list(options);
+  }
+
+  async listPage(options) {
+    return this.primary.listPage(options);
+  }
+
+  async count(where, search) {
+    const count = await this.primary.count(where, search);
+    this.shadow('count', count, () => this.secondary.count(where, search));
+    return count;
+  }
+
+  // `expectedVersion` is checked on the primary only; the secondary
+  // follows whatever the primary accepted
+  async save(data, options) {
+    const { id, ...fields } = data;
+    const before = id ? await this.before(id, options) : null;
+    const record = await this.primary.save(data, options);
+    if (!record) return record;
+
+    await this.mirror('save', record.id, async () => {
+      const counterpart = id ? await this.counterpart(id, before) : null;
+      if (counterpart) {
+        await this.secondary.save({ ...fields, id: counterpart.id });
+      } else {
+        await this.copyToSecondary(record);
+      }
+    }, options);
+    return record;
+  }
+
+  // Inserted records are read back from the primary by their unique field,
+  // for the ids it gave them
+  async insertMany(records, options) {
+    const results = await this.primary.insertMany(records, options);
+    const key = this.definition.unique?.[0];
+
+    await this.mirror('insertMany', `batch of ${records.length}`, async () => {
+      if (!key) throw new Error('records without a unique field cannot be found again');
+      const inserted = [];
+      for (const [i, error] of results.entries()) {
+        if (!error) inserted.push(await this.primary.findOne({ [key]: records[i][key] }));
+      }
+      const errors = await this.secondary.insertMany(inserted, { copy: true });
+      errors.forEach((error, i) => {
+        if (error) logger.error(`Secondary insert of ${this.definition.name} ${inserted[i].id} failed:`, error);
+      });
+    }, options);
+    return results;
+  }
+
+  async increment(id, field, amount = 1, options) {
+    const before = await this.before(id, options);
+    const record = await this.primary.increment(id, field, amount, options);
+    if (!record) return record;
+
+    await this.mirror('increment', id, async () => {
+      const counterpart = await this.counterpart(id, before);
+      if (counterpart) {
+        await this.secondary.increment(counterpart.id, field, amount);
+      } else {
+        await this.copyToSecondary(record);
+      }
+    }, options);
+    return record;
+  }
+
+  async delete(id, options) {
+    const before = await this.before(id, options);
+    const deleted = await this.primary.delete(id, options);
+
+    await this.mirror('delete', id, async () => {
+      const counterpart = await this.counterpart(id, before);
+      if (counterpart) {
+        await this.secondary.delete(counterpart.id);
+      }
+    }, options);
+    return deleted;
+  }
+}
+
+export default DualWriteRepository;
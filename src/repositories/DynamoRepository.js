@@ -0,0 +1,675 @@
+import { randomUUID } from 'crypto';
+import {
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteCommand,
+  UpdateCommand,
+  DeleteCommand
+} from '@aws-sdk/lib-dynamodb';
+import Repository from './Repository.js';
+import db from '../utils/database.js';
+import config from '../config/index.js';
+import { AppError, DuplicateKeyError, VersionConflictError } from '../utils/errors.js';
+
+// Writes per TransactWriteItems request, and attempts at a request that is
+// cancelled by a conflicting transaction or by throttling
+const TRANSACT_WRITE_ITEMS = 100;
+const TRANSACT_WRITE_ATTEMPTS = 5;
+
+const COMPARISONS = {
+  gte: '>=',
+  lte: '<='
+};
+
+// DynamoDB only enforces the primary key. A unique value is claimed by a
+// sentinel item in the same table, keyed by field and value, whose ownerId
+// is the item holding the value; writes that set a unique field put its
+// sentinel in the same transaction, on condition that no other item owns
+// it. Sentinels have none of the indexed attributes, so queries never see
+// them, and scans skip them.
+const SENTINEL_PREFIX = '#unique#';
+
+export const uniqueKey = (field, value) => `${SENTINEL_PREFIX}${field}#${value}`;
+
+const isSentinel = (id) => String(id).startsWith(SENTINEL_PREFIX);
+
+// DynamoDB adapter. Items are keyed by a string `id`; lookups on fields
+// listed in definition.dynamodb.indexes go through the matching GSI,
+// anything else falls back to a filtered scan.
+//
+// Writes are described as { operation, params, condition, fields, error }:
+// a Put, Update or Delete, its key or item, the condition it is made on,
+// the fields an Update sets, and the error a failed condition stands for
+// (a VersionConflictError by default). request() turns one into request
+// parameters.
+class DynamoRepository extends Repository {
+  get client() {
+    return db.get('dynamodb');
+  }
+
+  get tableName() {
+    return `${config.dynamodb.tablePrefix}${this.definition.name}`;
+  }
+
+  get indexes() {
+    return this.definition.dynamodb.indexes || {};
+  }
+
+  async initialize() {
+    await db.connect('dynamodb');
+  }
+
+  // The document client cannot marshall Date objects
+  toItem(data) {
+    const item = {};
+    for (const [field, value] of Object.entries(data)) {
+      if (value !== undefined) {
+        item[field] = value instanceof Date ? value.toISOString() : value;
+      }
+    }
+    return item;
+  }
+
+  toRecord(item) {
+    return item ? { ...item } : null;
+  }
+
+  // Build expression parts for a set of conditions. A null value also
+  // matches items without the attribute. DynamoDB has no case-insensitive
+  // comparison, so `contains` and `endsWith` are returned in `residual` and
+  // checked in process after the read.
+  expression(where) {
+    const names = {};
+    const values = {};
+    const conditions = [];
+    const residual = {};
+
+    Object.entries(where).forEach(([field, value], i) => {
+      const name = `#f${i}`;
+      if (!Repository.isOperators(value)) {
+        names[name] = field;
+        values[`:v${i}`] = value instanceof Date ? value.toISOString() : value;
+        conditions.push({
+          field,
+          key: value !== null,
+          sql: value === null ? `(attribute_not_exists(${name}) OR ${name} = :v${i})` : `${name} = :v${i}`
+        });
+        return;
+      }
+
+      for (const [operator, operand] of Object.entries(value)) {
+        if (!COMPARISONS[operator]) {
+          residual[field] = { ...residual[field], [operator]: operand };
+          continue;
+        }
+        names[name] = field;
+        values[`:v${i}${operator}`] = operand instanceof Date ? operand.toISOString() : operand;
+        conditions.push({ field, key: false, sql: `${name} ${COMPARISONS[operator]} :v${i}${operator}` });
+      }
+    });
+
+    return { conditions, names, values, residual };
+  }
+
+  async scanAll(params = {}) {
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+      const result = await this.client.send(new ScanCommand({
+        TableName: this.tableName,
+        ExclusiveStartKey,
+        ...params
+      }));
+      items.push(...result.Items.filter(item => !isSentinel(item.id)));
+      ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return items;
+  }
+
+  // Condition that an item exists and, where given, is at `expectedVersion`
+  // and still holds the `expected` field values
+  itemCondition({ expectedVersion, expected = {} } = {}) {
+    const names = { '#id': 'id' };
+    const values = {};
+    const conditions = ['attribute_exists(#id)'];
+    if (expectedVersion !== undefined) {
+      names['#version'] = 'version';
+      values[':expectedVersion'] = expectedVersion;
+      // Items from before versioning have no version: they are at 0
+      conditions.push(expectedVersion === 0
+        ? '(attribute_not_exists(#version) OR #version = :expectedVersion)'
+        : '#version = :expectedVersion');
+    }
+    Object.entries(expected).forEach(([field, value], i) => {
+      names[`#e${i}`] = field;
+      if (value === undefined || value === null) {
+        values[':null'] = 'NULL';
+        conditions.push(`(attribute_not_exists(#e${i}) OR attribute_type(#e${i}, :null))`);
+      } else {
+        values[`:e${i}`] = value instanceof Date ? value.toISOString() : value;
+        conditions.push(`#e${i} = :e${i}`);
+      }
+    });
+    return {
+      ConditionExpression: conditions.join(' AND '),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    };
+  }
+
+  // UpdateItem expression that sets `fields`, bumping the version in a
+  // versioned table
+  updateExpression(fields) {
+    const names = {};
+    const values = {};
+    const sets = Object.entries(this.toItem(fields)).map(([field, value], i) => {
+      names[`#s${i}`] = field;
+      values[`:s${i}`] = value;
+      return `#s${i} = :s${i}`;
+    });
+    let UpdateExpression = `SET ${sets.join(', ')}`;
+    if (this.definition.versioned) {
+      names['#version'] = 'version';
+      values[':one'] = 1;
+      UpdateExpression += ' ADD #version :one';
+    }
+    return { UpdateExpression, names, values };
+  }
+
+  request({ operation, params, condition = {}, fields }) {
+    const update = operation === 'Update' ? this.updateExpression(fields) : null;
+    const names = { ...update?.names, ...condition.ExpressionAttributeNames };
+    const values = { ...update?.values, ...condition.ExpressionAttributeValues };
+    return {
+      TableName: this.tableName,
+      ...params,
+      ...(update && { UpdateExpression: update.UpdateExpression }),
+      ConditionExpression: condition.ConditionExpression,
+      ExpressionAttributeNames: Object.keys(names).length ? names : undefined,
+      ExpressionAttributeValues: Object.keys(values).length ? values : undefined
+    };
+  }
+
+  // The writes that move the unique values of item `id` from `before` to
+  // `after` (a field `after` lacks keeps its value): a put of the sentinel
+  // of each new value and a delete of the sentinel of each value given up,
+  // both on condition that no other item owns the sentinel
+  uniqueWrites(id, before, after) {
+    const condition = {
+      ConditionExpression: 'attribute_not_exists(id) OR ownerId = :owner',
+      ExpressionAttributeValues: { ':owner': id }
+    };
+    const writes = [];
+    for (const field of this.definition.unique || []) {
+      const from = before?.[field] ?? null;
+      const to = after[field] === undefined ? from : after[field];
+      if (to === from) continue;
+      const error = () => new DuplicateKeyError(field);
+      if (to !== null) {
+        writes.push({ operation: 'Put', params: { Item: { id: uniqueKey(field, to), ownerId: id } }, condition, error });
+      }
+      if (from !== null) {
+        writes.push({ operation: 'Delete', params: { Key: { id: uniqueKey(field, from) } }, condition, error });
+      }
+    }
+    return writes;
+  }
+
+  // A new item with the sentinels of its unique values
+  insertWrites(Item) {
+    return [
+      {
+        operation: 'Put',
+        params: { Item },
+        condition: { ConditionExpression: 'attribute_not_exists(id)' },
+        error: () => new DuplicateKeyError('id')
+      },
+      ...this.uniqueWrites(Item.id, null, Item)
+    ];
+  }
+
+  // Send writes that belong together, in one TransactWriteItems request
+  async transactWrite(writes) {
+    try {
+      await this.client.send(new TransactWriteCommand({
+        TransactItems: writes.map(write => ({ [write.operation]: this.request(write) }))
+      }));
+    } catch (error) {
+      const failed = error.name === 'TransactionCanceledException'
+        ? (error.CancellationReasons || []).findIndex(reason => reason.Code === 'ConditionalCheckFailed')
+        : -1;
+      if (failed !== -1) {
+        throw writes[failed].error?.() ?? new VersionConflictError();
+      }
+      throw error;
+    }
+  }
+
+  // Writes made in a transaction are queued on it and sent together when it
+  // commits (see db.withTransaction), and `item` is recorded as the item
+  // the transaction leaves behind (null once deleted). TransactWriteItems
+  // takes one write per item, so a later write to a queued item is merged
+  // into the queued one: updates add up their fields, an update of an item
+  // put in the transaction puts it whole, and the condition of the first
+  // write is kept, as it was made against the stored item.
+  enqueue(transaction, write, item) {
+    const id = write.params.Item?.id ?? write.params.Key.id;
+    const key = `${this.tableName}/${id}`;
+    const queued = transaction.writes.get(key);
+    let merged = write;
+    if (queued) {
+      merged = { ...write, condition: queued.condition, error: write.error ?? queued.error };
+      if (write.operation === 'Update' && queued.operation === 'Update') {
+        merged.fields = { ...queued.fields, ...write.fields };
+      } else if (write.operation === 'Update' && queued.operation === 'Put') {
+        merged = { ...merged, operation: 'Put', params: { Item: this.toItem(item) }, fields: undefined };
+      }
+    }
+    transaction.writes.set(key, { ...merged, request: { [merged.operation]: this.request(merged) } });
+    if (item !== undefined) {
+      transaction.items.set(key, item);
+    }
+  }
+
+  // The item as a transaction leaves it: { item }, with null once deleted,
+  // or undefined when the transaction has not written it
+  queued(transaction, id) {
+    const key = `${this.tableName}/${id}`;
+    if (!transaction?.items.has(key)) return undefined;
+    return { item: transaction.items.get(key) };
+  }
+
+  async findById(id, options) {
+    if (isSentinel(id)) return null;
+    const queued = this.queued(this.transactionOf(options), String(id));
+    if (queued) {
+      return this.toRecord(queued.item);
+    }
+
+    const result = await this.client.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { id: String(id) }
+    }));
+    return this.toRecord(result.Item);
+  }
+
+  // Query through a GSI when one of the fields is indexed, otherwise scan.
+  // Remaining conditions become a filter expression.
+  async find(where) {
+    const { conditions, names, values, residual } = this.expression(where);
+    const keyIndex = conditions.findIndex(condition => condition.key && this.indexes[condition.field]);
+    const filters = conditions.filter((_, i) => i !== keyIndex).map(condition => condition.sql);
+    const expressionParams = {
+      FilterExpression: filters.join(' AND ') || undefined,
+      ExpressionAttributeNames: Object.keys(names).length ? names : undefined,
+      ExpressionAttributeValues: Object.keys(values).length ? values : undefined
+    };
+
+    let items;
+    if (keyIndex === -1) {
+      items = await this.scanAll(expressionParams);
+    } else {
+      items = [];
+      let ExclusiveStartKey;
+      do {
+        const result = await this.client.send(new QueryCommand({
+          TableName: this.tableName,
+          IndexName: this.indexes[conditions[keyIndex].field],
+          KeyConditionExpression: conditions[keyIndex].sql,
+          ...expressionParams,
+          ExclusiveStartKey
+        }));
+        items.push(...result.Items);
+        ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (ExclusiveStartKey);
+    }
+
+    return items
+      .filter(item => Object.entries(residual).every(([field, condition]) => Repository.matchesCondition(item[field], condition)))
+      .map(item => this.toRecord(item));
+  }
+
+  async findOne(where) {
+    const [record] = await this.find(where);
+    return record || null;
+  }
+
+  // DynamoDB has no ordered scan, so the table is sorted in process
+  async list(options = {}) {
+    const { where = {}, search, fields, page = 1, limit = 10, offset = (page - 1) * limit, sort = 'desc', sortBy = 'createdAt' } = options;
+    this.checkListOptions({ where, search, fields, sortBy });
+
+    const records = await this.find(where);
+    return records
+      .filter(record => Repository.matchesSearch(record, search))
+      .sort(Repository.compareBy(sortBy, sort))
+      .slice(offset, offset + limit)
+      .map(record => Repository.project(record, fields));
+  }
+
+  // Pages follow the table's scan order, so a `sort` or `sortBy` is
+  // rejected (list() sorts). The position is the key of the last item
+  // returned, which the next page scans from as its ExclusiveStartKey.
+  async listPage(options = {}) {
+    const { where = {}, search, fields, limit = 10, after, sort, sortBy } = options;
+    if (sort !== undefined || sortBy !== undefined) {
+      throw new AppError(400, 'Cursor pages on DynamoDB follow the scan order; sorting needs page numbers');
+    }
+    this.checkListOptions({ where, search, fields });
+    const { conditions, names, values, residual } = this.expression(where);
+    const matches = (item) => !isSentinel(item.id) && Repository.matchesSearch(item, search) &&
+      Object.entries(residual).every(([field, condition]) => Repository.matchesCondition(item[field], condition));
+
+    // Read until one item past the page shows whether there is a next one
+    const items = [];
+    let ExclusiveStartKey = after ? { id: String(after.id) } : undefined;
+    do {
+      const result = await this.client.send(new ScanCommand({
+        TableName: this.tableName,
+        Limit: limit + 1,
+        FilterExpression: conditions.map(condition => condition.sql).join(' AND ') || undefined,
+        ExpressionAttributeNames: conditions.length ? names : undefined,
+        ExpressionAttributeValues: conditions.length ? values : undefined,
+        ExclusiveStartKey
+      }));
+      items.push(...result.Items.filter(matches));
+      ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey && items.length <= limit);
+
+    const records = items.slice(0, limit).map(item => this.toRecord(item));
+    return {
+      records: records.map(record => Repository.project(record, fields)),
+      next: items.length > limit ? { value: null, id: records[records.length - 1].id } : null
+    };
+  }
+
+  sortsPages() {
+    return false;
+  }
+
+  async count(where = {}, search) {
+    this.checkListOptions({ where, search });
+    const records = await this.find(where);
+    return records.filter(record => Repository.matchesSearch(record, search)).length;
+  }
+
+  // Look up unique values before queueing writes in a transaction, where a
+  // collision only shows when the whole transaction commits
+  async checkUnique(data) {
+    for (const field of this.definition.unique || []) {
+      if (data[field] === undefined || data[field] === null) continue;
+      if (await this.findOne({ [field]: data[field] })) {
+        throw new DuplicateKeyError(field);
+      }
+    }
+  }
+
+  async save(data, options = {}) {
+    const { id, ...fields } = data;
+    return id ? this.update(String(id), fields, options) : this.insert(fields, options);
+  }
+
+  async insert(fields, options) {
+    const transaction = this.transactionOf(options);
+    const Item = this.toItem({ ...this.stamp(fields, true), id: randomUUID() });
+    const [write, ...uniqueWrites] = this.insertWrites(Item);
+
+    if (transaction) {
+      this.enqueue(transaction, write, this.toRecord(Item));
+      uniqueWrites.forEach(uniqueWrite => this.enqueue(transaction, uniqueWrite));
+    } else if (uniqueWrites.length) {
+      await this.transactWrite([write, ...uniqueWrites]);
+    } else {
+      await this.client.send(new PutCommand(this.request(write)));
+    }
+    return this.toRecord(Item);
+  }
+
+  // Only the given fields are set, on condition that the item exists (and
+  // is at `expectedVersion`), so concurrent writes to other fields are
+  // kept. Changing a unique field also moves its sentinel, on condition
+  // that the item still holds the value it was read with.
+  async update(id, fields, options) {
+    const { expectedVersion } = options;
+    const transaction = this.transactionOf(options);
+    const changes = this.stamp(fields, false);
+    const changesUnique = (this.definition.unique || []).some(field => fields[field] !== undefined);
+
+    if (!transaction && !changesUnique) {
+      try {
+        const result = await this.client.send(new UpdateCommand(this.request({
+          operation: 'Update',
+          params: { Key: { id }, ReturnValues: 'ALL_NEW' },
+          condition: this.itemCondition({ expectedVersion }),
+          fields: changes
+        })));
+        return this.toRecord(result.Attributes);
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+        return this.conflict(id, new VersionConflictError());
+      }
+    }
+
+    const existing = await this.findById(id, options);
+    if (!existing) return null;
+    Repository.checkVersion(existing, expectedVersion);
+
+    const expected = Object.fromEntries((this.definition.unique || [])
+      .filter(field => fields[field] !== undefined)
+      .map(field => [field, existing[field]]));
+    const write = {
+      operation: 'Update',
+      params: { Key: { id } },
+      condition: this.itemCondition({ expectedVersion, expected }),
+      fields: changes
+    };
+    const uniqueWrites = this.uniqueWrites(id, existing, fields);
+
+    if (transaction) {
+      // The version moves once per transaction, as the writes are merged
+      const item = {
+        ...existing,
+        ...this.toItem(changes),
+        ...(this.definition.versioned && !this.queued(transaction, id) && { version: Repository.versionOf(existing) + 1 })
+      };
+      this.enqueue(transaction, write, item);
+      uniqueWrites.forEach(uniqueWrite => this.enqueue(transaction, uniqueWrite));
+      return this.toRecord(item);
+    }
+
+    try {
+      await this.transactWrite([write, ...uniqueWrites]);
+    } catch (error) {
+      if (!(error instanceof VersionConflictError)) throw error;
+      return this.conflict(id, error);
+    }
+    // TransactWriteItems does not return the items it writes
+    return this.findById(id);
+  }
+
+  // A failed item condition means the item is gone (null) or has changed
+  async conflict(id, error) {
+    if (!await this.findById(id)) return null;
+    throw error;
+  }
+
+  // Records are written together with their unique value sentinels in
+  // TransactWriteItems requests. A record whose id or unique value is
+  // taken fails on its own: it is reported and the rest of its request is
+  // sent again. Records in the same call must not share unique values.
+  async insertMany(records, { copy = false, ...options } = {}) {
+    const transaction = this.transactionOf(options);
+    const results = [];
+    const entries = [];
+    const claimed = new Set();
+    for (const [index, record] of records.entries()) {
+      try {
+        const { id, ...fields } = this.insertion(record, copy);
+        const Item = this.toItem({ ...fields, id: id ?? randomUUID() });
+        const writes = this.insertWrites(Item);
+        const clash = writes.find(write => claimed.has(write.params.Item.id));
+        if (clash) throw clash.error();
+        if (transaction) {
+          if (await this.findById(Item.id, options)) throw new DuplicateKeyError('id');
+          await this.checkUnique(fields);
+        }
+        writes.forEach(write => claimed.add(write.params.Item.id));
+        entries.push({ index, Item, writes });
+        results.push(null);
+      } catch (error) {
+        if (!(error instanceof DuplicateKeyError)) throw error;
+        results.push(error);
+      }
+    }
+
+    if (transaction) {
+      for (const { Item, writes: [write, ...uniqueWrites] } of entries) {
+        this.enqueue(transaction, write, this.toRecord(Item));
+        uniqueWrites.forEach(uniqueWrite => this.enqueue(transaction, uniqueWrite));
+      }
+      return results;
+    }
+
+    let request = [];
+    let size = 0;
+    for (const entry of entries) {
+      if (size + entry.writes.length > TRANSACT_WRITE_ITEMS) {
+        await this.insertEntries(request, results);
+        request = [];
+        size = 0;
+      }
+      request.push(entry);
+      size += entry.writes.length;
+    }
+    await this.insertEntries(request, results);
+    return results;
+  }
+
+  // Write insertMany() entries in one request. Entries whose condition
+  // fails get their error in `results`; a request cancelled for another
+  // reason is retried with a growing delay.
+  async insertEntries(entries, results) {
+    for (let attempt = 1; entries.length;) {
+      const writes = entries.flatMap(entry => entry.writes);
+      try {
+        await this.client.send(new TransactWriteCommand({
+          TransactItems: writes.map(write => ({ [write.operation]: this.request(write) }))
+        }));
+        return;
+      } catch (error) {
+        if (error.name !== 'TransactionCanceledException') throw error;
+        const reasons = error.CancellationReasons || [];
+        let offset = 0;
+        const failed = entries.filter(entry => {
+          const write = entry.writes.find((_, i) => reasons[offset + i]?.Code === 'ConditionalCheckFailed');
+          offset += entry.writes.length;
+          if (write) results[entry.index] = write.error();
+          return Boolean(write);
+        });
+
+        if (!failed.length) {
+          if (attempt >= TRANSACT_WRITE_ATTEMPTS) throw error;
+          await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+          attempt += 1;
+        }
+        entries = entries.filter(entry => !failed.includes(entry));
+      }
+    }
+  }
+
+  // ADD is applied atomically by DynamoDB; the condition keeps it from
+  // creating a new item for an unknown id. In a transaction the new value is
+  // set instead, on condition that the field has not moved meanwhile.
+  async increment(id, field, amount = 1, options) {
+    const transaction = this.transactionOf(options);
+    if (transaction) {
+      const existing = await this.findById(id, options);
+      if (!existing) return null;
+      const changes = { [field]: (existing[field] || 0) + amount, updatedAt: new Date() };
+      const item = { ...existing, ...this.toItem(changes) };
+      this.enqueue(transaction, {
+        operation: 'Update',
+        params: { Key: { id: String(id) } },
+        condition: this.itemCondition({ expected: { [field]: existing[field] } }),
+        fields: changes
+      }, item);
+      return this.toRecord(item);
+    }
+
+    try {
+      const result = await this.client.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: { id: String(id) },
+        UpdateExpression: 'ADD #field :amount SET #updatedAt = :now',
+        ConditionExpression: 'attribute_exists(id)',
+        ExpressionAttributeNames: { '#field': field, '#updatedAt': 'updatedAt' },
+        ExpressionAttributeValues: { ':amount': amount, ':now': new Date().toISOString() },
+        ReturnValues: 'ALL_NEW'
+      }));
+      return this.toRecord(result.Attributes);
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // An item with unique fields is deleted together with their sentinels, on
+  // condition that it still holds the values it was read with
+  async delete(id, options) {
+    const transaction = this.transactionOf(options);
+    const unique = this.definition.unique || [];
+    if (!transaction && !unique.length) {
+      const result = await this.client.send(new DeleteCommand({
+        TableName: this.tableName,
+        Key: { id: String(id) },
+        ReturnValues: 'ALL_OLD'
+      }));
+      return Boolean(result.Attributes);
+    }
+
+    const existing = await this.findById(id, options);
+    if (!existing) return false;
+    const write = {
+      operation: 'Delete',
+      params: { Key: { id: String(id) } },
+      condition: this.itemCondition({ expected: Object.fromEntries(unique.map(field => [field, existing[field]])) })
+    };
+    const uniqueWrites = this.uniqueWrites(String(id), existing, Object.fromEntries(unique.map(field => [field, null])));
+
+    if (transaction) {
+      this.enqueue(transaction, write, null);
+      uniqueWrites.forEach(uniqueWrite => this.enqueue(transaction, uniqueWrite));
+      return true;
+    }
+    try {
+      await this.transactWrite([write, ...uniqueWrites]);
+    } catch (error) {
+      if (!(error instanceof VersionConflictError)) throw error;
+      await this.conflict(String(id), error);
+      return false;
+    }
+    return true;
+  }
+}
+
+// GSI definition on a single string hash key, for the tables created by
+// the migrations
+export const globalIndex = (IndexName, attribute) => ({
+  IndexName,
+  KeySchema: [
+    { AttributeName: attribute, KeyType: 'HASH' }
+  ],
+  Projection: {
+    ProjectionType: 'ALL'
+  },
+  ProvisionedThroughput: {
+    ReadCapacityUnits: 5,
+    WriteCapacityUnits: 5
+  }
+});
+
+export default DynamoRepository;
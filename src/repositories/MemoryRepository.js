@@ -0,0 +1,172 @@
+import Repository from './Repository.js';
+import db from '../utils/database.js';
+import { DuplicateKeyError } from '../utils/errors.js';
+
+// In-process adapter for tests and local development. Tables live in the
+// registry's `memory` connection, so db.closeAll() starts from a clean slate.
+// Unique fields, sorting and pagination behave like the real stores.
+class MemoryRepository extends Repository {
+  get table() {
+    const tables = db.get('memory');
+    if (!tables.has(this.definition.name)) {
+      tables.set(this.definition.name, { sequence: 0, rows: new Map() });
+    }
+    return tables.get(this.definition.name);
+  }
+
+  async initialize() {
+    await db.connect('memory');
+  }
+
+  toRecord(row) {
+    return row ? structuredClone(row) : null;
+  }
+
+  matches(row, where) {
+    return Object.entries(where).every(([field, condition]) => Repository.matchesCondition(row[field], condition));
+  }
+
+  checkUnique(data, id) {
+    for (const field of this.definition.unique || []) {
+      if (data[field] === undefined) continue;
+      for (const row of this.table.rows.values()) {
+        if (row.id !== id && row[field] === data[field]) {
+          throw new DuplicateKeyError(field);
+        }
+      }
+    }
+  }
+
+  async findById(id) {
+    return this.toRecord(this.table.rows.get(String(id)));
+  }
+
+  async findOne(where) {
+    for (const row of this.table.rows.values()) {
+      if (this.matches(row, where)) {
+        return this.toRecord(row);
+      }
+    }
+    return null;
+  }
+
+  async find(where) {
+    return [...this.table.rows.values()]
+      .filter(row => this.matches(row, where))
+      .map(row => this.toRecord(row));
+  }
+
+  async list(options = {}) {
+    const { where = {}, search, fields, page = 1, limit = 10, offset = (page - 1) * limit, sort = 'desc', sortBy = 'createdAt' } = options;
+    this.checkListOptions({ where, search, fields, sortBy });
+
+    return [...this.table.rows.values()]
+      .filter(row => this.matches(row, where) && Repository.matchesSearch(row, search))
+      .sort(Repository.compareBy(sortBy, sort))
+      .slice(offset, offset + limit)
+      .map(row => Repository.project(this.toRecord(row), fields));
+  }
+
+  // Keyset order is (sortBy, id)
+  async listPage(options = {}) {
+    const { where = {}, search, fields, limit = 10, after, sort = 'desc', sortBy = 'createdAt' } = options;
+    this.checkListOptions({ where, search, fields, sortBy });
+    const bySort = Repository.compareBy(sortBy, sort);
+    const byId = Repository.compareBy('id', sort);
+    const compare = (a, b) => bySort(a, b) || byId(a, b);
+    const start = after && { [sortBy]: after.value, id: after.id };
+
+    const rows = [...this.table.rows.values()]
+      .filter(row => this.matches(row, where) && Repository.matchesSearch(row, search))
+      .filter(row => !start || compare(row, start) > 0)
+      .sort(compare);
+
+    const records = rows.slice(0, limit).map(row => this.toRecord(row));
+    return {
+      records: records.map(record => Repository.project(record, fields)),
+      next: rows.length > limit ? Repository.position(records[records.length - 1], sortBy) : null
+    };
+  }
+
+  async count(where = {}, search) {
+    this.checkListOptions({ where, search });
+    return [...this.table.rows.values()]
+      .filter(row => this.matches(row, where) && Repository.matchesSearch(row, search))
+      .length;
+  }
+
+  async save(data, { expectedVersion } = {}) {
+    const { id, ...fields } = data;
+    const table = this.table;
+
+    let row;
+    if (id) {
+      const existing = table.rows.get(String(id));
+      if (!existing) return null;
+      Repository.checkVersion(existing, expectedVersion);
+      this.checkUnique(fields, existing.id);
+      row = { ...existing, ...this.stamp(fields, false), id: existing.id };
+      if (this.definition.versioned) row.version = Repository.versionOf(existing) + 1;
+    } else {
+      this.checkUnique(fields);
+      table.sequence += 1;
+      row = { ...this.stamp(fields, true), id: String(table.sequence) };
+    }
+
+    // Drop undefined fields the same way the drivers do
+    const clean = Object.fromEntries(
+      Object.entries(row).filter(([, value]) => value !== undefined)
+    );
+    table.rows.set(clean.id, structuredClone(clean));
+    return this.toRecord(clean);
+  }
+
+  async insertMany(records, { copy = false } = {}) {
+    const results = [];
+    for (const record of records) {
+      try {
+        if (copy) {
+          this.insertCopy(this.insertion(record, true));
+        } else {
+          await this.save(record);
+        }
+        results.push(null);
+      } catch (error) {
+        if (!(error instanceof DuplicateKeyError)) throw error;
+        results.push(error);
+      }
+    }
+    return results;
+  }
+
+  // A record copied in keeps its id if it comes with one
+  insertCopy({ id, ...fields }) {
+    const table = this.table;
+    if (id !== undefined && table.rows.has(id)) {
+      throw new DuplicateKeyError('id');
+    }
+    this.checkUnique(fields);
+    // Later inserts must not be given a copied numeric id
+    if (/^\d+$/.test(id)) {
+      table.sequence = Math.max(table.sequence, Number(id));
+    }
+    const row = { ...fields, id: id ?? String(table.sequence += 1) };
+    table.rows.set(row.id, structuredClone(Object.fromEntries(
+      Object.entries(row).filter(([, value]) => value !== undefined)
+    )));
+  }
+
+  async increment(id, field, amount = 1) {
+    const row = this.table.rows.get(String(id));
+    if (!row) return null;
+    row[field] = (row[field] || 0) + amount;
+    row.updatedAt = new Date();
+    return this.toRecord(row);
+  }
+
+  async delete(id) {
+    return this.table.rows.delete(String(id));
+  }
+}
+
+export default MemoryRepository;
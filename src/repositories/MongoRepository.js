@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import Repository from './Repository.js';
+import db from '../utils/database.js';
+import { DuplicateKeyError, VersionConflictError } from '../utils/errors.js';
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const OPERATORS = {
+  gte: value => ({ $gte: value }),
+  lte: value => ({ $lte: value }),
+  contains: value => ({ $regex: escapeRegex(value), $options: 'i' }),
+  endsWith: value => ({ $regex: `${escapeRegex(value)}$`, $options: 'i' })
+};
+
+// MongoDB adapter backed by the Mongoose model in definition.mongodb.model
+class MongoRepository extends Repository {
+  get model() {
+    return this.definition.mongodb.model;
+  }
+
+  async initialize() {
+    await db.connect('mongodb');
+  }
+
+  // Driver options putting an operation in the session of its transaction
+  sessionOptions(options) {
+    const transaction = this.transactionOf(options);
+    return transaction?.session ? { session: transaction.session } : {};
+  }
+
+  toRecord(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...fields } = doc;
+    return { id: _id.toString(), ...fields };
+  }
+
+  async findById(id, options) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.toRecord(await this.model.findById(id, null, this.sessionOptions(options)).lean());
+  }
+
+  // Mongo filter for a set of conditions; a null value matches missing
+  // fields natively
+  query(where, search) {
+    const query = {};
+    const and = [];
+    for (const [field, value] of Object.entries(where)) {
+      if (Repository.isOperators(value)) {
+        for (const [operator, operand] of Object.entries(value)) {
+          and.push({ [field]: OPERATORS[operator](operand) });
+        }
+      } else {
+        query[field] = value;
+      }
+    }
+    if (search) {
+      and.push({ $or: search.fields.map(field => ({ [field]: OPERATORS.contains(search.term) })) });
+    }
+    return and.length ? { ...query, $and: and } : query;
+  }
+
+  async findOne(where, options) {
+    return this.toRecord(await this.model.findOne(this.query(where), null, this.sessionOptions(options)).lean());
+  }
+
+  async find(where, options) {
+    const docs = await this.model.find(this.query(where), null, this.sessionOptions(options)).lean();
+    return docs.map(doc => this.toRecord(doc));
+  }
+
+  async list(options = {}) {
+    const { where = {}, search, fields, page = 1, limit = 10, offset = (page - 1) * limit, sort = 'desc', sortBy = 'createdAt' } = options;
+    this.checkListOptions({ where, search, fields, sortBy });
+
+    const docs = await this.model.find(this.query(where, search), fields && ['_id', ...fields].join(' '))
+      .sort({ [sortBy]: sort === 'asc' ? 1 : -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+    return docs.map(doc => this.toRecord(doc));
+  }
+
+  // Keyset pagination on (sortBy, _id)
+  async listPage(options = {}) {
+    const { where = {}, search, fields, limit = 10, after, sort = 'desc', sortBy = 'createdAt' } = options;
+    this.checkListOptions({ where, search, fields, sortBy });
+    const direction = sort === 'asc' ? 1 : -1;
+    const comparison = sort === 'asc' ? '$gt' : '$lt';
+
+    const query = this.query(where, search);
+    if (after) {
+      query.$and = [...(query.$and || []), {
+        $or: [
+          { [sortBy]: { [comparison]: after.value } },
+          { [sortBy]: after.value, _id: { [comparison]: after.id } }
+        ]
+      }];
+    }
+
+    const docs = await this.model.find(query, fields && [...new Set(['_id', sortBy, ...fields])].join(' '))
+      .sort({ [sortBy]: direction, _id: direction })
+      .limit(limit + 1)
+      .lean();
+
+    const records = docs.slice(0, limit).map(doc => this.toRecord(doc));
+    return {
+      records: records.map(record => Repository.project(record, fields)),
+      next: docs.length > limit ? Repository.position(records[records.length - 1], sortBy) : null
+    };
+  }
+
+  async count(where = {}, search) {
+    this.checkListOptions({ where, search });
+    return this.model.countDocuments(this.query(where, search));
+  }
+
+  async save(data, options = {}) {
+    const { id, ...fields } = data;
+    const { expectedVersion } = options;
+    const driverOptions = this.sessionOptions(options);
+
+    try {
+      if (id) {
+        const conditional = expectedVersion !== undefined;
+        // Documents from before versioning have no version field: they are
+        // at version 0, and $inc starts them at 1
+        const filter = conditional
+          ? { _id: id, version: { $in: expectedVersion === 0 ? [0, null] : [expectedVersion] } }
+          : { _id: id };
+        const update = this.definition.versioned
+          ? { $set: this.stamp(fields, false), $inc: { version: 1 } }
+          : this.stamp(fields, false);
+
+        const doc = await this.model.findOneAndUpdate(filter, update, { new: true, runValidators: true, ...driverOptions }).lean();
+        if (!doc && conditional && await this.model.exists({ _id: id }).setOptions(driverOptions)) {
+          throw new VersionConflictError();
+        }
+        return this.toRecord(doc);
+      }
+
+      // Documents are only created in a session when passed as an array
+      const [doc] = await this.model.create([this.stamp(fields, true)], driverOptions);
+      return this.toRecord(doc.toObject());
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new DuplicateKeyError(Object.keys(error.keyValue || {})[0] || 'value');
+      }
+      throw error;
+    }
+  }
+
+  // Ids are ObjectIds
+  keepsId(id) {
+    return /^[a-f\d]{24}$/i.test(id);
+  }
+
+  // Unordered, so one duplicate does not stop the rest of the batch
+  async insertMany(records, { copy = false, ...options } = {}) {
+    const docs = records.map((record) => {
+      const { id, ...fields } = this.insertion(record, copy);
+      return id === undefined ? fields : { ...fields, _id: id };
+    });
+    const results = records.map(() => null);
+    try {
+      await this.model.insertMany(docs, { ordered: false, ...this.sessionOptions(options) });
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (!writeErrors.length || writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+      for (const writeError of writeErrors) {
+        const details = writeError.err || writeError;
+        const field = Object.keys(details.keyValue || details.keyPattern || {})[0] || 'value';
+        results[writeError.index] = new DuplicateKeyError(field === '_id' ? 'id' : field);
+      }
+    }
+    return results;
+  }
+
+  async increment(id, field, amount = 1, options) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const doc = await this.model.findByIdAndUpdate(
+      id,
+      { $inc: { [field]: amount }, $set: { updatedAt: new Date() } },
+      { new: true, ...this.sessionOptions(options) }
+    ).lean();
+    return this.toRecord(doc);
+  }
+
+  async delete(id, options) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    const doc = await this.model.findByIdAndDelete(id, this.sessionOptions(options)).lean();
+    return Boolean(doc);
+  }
+}
+
+export default MongoRepository;
@@ -0,0 +1,305 @@
+import Repository from './Repository.js';
+import db from '../utils/database.js';
+import { DuplicateKeyError, VersionConflictError } from '../utils/errors.js';
+
+// The DEFAULT keyword, for a column left out of one row of a multi-row
+// INSERT
+const DEFAULT = { toSqlString: () => 'DEFAULT' };
+
+// Wildcards in user input match literally
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+const OPERATORS = {
+  gte: { sql: '>=', param: value => value },
+  lte: { sql: '<=', param: value => value },
+  contains: { sql: 'LIKE', param: value => `%${escapeLike(value)}%` },
+  endsWith: { sql: 'LIKE', param: value => `%${escapeLike(value)}` }
+};
+
+// MySQL adapter. Field names are mapped to column names through
+// definition.mysql.columns; unmapped fields use the same name. Fields listed
+// in definition.mysql.booleans are read back as booleans, fields in
+// definition.mysql.json are stored in JSON columns.
+class MySQLRepository extends Repository {
+  get pool() {
+    return db.get('mysql');
+  }
+
+  get table() {
+    return this.definition.name;
+  }
+
+  // What to run an operation's queries on: the connection of its
+  // transaction, or the pool
+  connection(options) {
+    return this.transactionOf(options)?.connection ?? this.pool;
+  }
+
+  get columns() {
+    return this.definition.mysql.columns || {};
+  }
+
+  async initialize() {
+    await db.connect('mysql');
+  }
+
+  column(field) {
+    return this.columns[field] || field;
+  }
+
+  toRow(data) {
+    const json = this.definition.mysql.json || [];
+    const row = {};
+    for (const [field, value] of Object.entries(data)) {
+      if (value !== undefined) {
+        row[this.column(field)] = json.includes(field) && value !== null
+          ? JSON.stringify(value)
+          : value;
+      }
+    }
+    return row;
+  }
+
+  toRecord(row) {
+    if (!row) return null;
+    const fields = Object.fromEntries(
+      Object.entries(this.columns).map(([field, column]) => [column, field])
+    );
+    const record = {};
+    for (const [column, value] of Object.entries(row)) {
+      record[fields[column] || column] = value;
+    }
+    for (const field of this.definition.mysql.json || []) {
+      if (typeof record[field] === 'string') {
+        record[field] = JSON.parse(record[field]);
+      }
+    }
+    // BOOLEAN columns come back as TINYINT 0/1
+    for (const field of this.definition.mysql.booleans || []) {
+      if (record[field] !== undefined && record[field] !== null) {
+        record[field] = Boolean(record[field]);
+      }
+    }
+    record.id = String(row.id);
+    return record;
+  }
+
+  async findById(id, options) {
+    const [rows] = await this.connection(options).query(
+      'SELECT * FROM ?? WHERE id = ?',
+      [this.table, id]
+    );
+    return this.toRecord(rows[0]);
+  }
+
+  // Parameterized WHERE clause for a set of conditions. LIKE matches ignore
+  // case through the tables' _ci collation.
+  whereClause(where, search) {
+    const conditions = [];
+    const params = [];
+    for (const [field, value] of Object.entries(where)) {
+      if (value === null) {
+        conditions.push('?? IS NULL');
+        params.push(this.column(field));
+      } else if (Repository.isOperators(value)) {
+        for (const [operator, operand] of Object.entries(value)) {
+          conditions.push(`?? ${OPERATORS[operator].sql} ?`);
+          params.push(this.column(field), OPERATORS[operator].param(operand));
+        }
+      } else {
+        conditions.push('?? = ?');
+        params.push(this.column(field), value);
+      }
+    }
+    if (search) {
+      conditions.push(`(${search.fields.map(() => '?? LIKE ?').join(' OR ')})`);
+      for (const field of search.fields) {
+        params.push(this.column(field), `%${escapeLike(search.term)}%`);
+      }
+    }
+    return { sql: conditions.join(' AND ') || '1 = 1', params };
+  }
+
+  async findOne(where, options) {
+    const { sql, params } = this.whereClause(where);
+    const [rows] = await this.connection(options).query(
+      `SELECT * FROM ?? WHERE ${sql} LIMIT 1`,
+      [this.table, ...params]
+    );
+    return this.toRecord(rows[0]);
+  }
+
+  async find(where, options) {
+    const { sql, params } = this.whereClause(where);
+    const [rows] = await this.connection(options).query(
+      `SELECT * FROM ?? WHERE ${sql}`,
+      [this.table, ...params]
+    );
+    return rows.map(row => this.toRecord(row));
+  }
+
+  async list(options = {}) {
+    const { where = {}, search, fields, page = 1, limit = 10, offset = (page - 1) * limit, sort = 'desc', sortBy = 'createdAt' } = options;
+    this.checkListOptions({ where, search, fields, sortBy });
+    const direction = sort === 'asc' ? 'ASC' : 'DESC';
+    const { sql, params } = this.whereClause(where, search);
+    const columns = fields ? ['id', ...fields].map(field => this.column(field)) : null;
+
+    const [rows] = await this.pool.query(
+      `SELECT ${columns ? '??' : '*'} FROM ?? WHERE ${sql} ORDER BY ?? ${direction} LIMIT ? OFFSET ?`,
+      [...(columns ? [columns] : []), this.table, ...params, this.column(sortBy), Number(limit), Number(offset)]
+    );
+    return rows.map(row => this.toRecord(row));
+  }
+
+  // Keyset pagination on (sortBy, id), so deep pages cost the same as the
+  // first one
+  async listPage(options = {}) {
+    const { where = {}, search, fields, limit = 10, after, sort = 'desc', sortBy = 'createdAt' } = options;
+    this.checkListOptions({ where, search, fields, sortBy });
+    const direction = sort === 'asc' ? 'ASC' : 'DESC';
+    const comparison = sort === 'asc' ? '>' : '<';
+    const column = this.column(sortBy);
+    const { sql, params } = this.whereClause(where, search);
+
+    let keyset = '';
+    if (after) {
+      keyset = ` AND (?? ${comparison} ? OR (?? = ? AND id ${comparison} ?))`;
+      params.push(column, after.value, column, after.value, after.id);
+    }
+    // The sort column is needed for the next position even if not selected
+    const columns = fields ? [...new Set(['id', sortBy, ...fields])].map(field => this.column(field)) : null;
+
+    const [rows] = await this.pool.query(
+      `SELECT ${columns ? '??' : '*'} FROM ?? WHERE ${sql}${keyset} ORDER BY ?? ${direction}, id ${direction} LIMIT ?`,
+      [...(columns ? [columns] : []), this.table, ...params, column, Number(limit) + 1]
+    );
+
+    const records = rows.slice(0, limit).map(row => this.toRecord(row));
+    return {
+      records: records.map(record => Repository.project(record, fields)),
+      next: rows.length > limit ? Repository.position(records[records.length - 1], sortBy) : null
+    };
+  }
+
+  async count(where = {}, search) {
+    this.checkListOptions({ where, search });
+    const { sql, params } = this.whereClause(where, search);
+    const [rows] = await this.pool.query(
+      `SELECT COUNT(*) AS total FROM ?? WHERE ${sql}`,
+      [this.table, ...params]
+    );
+    return Number(rows[0].total);
+  }
+
+  // "Duplicate entry 'a@b.c' for key 'users.email'" -> email
+  duplicateField(error) {
+    const key = error.sqlMessage?.match(/for key '(?:[^.']+\.)?([^']+)'/)?.[1];
+    if (key === 'PRIMARY') return 'id';
+    const field = Object.keys(this.columns).find(name => this.columns[name] === key);
+    return field || key || 'value';
+  }
+
+  async save(data, options = {}) {
+    const { id, ...fields } = data;
+    const { expectedVersion } = options;
+    const connection = this.connection(options);
+
+    try {
+      if (id) {
+        const versioned = this.definition.versioned;
+        const conditional = expectedVersion !== undefined;
+        const version = this.column('version');
+        const [result] = await connection.query(
+          `UPDATE ?? SET ?${versioned ? ', ?? = COALESCE(??, 0) + 1' : ''} WHERE id = ?${conditional ? ' AND COALESCE(??, 0) = ?' : ''}`,
+          [
+            this.table,
+            this.toRow(this.stamp(fields, false)),
+            ...(versioned ? [version, version] : []),
+            id,
+            ...(conditional ? [version, expectedVersion] : [])
+          ]
+        );
+        // Nothing matched: either there is no such record or it has moved on
+        if (!result.affectedRows && conditional && await this.findById(id, options)) {
+          throw new VersionConflictError();
+        }
+        return this.findById(id, options);
+      }
+
+      const [result] = await connection.query(
+        'INSERT INTO ?? SET ?',
+        [this.table, this.toRow(this.stamp(fields, true))]
+      );
+      return this.findById(result.insertId, options);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new DuplicateKeyError(this.duplicateField(error));
+      }
+      throw error;
+    }
+  }
+
+  // Ids are auto-increment integers
+  keepsId(id) {
+    return /^\d+$/.test(id);
+  }
+
+  // One multi-row INSERT. A duplicate key fails the whole statement, so
+  // the batch is then retried row by row to find which rows are affected.
+  // A column a row has no value for gets the column default.
+  async insertMany(records, { copy = false, ...options } = {}) {
+    if (!records.length) return [];
+    const connection = this.connection(options);
+    const rows = records.map(record => this.toRow(this.insertion(record, copy)));
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    try {
+      await connection.query(
+        'INSERT INTO ?? (??) VALUES ?',
+        [this.table, columns, rows.map(row => columns.map(column => (column in row ? row[column] : DEFAULT)))]
+      );
+      return records.map(() => null);
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+    }
+
+    const results = [];
+    for (const row of rows) {
+      try {
+        await connection.query('INSERT INTO ?? SET ?', [this.table, row]);
+        results.push(null);
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+        results.push(new DuplicateKeyError(this.duplicateField(error)));
+      }
+    }
+    return results;
+  }
+
+  async increment(id, field, amount = 1, options) {
+    const [result] = await this.connection(options).query(
+      'UPDATE ?? SET ?? = COALESCE(??, 0) + ?, ?? = ? WHERE id = ?',
+      [
+        this.table,
+        this.column(field),
+        this.column(field),
+        amount,
+        this.column('updatedAt'),
+        new Date(),
+        id
+      ]
+    );
+    return result.affectedRows > 0 ? this.findById(id, options) : null;
+  }
+
+  async delete(id, options) {
+    const [result] = await this.connection(options).query(
+      'DELETE FROM ?? WHERE id = ?',
+      [this.table, id]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+export default MySQLRepository;
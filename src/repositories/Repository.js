@@ -0,0 +1,224 @@
+import { types } from 'util';
+import { AppError, VersionConflictError } from '../utils/errors.js';
+
+// Base class for storage adapters. A repository is bound to one model
+// definition and one backend, and exposes the same interface everywhere:
+// initialize, findById, findOne, find, list, listPage, count, save,
+// insertMany, increment and delete.
+// `where` is a plain object of field conditions: a value means equality
+// (null also matches a missing field), an operator object such as
+// `{ gte: date, lte: date }` or `{ endsWith: '@example.com' }` compares.
+// The text operators `contains` and `endsWith` ignore case. list() takes the
+// same conditions in its `where` option, plus `search` ({ term, fields }:
+// any of the fields contains the term) and `fields` (a projection; `id` is
+// always included). definition.fields declares which fields list queries
+// may select, sort and filter by; list(), listPage() and count() reject
+// anything else with a 400. list() pages by `page` or `offset`; listPage() pages
+// by keyset: it returns `next`, the position to pass back as `after` for the
+// following page, or null after the last one. Records go in and come out as
+// plain objects with a string `id`. initialize() only connects: tables,
+// collections and indexes are created by the migrations in src/migrations.
+// findById, findOne, find, save, insertMany, increment and delete take a
+// `transaction` option, the context of db.withTransaction(): the operation
+// is then part of that transaction when it is on the repository's backend.
+class Repository {
+  constructor(definition, type) {
+    this.definition = definition;
+    this.type = type;
+  }
+
+  // The transaction in an operation's options, if the operation can join it
+  transactionOf(options) {
+    const transaction = options?.transaction;
+    return transaction && transaction.type === this.type ? transaction : null;
+  }
+
+  // Fields declared with a capability (`selectable`, `sortable` or
+  // `filterable`) in definition.fields
+  fieldsWith(capability) {
+    const fields = this.definition.fields || {};
+    return Object.keys(fields).filter(field => fields[field][capability]);
+  }
+
+  // Reject list options that use undeclared fields, before any of them
+  // reaches a query
+  checkListOptions({ where = {}, search, fields, sortBy } = {}) {
+    if (sortBy !== undefined && !this.fieldsWith('sortable').includes(sortBy)) {
+      throw new AppError(400, `Cannot sort by ${sortBy}`);
+    }
+
+    const filterable = this.fieldsWith('filterable');
+    const filters = [...Object.keys(where), ...(search?.fields || [])].filter(field => !filterable.includes(field));
+    if (filters.length) {
+      throw new AppError(400, `Cannot filter by ${[...new Set(filters)].join(', ')}`);
+    }
+
+    const selectable = this.fieldsWith('selectable');
+    const unknown = (fields || []).filter(field => !selectable.includes(field));
+    if (unknown.length) {
+      throw new AppError(400, `Unknown fields: ${unknown.join(', ')}`);
+    }
+  }
+
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  async findById(id, options) {
+    throw new Error(`${this.constructor.name} does not implement findById()`);
+  }
+
+  async findOne(where, options) {
+    throw new Error(`${this.constructor.name} does not implement findOne()`);
+  }
+
+  async find(where, options) {
+    throw new Error(`${this.constructor.name} does not implement find()`);
+  }
+
+  async list(options) {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  // { records, next } for the page of `limit` records after `after`
+  async listPage(options) {
+    throw new Error(`${this.constructor.name} does not implement listPage()`);
+  }
+
+  // Number of records matching `where` (and `search`)
+  async count(where, search) {
+    throw new Error(`${this.constructor.name} does not implement count()`);
+  }
+
+  // Insert a record without an id, or update the given fields of the record
+  // with that id (null if there is none). In a `versioned` definition every
+  // write bumps `version`; with `expectedVersion` an update only applies
+  // to that version and throws a VersionConflictError otherwise.
+  async save(data, { expectedVersion, transaction } = {}) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  // Insert new records in bulk. Returns one entry per record, in order:
+  // null once it is inserted, or the DuplicateKeyError that kept it out.
+  // Other errors are thrown. With `copy` the records come from another
+  // store and are written as they are: they keep their timestamps, version
+  // and, where keepsId() allows, their id.
+  async insertMany(records, { copy = false, transaction } = {}) {
+    throw new Error(`${this.constructor.name} does not implement insertMany()`);
+  }
+
+  // Whether a record copied in can keep `id` as its own. Ids are free-form
+  // strings unless the backend generates them in a fixed shape.
+  keepsId(id) {
+    return true;
+  }
+
+  // Whether listPage() orders pages by `sort` and `sortBy`. A backend that
+  // cannot rejects both rather than ignoring them.
+  sortsPages() {
+    return true;
+  }
+
+  // Atomically add `amount` to a numeric field. Returns the updated record,
+  // or null when there is no record with this id.
+  async increment(id, field, amount = 1, options) {
+    throw new Error(`${this.constructor.name} does not implement increment()`);
+  }
+
+  async delete(id, options) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  // A record about to be inserted by insertMany(): stamped when new, as it
+  // is when copied, with an id only when it is kept
+  insertion(record, copy) {
+    if (!copy) return this.stamp(record, true);
+    const { id, ...fields } = record;
+    return id !== undefined && this.keepsId(String(id)) ? { ...fields, id: String(id) } : fields;
+  }
+
+  // Add createdAt/updatedAt (and the first version) to a record about to be
+  // written. Versions only ever move forward through save(), so an update
+  // never sets one directly.
+  stamp(data, isNew) {
+    const now = new Date();
+    const { version, ...fields } = data;
+    const record = this.definition.versioned ? fields : data;
+    return isNew
+      ? { ...record, ...(this.definition.versioned && { version: 1 }), createdAt: data.createdAt || now, updatedAt: now }
+      : { ...record, updatedAt: now };
+  }
+
+  // Records written before versioning started are at version 0
+  static versionOf(record) {
+    return record?.version ?? 0;
+  }
+
+  // Throw unless `record` is at the expected version (if one is given)
+  static checkVersion(record, expectedVersion) {
+    if (expectedVersion !== undefined && Repository.versionOf(record) !== expectedVersion) {
+      throw new VersionConflictError();
+    }
+  }
+
+  // Operator objects are plain objects; Dates and arrays are values
+  static isOperators(condition) {
+    return condition !== null && typeof condition === 'object' && condition.constructor === Object;
+  }
+
+  // Check one condition in process, for backends that cannot express it
+  static matchesCondition(value, condition) {
+    if (!Repository.isOperators(condition)) {
+      return (value ?? null) === condition;
+    }
+    if (value === undefined || value === null) return false;
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      // Dates may be stored as Date objects or ISO strings
+      const left = types.isDate(operand) ? new Date(value).getTime() : value;
+      const right = types.isDate(operand) ? operand.getTime() : operand;
+      switch (operator) {
+        case 'gte':
+          return left >= right;
+        case 'lte':
+          return left <= right;
+        case 'contains':
+          return String(value).toLowerCase().includes(String(operand).toLowerCase());
+        case 'endsWith':
+          return String(value).toLowerCase().endsWith(String(operand).toLowerCase());
+        default:
+          throw new Error(`Unsupported operator: ${operator}`);
+      }
+    });
+  }
+
+  static matchesSearch(record, search) {
+    return !search || search.fields.some(field => Repository.matchesCondition(record[field], { contains: search.term }));
+  }
+
+  static project(record, fields) {
+    if (!fields) return record;
+    return Object.fromEntries(['id', ...fields].filter(field => field in record).map(field => [field, record[field]]));
+  }
+
+  // Keyset position of a record in a list sorted by `sortBy`
+  static position(record, sortBy) {
+    return { value: record[sortBy] ?? null, id: record.id };
+  }
+
+  // Comparator for backends that sort in process. isDate also knows Dates
+  // from another realm, such as structuredClone copies under jest.
+  static compareBy(field, sort = 'desc') {
+    const direction = sort === 'asc' ? 1 : -1;
+    return (a, b) => {
+      const left = types.isDate(a[field]) ? a[field].getTime() : a[field];
+      const right = types.isDate(b[field]) ? b[field].getTime() : b[field];
+      if (left === right) return 0;
+      if (left === undefined || left === null) return -direction;
+      if (right === undefined || right === null) return direction;
+      return left > right ? direction : -direction;
+    };
+  }
+}
+
+export default Repository;
@@ -0,0 +1,48 @@
+import config from '../config/index.js';
+import db from '../utils/database.js';
+import MongoRepository from './MongoRepository.js';
+import MySQLRepository from './MySQLRepository.js';
+import DynamoRepository, { globalIndex, uniqueKey } from './DynamoRepository.js';
+import MemoryRepository from './MemoryRepository.js';
+import DualWriteRepository from './DualWriteRepository.js';
+import CircuitBreakerRepository from './CircuitBreakerRepository.js';
+
+// Storage adapters by DB_TYPE. A new backend only needs a Repository
+// subclass registered here (plus a connector in utils/database.js).
+const adapters = {
+  mongodb: MongoRepository,
+  mysql: MySQLRepository,
+  dynamodb: DynamoRepository,
+  memory: MemoryRepository
+};
+
+export { globalIndex, uniqueKey };
+
+export const registerAdapter = (type, Adapter) => {
+  adapters[type] = Adapter;
+};
+
+// Create the repository for a model definition on the configured backend,
+// behind the backend's circuit breaker
+export const createRepository = (definition, type = config.database.type) => {
+  const Adapter = adapters[type];
+  if (!Adapter) {
+    throw new Error(`Unsupported database type: ${type}`);
+  }
+  return new CircuitBreakerRepository(new Adapter(definition, type), db.breaker(type));
+};
+
+// Like createRepository(), but while config.database.dualWrite names a
+// second store, records are written to both it and DB_TYPE (see
+// DualWriteRepository); `primary` is whichever of the two leads
+export const createDualWriteRepository = (definition, { store, primary, shadowReads } = config.database.dualWrite) => {
+  if (!store) {
+    return createRepository(definition);
+  }
+  const secondary = primary === store ? config.database.type : store;
+  return new DualWriteRepository(definition, {
+    primary: createRepository(definition, primary),
+    secondary: createRepository(definition, secondary),
+    shadowReads
+  });
+};
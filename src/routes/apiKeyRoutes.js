@@ -0,0 +1,142 @@
+import express from 'express';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { verifyUserToken, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { decryptRequestIds } from '../utils/encryption.js';
+import { createApiKey } from '../services/apiKeys.js';
+import { unknownPermissions } from '../services/permissions.js';
+import { recordAudit } from '../services/audit.js';
+
+// Mounted at /users/:id/api-keys. Keys can only be managed with an access
+// token, so a leaked key cannot mint new ones.
+const router = express.Router({ mergeParams: true });
+
+const decryptIds = decryptRequestIds(['id', 'keyId']);
+const canManage = requirePermission('api-keys:manage', { owner: req => req.params.id });
+
+const sendUnknownScopes = (res, scopes) => {
+  const unknown = unknownPermissions(scopes);
+  if (!unknown.length) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Unknown scopes: ${unknown.join(', ')}`
+  });
+  return true;
+};
+
+const auditKey = (req, action, apiKey, before, after) => recordAudit(req, action, {
+  targetUserId: req.params.id,
+  before: before && ApiKey.toJSON(before),
+  after: after && ApiKey.toJSON(after),
+  metadata: { apiKey: { id: apiKey.id, name: apiKey.name } }
+});
+
+const sendKeyNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'API key not found'
+});
+
+router.use(verifyUserToken);
+
+// List a user's API keys
+router.get('/', decryptIds, validate(schemas.apiKey.list), canManage, async (req, res, next) => {
+  try {
+    const keys = await ApiKey.findByUser(req.params.id);
+    res.json({
+      success: true,
+      data: keys.map(ApiKey.toJSON)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a key. The key itself is only ever returned in this response.
+router.post('/', decryptIds, validate(schemas.apiKey.create), canManage, async (req, res, next) => {
+  try {
+    if (sendUnknownScopes(res, req.body.scopes)) return;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { key, apiKey } = await createApiKey(user.id, req.body);
+    await auditKey(req, 'api-key.create', apiKey, null, apiKey);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created, store it now as it cannot be shown again',
+      data: { key, apiKey }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get one key
+router.get('/:keyId', decryptIds, validate(schemas.apiKey.get), canManage, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findForUser(req.params.id, req.params.keyId);
+    if (!apiKey) {
+      return sendKeyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: ApiKey.toJSON(apiKey)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a key or change its scopes or expiry
+router.put('/:keyId', decryptIds, validate(schemas.apiKey.update), canManage, async (req, res, next) => {
+  try {
+    if (req.body.scopes && sendUnknownScopes(res, req.body.scopes)) return;
+
+    const apiKey = await ApiKey.findForUser(req.params.id, req.params.keyId);
+    if (!apiKey) {
+      return sendKeyNotFound(res);
+    }
+
+    const updated = await ApiKey.update(apiKey.id, req.body);
+    await auditKey(req, 'api-key.update', apiKey, apiKey, updated);
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: ApiKey.toJSON(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete (revoke) a key
+router.delete('/:keyId', decryptIds, validate(schemas.apiKey.get), canManage, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findForUser(req.params.id, req.params.keyId);
+    if (!apiKey) {
+      return sendKeyNotFound(res);
+    }
+
+    await ApiKey.delete(apiKey.id);
+    await auditKey(req, 'api-key.delete', apiKey, apiKey, null);
+
+    res.json({
+      success: true,
+      message: 'API key deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
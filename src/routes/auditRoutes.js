@@ -0,0 +1,46 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import encryption from '../utils/encryption.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Clients only ever see encrypted user ids
+const decryptActor = (actor) => {
+  try {
+    return encryption.decrypt(actor) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// All audit routes require authentication
+router.use(verifyToken);
+
+// Search the audit log, newest first
+router.get('/', validate(schemas.audit.list), requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const { actor, action, from, to, page, limit } = req.query;
+
+    const actorId = actor && decryptActor(actor);
+    if (actor && !actorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid actor'
+      });
+    }
+
+    const { entries, total } = await AuditLog.search({ actorId, action, from, to, page, limit });
+
+    res.json({
+      success: true,
+      data: entries.map(AuditLog.toJSON),
+      pageInfo: { page, limit, hasMore: page * limit < total, total }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,117 +1,570 @@
 import express from 'express';
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import { validate, validateResponse, userSchemas } from '../utils/validation.js';
-import UserModel from '../models/User.js';
-import { logger } from '../utils/logger.js';
-import { AppError } from '../utils/errors.js';
+import ms from 'ms';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import db from '../utils/database.js';
+import User from '../models/User.js';
+import {
+  verifyUserToken,
+  generateToken,
+  generateMfaToken,
+  verifyMfaToken
+} from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { decryptRequestIds } from '../utils/encryption.js';
+import {
+  sessionMeta,
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession
+} from '../services/sessions.js';
+import { revokeToken, revokeAllTokens } from '../services/tokens.js';
+import { requestPasswordReset, resetPassword } from '../services/passwordReset.js';
+import {
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerificationEmail
+} from '../services/emailVerification.js';
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  verifyChallenge,
+  resetTwoFactor
+} from '../services/twoFactor.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} from '../services/loginProtection.js';
+import { DEFAULT_ROLE } from '../services/permissions.js';
+import { listProviders, beginOidcLogin, completeOidcLogin } from '../services/oidc.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = express.Router();
 
-// Sample user store (replace with database in production)
-let users = [];
+const sendLockedOut = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed login attempts, please try again later'
+  });
+};
+
+// Failed attempts have no actor; the user, if known, is the target
+const auditLoginFailure = (req, email, reason, user) => recordAudit(req, 'auth.login-failed', {
+  actor: null,
+  targetUserId: user?.id,
+  metadata: { email, reason }
+});
+
+const auditLogin = (req, user, metadata) => recordAudit(req, 'auth.login', {
+  actor: user,
+  targetUserId: user.id,
+  metadata
+});
+
+// Start a session and sign its first access token
+const issueTokens = async (req, user) => {
+  const { sessionId, refreshToken } = await createSession(user.id, sessionMeta(req));
+  return { token: await generateToken(user, { sessionId }), refreshToken };
+};
 
 // Register new user
-router.post('/register',
-  validate(userSchemas.register),
-  validateResponse(userSchemas.authResponse),
-  async (req, res, next) => {
+router.post('/register', validate(schemas.auth.register), async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+    
+    // Check if user exists (a deleted user keeps the address until purged)
+    const existingUser = await User.findByEmail(email, { includeDeleted: true });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'User already exists'
+      });
+    }
+    
+    // Create new user, together with its audit entry
+    const user = new User({ email, password, name, role: DEFAULT_ROLE, emailVerified: false });
+    const savedUser = await db.withTransaction(async (transaction) => {
+      await user.save({ transaction });
+      await recordAudit(req, 'auth.register', {
+        actor: user,
+        targetUserId: user.id,
+        after: user.data,
+        transaction
+      });
+      return user;
+    });
+    
+    // The user can ask for a new link if this one does not go out
     try {
-      const { name, email, password, role = 'user' } = req.body;
-
-      // Check if user already exists
-      if (users.find(u => u.email === email)) {
-        return next(new AppError(400, 'User already exists'));
+      await sendVerificationEmail(savedUser);
+    } catch (error) {
+      logger.error('Error sending verification email:', error);
+    }
+    
+    const userData = {
+      id: savedUser.id,
+      email: savedUser.email,
+      name: savedUser.name,
+      role: savedUser.role,
+      emailVerified: savedUser.emailVerified
+    };
+    
+    // No tokens until the address is verified, if verification is required
+    if (config.emailVerification.required) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully, please verify your email address',
+        data: { user: userData }
+      });
+    }
+    
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(req, savedUser);
+    
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: userData,
+        token,
+        refreshToken
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Hash password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(password, salt);
-
-      const newUser = {
-        id: Date.now().toString(),
-        name,
-        email,
-        password: hashedPassword,
-        role
-      };
-
-      users.push(newUser);
-
-      // Create token
-      const token = jwt.sign(
-        { id: newUser.id, email: newUser.email, role: newUser.role },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.status(201).json({
-        status: 'success',
+// Login user
+router.post('/login', validate(schemas.user.login), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    
+    // Brute-force protection
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (throttle.locked) {
+      await auditLoginFailure(req, email, 'locked-out');
+      return sendLockedOut(res, throttle.retryAfter);
+    }
+    
+    // Find user and verify password
+    const user = await User.findByEmail(email);
+    if (!user || !await user.comparePassword(password)) {
+      await recordLoginFailure(email, req.ip);
+      await auditLoginFailure(req, email, 'invalid-credentials', user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    
+    if (config.emailVerification.required && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email address not verified'
+      });
+    }
+    
+    // With 2FA on, the password only earns a short-lived mfa_pending token
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
         data: {
-          user: {
-            id: newUser.id,
-            name: newUser.name,
-            email: newUser.email,
-            role: newUser.role
-          },
-          token
+          mfaRequired: true,
+          mfaToken: generateMfaToken(user)
         }
       });
-    } catch (error) {
-      next(error);
     }
+    
+    // Generate tokens
+    await recordLoginSuccess(email);
+    await auditLogin(req, user, { method: 'password' });
+    const { token, refreshToken } = await issueTokens(req, user);
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          emailVerified: user.emailVerified
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Login user
-router.post('/login',
-  validate(userSchemas.login),
-  validateResponse(userSchemas.authResponse),
-  async (req, res, next) => {
-    try {
-      const { email, password } = req.body;
+// Second login step: exchange an mfa_pending token and a TOTP or recovery
+// code for the real tokens
+router.post('/2fa/verify', validate(schemas.twoFactor.verify), async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
 
-      // Find user
-      const user = users.find(u => u.email === email);
-      if (!user) {
-        return next(new AppError(401, 'Invalid credentials'));
-      }
+    const pending = verifyMfaToken(mfaToken);
+    const user = pending && await User.findById(pending.id);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    // Wrong codes count as failed logins for the account
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (throttle.locked) {
+      await auditLoginFailure(req, user.email, 'locked-out', user);
+      return sendLockedOut(res, throttle.retryAfter);
+    }
+
+    if (!await verifyChallenge(user, { code, recoveryCode })) {
+      await recordLoginFailure(user.email, req.ip);
+      await auditLoginFailure(req, user.email, 'invalid-2fa-code', user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
 
-      // Check password
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) {
-        return next(new AppError(401, 'Invalid credentials'));
+    await recordLoginSuccess(user.email);
+    await auditLogin(req, user, { twoFactor: true, recoveryCode: Boolean(recoveryCode) });
+    const { token, refreshToken } = await issueTokens(req, user);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          emailVerified: user.emailVerified
+        },
+        token,
+        refreshToken
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Create token
-      const token = jwt.sign(
-        { id: user.id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+// Start 2FA enrollment: returns the secret and an otpauth:// URI for a QR code
+router.post('/2fa/setup', verifyUserToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const { secret, otpauthUri } = await beginEnrollment(user);
 
-      res.json({
-        status: 'success',
-        data: {
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role
-          },
-          token
-        }
+    res.json({
+      success: true,
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Finish enrollment with a code from the authenticator app
+router.post('/2fa/confirm', verifyUserToken, validate(schemas.twoFactor.confirm), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn 2FA off; requires a current code or a recovery code
+router.post('/2fa/disable', verifyUserToken, validate(schemas.twoFactor.challenge), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    // Wrong codes count as failed logins, as on /2fa/verify
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (throttle.locked) {
+      return sendLockedOut(res, throttle.retryAfter);
+    }
+
+    if (!await verifyChallenge(user, req.body)) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
       });
-    } catch (error) {
-      next(error);
     }
+
+    await recordLoginSuccess(user.email);
+    await resetTwoFactor(user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Holds state, nonce and PKCE verifier between the OIDC redirect and callback
+const OIDC_STATE_COOKIE = 'oidc_state';
+const oidcCookieOptions = () => ({
+  httpOnly: true,
+  secure: config.env === 'production',
+  sameSite: 'lax',
+  path: `/api/${config.apiVersion}/auth/oidc`
 });
 
-// Logout user (client should delete token)
-router.post('/logout', (req, res) => {
+// Configured OpenID Connect providers
+router.get('/oidc', (req, res) => {
   res.json({
-    status: 'success',
-    message: 'Logged out successfully'
+    success: true,
+    data: listProviders()
   });
 });
 
-export default router; 
\ No newline at end of file
+// Start an OpenID Connect login: redirect to the provider
+router.get('/oidc/:provider', validate(schemas.auth.oidcProvider), async (req, res, next) => {
+  try {
+    const { url, stateToken } = await beginOidcLogin(req.params.provider);
+
+    res.cookie(OIDC_STATE_COOKIE, stateToken, {
+      ...oidcCookieOptions(),
+      maxAge: ms(config.oidc.stateExpiresIn)
+    });
+    res.redirect(url);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Provider callback: link or create the user and log them in
+router.get('/oidc/:provider/callback', validate(schemas.auth.oidcCallback), async (req, res, next) => {
+  try {
+    const stateToken = req.cookies?.[OIDC_STATE_COOKIE];
+    res.clearCookie(OIDC_STATE_COOKIE, oidcCookieOptions());
+
+    const { user, created } = await completeOidcLogin(req.params.provider, req.query, stateToken);
+    if (created) {
+      await recordAudit(req, 'auth.register', {
+        actor: user,
+        targetUserId: user.id,
+        after: user.data,
+        metadata: { method: 'oidc', provider: req.params.provider }
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaToken(user)
+        }
+      });
+    }
+
+    await auditLogin(req, user, { method: 'oidc', provider: req.params.provider });
+    const { token, refreshToken } = await issueTokens(req, user);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          emailVerified: user.emailVerified
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validate(schemas.auth.refresh), async (req, res, next) => {
+  try {
+    const { userId, sessionId, refreshToken } = await rotateSession(req.body.refreshToken, sessionMeta(req));
+
+    const user = await User.findById(userId);
+    if (!user) {
+      await revokeSession(userId, sessionId);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: await generateToken(user, { sessionId }),
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a password reset email. The response does not reveal whether
+// the email belongs to an account.
+router.post('/forgot-password', validate(schemas.auth.forgotPassword), async (req, res, next) => {
+  try {
+    await requestPasswordReset(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', validate(schemas.auth.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const reset = await resetPassword(token, password);
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.get('/verify-email', validate(schemas.auth.verifyEmail), async (req, res, next) => {
+  try {
+    const verified = await verifyEmail(req.query.token);
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a new verification email
+router.post('/resend-verification', validate(schemas.auth.resendVerification), async (req, res, next) => {
+  try {
+    await resendVerificationEmail(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', verifyUserToken, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', verifyUserToken, decryptRequestIds(), async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout: revoke the presented access token and its session
+router.post('/logout', verifyUserToken, async (req, res, next) => {
+  try {
+    await revokeToken(req.user);
+    if (req.user.sid) {
+      await revokeSession(req.user.id, req.user.sid);
+    }
+
+    res.clearCookie('token');
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout everywhere: invalidate every token and session of the user
+router.post('/logout-all', verifyUserToken, async (req, res, next) => {
+  try {
+    await revokeAllTokens(req.user.id);
+
+    res.clearCookie('token');
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,11 +1,16 @@
 import express from 'express';
 import authRoutes from './authRoutes.js';
 import userRoutes from './userRoutes.js';
+import roleRoutes from './roleRoutes.js';
+import auditRoutes from './auditRoutes.js';
+import { authRateLimiter } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Mount routes
-router.use('/auth', authRoutes);
+router.use('/auth', authRateLimiter, authRoutes);
 router.use('/users', userRoutes);
+router.use('/roles', roleRoutes);
+router.use('/audit', auditRoutes);
 
 export default router; 
\ No newline at end of file
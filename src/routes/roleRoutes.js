@@ -0,0 +1,144 @@
+import express from 'express';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { PERMISSIONS, unknownPermissions, clearRoleCache } from '../services/permissions.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = express.Router();
+
+const sendUnknownPermissions = (res, permissions) => {
+  const unknown = unknownPermissions(permissions);
+  if (!unknown.length) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Unknown permissions: ${unknown.join(', ')}`
+  });
+  return true;
+};
+
+const sendRoleNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Role not found'
+});
+
+// All role routes require authentication
+router.use(verifyToken);
+
+// List every permission a role can grant
+router.get('/permissions', requirePermission('roles:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// List roles
+router.get('/', requirePermission('roles:read'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await Role.list()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get role by name
+router.get('/:name', validate(schemas.role.name), requirePermission('roles:read'), async (req, res, next) => {
+  try {
+    const role = await Role.findByName(req.params.name);
+    if (!role) {
+      return sendRoleNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create role
+router.post('/', validate(schemas.role.create), requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    if (sendUnknownPermissions(res, req.body.permissions)) return;
+
+    const role = await Role.create(req.body);
+    clearRoleCache(role.name);
+    await recordAudit(req, 'role.create', { after: role, metadata: { role: role.name } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a role's description or permissions
+router.put('/:name', validate(schemas.role.update), requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    if (req.body.permissions && sendUnknownPermissions(res, req.body.permissions)) return;
+
+    const before = await Role.findByName(req.params.name);
+    const role = before && await Role.update(req.params.name, req.body);
+    if (!role) {
+      return sendRoleNotFound(res);
+    }
+    clearRoleCache(role.name);
+    await recordAudit(req, 'role.update', { before, after: role, metadata: { role: role.name } });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a role that is neither built in nor assigned to any user
+router.delete('/:name', validate(schemas.role.name), requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const role = await Role.findByName(req.params.name);
+    if (!role) {
+      return sendRoleNotFound(res);
+    }
+
+    if (role.builtIn) {
+      return res.status(409).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    if (await User.repository.findOne({ role: role.name })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Role is still assigned to users'
+      });
+    }
+
+    await Role.delete(role.name);
+    clearRoleCache(role.name);
+    await recordAudit(req, 'role.delete', { before: role, metadata: { role: role.name } });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
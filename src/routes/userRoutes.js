@@ -1,143 +1,452 @@
 import express from 'express';
-import { validate, validateResponse, userSchemas } from '../utils/validation.js';
-import { authorize } from '../middleware/authMiddleware.js';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import logger from '../utils/logger.js';
+import db from '../utils/database.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { validate, validationErrors, schemas } from '../middleware/validation.js';
 import { decryptRequestIds } from '../utils/encryption.js';
-import UserModel from '../models/User.js';
-import { AppError } from '../utils/errors.js';
+import { encodeCursor, decodeCursor, setLinkHeader } from '../utils/pagination.js';
+import { setETag, ifMatch } from '../utils/etag.js';
+import { MERGE_PATCH, JSON_PATCH, applyMergePatch, applyJsonPatch } from '../utils/patch.js';
+import { sendVerificationEmail } from '../services/emailVerification.js';
+import { resetTwoFactor } from '../services/twoFactor.js';
+import { unlockAccount } from '../services/loginProtection.js';
+import { DEFAULT_ROLE } from '../services/permissions.js';
+import { recordAudit } from '../services/audit.js';
+import { revokeAllTokens, tokenCutoff } from '../services/tokens.js';
+import { revokeAllSessions } from '../services/sessions.js';
+import { IMPORT_TYPES, EXPORT_TYPES, importUsers, exportUsers } from '../services/userImportExport.js';
+import apiKeyRoutes from './apiKeyRoutes.js';
 
 const router = express.Router();
 
-// Sample user data (replace with database in production)
-let users = [];
+// Policies shared by several routes
+const isTargetUser = (req) => req.params.id;
+// On updates the target user is loaded first; sending its current role is
+// no change
+const changesRole = (req) => req.body.role !== undefined && req.body.role !== req.res.locals.user?.role;
+const canAssignRole = requirePermission('users:assign-role', { when: changesRole });
+const canSeeDeleted = requirePermission('users:read-deleted', { when: req => req.query.includeDeleted });
 
-// Get all users (admin only)
-router.get('/',
-  authorize('admin'),
-  validateResponse(userSchemas.usersListResponse),
-  (req, res) => {
-    res.json({
-      status: 'success',
-      data: {
-        users: users.map(user => ({
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        }))
-      }
-    });
-  }
-);
+const sendUnknownRole = (res, role) => res.status(400).json({
+  success: false,
+  message: `Unknown role: ${role}`
+});
 
-// Get user by ID (admin or own user)
-router.get('/:id',
-  decryptRequestIds(),
-  authorize('admin', 'user'),
-  validateResponse(userSchemas.authResponse),
-  (req, res, next) => {
-    const user = users.find(u => u.id === req.params.id);
-    
+// The rows of an export, starting with one already read
+async function* resumeRows(first, rows) {
+  if (!first.done) yield first.value;
+  yield* rows;
+}
+
+// Load the target user into res.locals.user and check the If-Match header
+// against its version; see utils/etag.js
+const loadUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
     if (!user) {
-      return next(new AppError(404, 'User not found'));
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
     }
+    res.locals.user = user;
+    res.locals.expectedVersion = ifMatch(req, user.version);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PATCH bodies are merge patches unless sent as JSON Patch
+const requirePatchType = (req, res, next) => {
+  if (!req.is(['application/json', MERGE_PATCH, JSON_PATCH])) {
+    return res.status(415).json({
+      success: false,
+      message: `PATCH takes ${MERGE_PATCH} or ${JSON_PATCH}`
+    });
+  }
+  next();
+};
+
+// Changing your own password takes the current one as `currentPassword`,
+// which is never saved. Admins changing someone else's need not know it.
+const checkPasswordChange = async (req, res, next) => {
+  const { currentPassword, ...fields } = req.body;
+  req.body = fields;
+  if (fields.password === undefined || String(isTargetUser(req)) !== String(req.user.id)) {
+    return next();
+  }
 
-    // Users can only access their own data
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
-      return next(new AppError(403, 'Not authorized to access this resource'));
+  try {
+    if (currentPassword === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'currentPassword is required to change your password'
+      });
     }
+    if (!await res.locals.user.comparePassword(currentPassword)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.json({
-      status: 'success',
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        }
-      }
+// Turn a PATCH body into the fields it changes, so the rest of the chain
+// treats it like a PUT. The patch is applied to the editable fields only;
+// a merge patch can also carry `currentPassword`, which is passed on.
+const applyUserPatch = (req, res, next) => {
+  const isJsonPatch = Boolean(req.is(JSON_PATCH));
+  if (isJsonPatch !== Array.isArray(req.body)) {
+    return res.status(400).json({
+      success: false,
+      message: isJsonPatch ? 'A JSON Patch must be an array of operations' : 'A merge patch must be an object'
     });
   }
-);
-
-// Create new user (admin only)
-router.post('/',
-  authorize('admin'),
-  validate(userSchemas.register),
-  validateResponse(userSchemas.authResponse),
-  (req, res, next) => {
-    const { name, email, role = 'user' } = req.body;
-
-    const newUser = {
-      id: Date.now().toString(),
-      name,
-      email,
-      role
+
+  try {
+    const { email, name, role } = res.locals.user;
+    const current = { email, name, role };
+    const { currentPassword, ...mergePatch } = isJsonPatch ? {} : req.body;
+    const patched = isJsonPatch ? applyJsonPatch(current, req.body) : applyMergePatch(current, mergePatch);
+
+    const { error, value } = schemas.user.patched.validate(patched, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: validationErrors(error)
+      });
+    }
+
+    req.body = {
+      ...Object.fromEntries(Object.entries(value).filter(([field, changed]) => changed !== current[field])),
+      ...(currentPassword !== undefined && { currentPassword })
     };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    users.push(newUser);
-    res.status(201).json({
-      status: 'success',
-      data: {
-        user: newUser
+// Save the fields in req.body to res.locals.user. Without an If-Match
+// header the last write wins.
+const saveUserUpdate = async (req, res, next) => {
+  try {
+    if (changesRole(req) && !await Role.findByName(req.body.role)) {
+      return sendUnknownRole(res, req.body.role);
+    }
+
+    const { user, expectedVersion } = res.locals;
+    const before = { ...user.data };
+
+    // A new email address has to be verified again
+    const emailChanged = req.body.email && req.body.email.toLowerCase() !== user.email;
+    // and a new password ends every session, the caller's too
+    const passwordChanged = req.body.password !== undefined;
+
+    // Only the changed fields are written, so concurrent changes to the
+    // others are kept. The audit entries are written with them.
+    const savedUser = await db.withTransaction(async (transaction) => {
+      const updated = await User.update(user.id, {
+        ...req.body,
+        ...(emailChanged && { emailVerified: false }),
+        ...(passwordChanged && { tokensValidAfter: tokenCutoff() })
+      }, { expectedVersion, transaction });
+      if (!updated) return null;
+
+      if (passwordChanged) {
+        await revokeAllSessions(updated.id, { transaction });
+      }
+
+      await recordAudit(req, 'user.update', { targetUserId: updated.id, before, after: updated.data, transaction });
+      if (updated.role !== before.role) {
+        await recordAudit(req, 'user.role-change', {
+          targetUserId: updated.id,
+          before: { role: before.role },
+          after: { role: updated.role },
+          transaction
+        });
       }
+      return updated;
+    });
+    if (!savedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(savedUser);
+      } catch (error) {
+        logger.error('Error sending verification email:', error);
+      }
+    }
+
+    setETag(res, savedUser.version);
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: savedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// API keys have their own authentication (access tokens only), so they are
+// mounted before the verifyToken below
+router.use('/:id/api-keys', apiKeyRoutes);
+
+// All user routes require authentication
+router.use(verifyToken);
+
+// Get all users; deleted ones too with ?includeDeleted=true. Pages by
+// cursor, or by page number when `page` is given.
+router.get('/', validate(schemas.user.list), requirePermission('users:list'), canSeeDeleted, async (req, res, next) => {
+  try {
+    const { page, cursor, limit, total: withTotal, sort, sortBy, ...filters } = req.query;
+    const total = withTotal ? await User.count(filters) : undefined;
+
+    if (page) {
+      // One extra user tells whether there is a next page
+      const users = await User.list({ ...filters, sort, sortBy, offset: (page - 1) * limit, limit: limit + 1 });
+      const hasMore = users.length > limit;
+
+      setLinkHeader(req, res, {
+        first: { page: 1 },
+        prev: page > 1 && { page: page - 1 },
+        next: hasMore && { page: page + 1 },
+        last: total !== undefined && { page: Math.max(1, Math.ceil(total / limit)) }
+      });
+      return res.json({
+        success: true,
+        data: users.slice(0, limit),
+        pageInfo: { page, limit, hasMore, total }
+      });
+    }
+
+    const after = cursor && decodeCursor(cursor, { sort, sortBy });
+    const { users, next: position } = await User.listPage({ ...filters, sort, sortBy, limit, after });
+    const nextCursor = position ? encodeCursor(position, { sort, sortBy }) : null;
+
+    setLinkHeader(req, res, {
+      first: { cursor: undefined },
+      next: nextCursor && { cursor: nextCursor }
     });
+    res.json({
+      success: true,
+      data: users,
+      pageInfo: { nextCursor, hasMore: Boolean(nextCursor), total }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create users from a CSV (with a header row) or NDJSON upload, read as a
+// stream. Rows that fail are reported by number; the others are created.
+router.post('/import', requirePermission('users:import'), async (req, res, next) => {
+  const type = req.is(Object.keys(IMPORT_TYPES));
+  if (!type) {
+    return res.status(415).json({
+      success: false,
+      message: `Import takes ${Object.keys(IMPORT_TYPES).join(', ')}`
+    });
+  }
+
+  try {
+    const summary = await importUsers(req, type);
+    await recordAudit(req, 'user.import', { metadata: { imported: summary.imported, failed: summary.failed } });
+
+    res.json({
+      success: true,
+      message: `Imported ${summary.imported} users, ${summary.failed} failed`,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
   }
-);
+});
+
+// Stream every user as NDJSON or CSV. Errors before the first row get an
+// error response; once the status is sent, a failure can only cut the
+// response short.
+router.get('/export', validate(schemas.user.export), requirePermission('users:export'), canSeeDeleted, async (req, res, next) => {
+  try {
+    const { format, includeDeleted } = req.query;
+    await recordAudit(req, 'user.export', { metadata: { format, includeDeleted } });
 
-// Update user (admin or own user)
-router.put('/:id',
-  decryptRequestIds(),
-  authorize('admin', 'user'),
-  validate(userSchemas.update),
-  validateResponse(userSchemas.authResponse),
-  (req, res, next) => {
-    const { name, email } = req.body;
-    const userIndex = users.findIndex(u => u.id === req.params.id);
+    const rows = exportUsers(format, { includeDeleted });
+    const first = await rows.next();
 
-    if (userIndex === -1) {
-      return next(new AppError(404, 'User not found'));
+    // attachment() would set the type from the file name
+    res.attachment(`users.${format}`);
+    res.type(EXPORT_TYPES[format]);
+    await pipeline(Readable.from(resumeRows(first, rows)), res);
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
     }
+    logger.error('Error exporting users:', error);
+    res.destroy();
+  }
+});
 
-    // Users can only update their own data
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
-      return next(new AppError(403, 'Not authorized to access this resource'));
+// Create new user; choosing its role needs users:assign-role
+router.post('/', validate(schemas.user.create), requirePermission('users:create'), canAssignRole, async (req, res, next) => {
+  try {
+    const { role = DEFAULT_ROLE } = req.body;
+    if (!await Role.findByName(role)) {
+      return sendUnknownRole(res, role);
     }
 
-    users[userIndex] = {
-      ...users[userIndex],
-      name: name || users[userIndex].name,
-      email: email || users[userIndex].email
-    };
+    const user = new User({ ...req.body, role });
+    const savedUser = await user.save();
+    await recordAudit(req, 'user.create', { targetUserId: savedUser.id, after: savedUser.data });
+
+    setETag(res, savedUser.version);
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: savedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
+// Get user by ID
+router.get('/:id', decryptRequestIds(), validate(schemas.user.get), requirePermission('users:read', { owner: isTargetUser }), canSeeDeleted, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id, { includeDeleted: req.query.includeDeleted });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    setETag(res, user.version);
     res.json({
-      status: 'success',
-      data: {
-        user: {
-          id: users[userIndex].id,
-          name: users[userIndex].name,
-          email: users[userIndex].email,
-          role: users[userIndex].role
-        }
-      }
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update user (users:update, or users:update:own for the caller's account).
+// Send the ETag from a GET as If-Match to get a 412 instead of overwriting
+// someone else's change.
+router.put('/:id', decryptRequestIds(), validate(schemas.user.update), requirePermission('users:update', { owner: isTargetUser }), loadUser, canAssignRole, checkPasswordChange, saveUserUpdate);
+
+// Partial update with a merge patch (RFC 7396) or JSON Patch (RFC 6902),
+// under the same rules as PUT
+router.patch('/:id', decryptRequestIds(), requirePatchType, validate(schemas.user.patch), requirePermission('users:update', { owner: isTargetUser }), loadUser, applyUserPatch, canAssignRole, checkPasswordChange, saveUserUpdate);
+
+// Delete user. This is a soft delete: the user can be restored until the
+// purge job removes it.
+router.delete('/:id', decryptRequestIds(), validate(schemas.id), requirePermission('users:delete'), async (req, res, next) => {
+  try {
+    const result = await db.withTransaction(async (transaction) => {
+      if (!await User.delete(req.params.id, { transaction })) return false;
+      // A restored user has to log in again
+      await revokeAllTokens(req.params.id, { transaction });
+      await recordAudit(req, 'user.delete', { targetUserId: req.params.id, transaction });
+      return true;
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
     });
+  } catch (error) {
+    next(error);
   }
-);
+});
 
-// Delete user (admin only)
-router.delete('/:id',
-  decryptRequestIds(),
-  authorize('admin'),
-  (req, res, next) => {
-    const userIndex = users.findIndex(u => u.id === req.params.id);
+// Undo a delete
+router.post('/:id/restore', decryptRequestIds(), validate(schemas.id), requirePermission('users:restore'), async (req, res, next) => {
+  try {
+    const user = await User.restore(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+    await recordAudit(req, 'user.restore', { targetUserId: user.id });
 
-    if (userIndex === -1) {
-      return next(new AppError(404, 'User not found'));
+    res.json({
+      success: true,
+      message: 'User restored successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lift a login lockout before it expires
+router.post('/:id/unlock', decryptRequestIds(), validate(schemas.id), requirePermission('users:unlock'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
     }
 
-    users.splice(userIndex, 1);
-    res.status(204).send();
+    const wasLocked = await unlockAccount(user.email);
+    await recordAudit(req, 'user.unlock', { targetUserId: user.id, metadata: { wasLocked } });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset a user's two-factor authentication, e.g. after a lost device
+router.delete('/:id/2fa', decryptRequestIds(), validate(schemas.id), requirePermission('users:reset-2fa'), async (req, res, next) => {
+  try {
+    const reset = await resetTwoFactor(req.params.id);
+    if (!reset) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    await recordAudit(req, 'user.reset-2fa', { targetUserId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    next(error);
   }
-);
+});
 
-export default router; 
\ No newline at end of file
+export default router;
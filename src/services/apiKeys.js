@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+
+// API keys look like `ak_<prefix>_<secret>`. They are high-entropy random
+// strings, so a plain SHA-256 is enough to store them.
+
+const KEY_PREFIX = 'ak';
+
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Create a key for a user. The plain key is returned once and never stored.
+export const createApiKey = async (userId, { name, scopes, expiresAt }) => {
+  const prefix = crypto.randomBytes(6).toString('base64url');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = await ApiKey.create({
+    userId,
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt
+  });
+  return { key, apiKey: ApiKey.toJSON(record) };
+};
+
+// Resolve a presented key to its record and owner. Returns null for unknown
+// or expired keys and keys whose owner no longer exists.
+export const authenticateApiKey = async (key) => {
+  if (!key.startsWith(`${KEY_PREFIX}_`)) return null;
+
+  const apiKey = await ApiKey.findByHash(hashKey(key));
+  if (!apiKey || ApiKey.isExpired(apiKey)) return null;
+
+  const user = await User.findById(apiKey.userId);
+  if (!user) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt) > TOUCH_INTERVAL_MS) {
+    await ApiKey.touch(apiKey.id);
+  }
+
+  return { apiKey, user };
+};
@@ -0,0 +1,80 @@
+import logger from '../utils/logger.js';
+import AuditLog from '../models/AuditLog.js';
+
+// Audit trail of security-relevant actions. Each entry records who did what
+// to which user, from where, and a before/after diff of the fields that
+// changed. Secrets are redacted from the diff: only the fact that they
+// changed is kept.
+
+export const AUDIT_ACTIONS = [
+  'auth.register',
+  'auth.login',
+  'auth.login-failed',
+  'user.create',
+  'user.import',
+  'user.export',
+  'user.update',
+  'user.role-change',
+  'user.delete',
+  'user.restore',
+  'user.purge',
+  'user.unlock',
+  'user.reset-2fa',
+  'role.create',
+  'role.update',
+  'role.delete',
+  'api-key.create',
+  'api-key.update',
+  'api-key.delete'
+];
+
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD = /password|secret|token|recoverycodes|keyhash|privatekey/i;
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'twoFactorLastStep'];
+
+const serialize = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+// { field: { before, after } } for every field that differs, or null
+export const diffChanges = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = serialize(before?.[field]);
+    const to = serialize(after?.[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = SECRET_FIELD.test(field)
+      ? { before: from === null ? null : REDACTED, after: to === null ? null : REDACTED }
+      : { before: from, after: to };
+  }
+
+  return Object.keys(changes).length ? changes : null;
+};
+
+// Record `action` for the current request, or for a background job when
+// `req` is null. The actor defaults to the authenticated user;
+// `before`/`after` are plain records of the target. A failed write is
+// logged but does not fail the action it describes, unless it is part of
+// the action's `transaction`: then both are rolled back.
+export const recordAudit = async (req, action, { actor = req?.user, targetUserId, before, after, metadata, transaction } = {}) => {
+  try {
+    await AuditLog.record({
+      action,
+      actorId: actor?.id && String(actor.id),
+      actorRole: actor?.role,
+      apiKeyId: req?.apiKey?.id && String(req.apiKey.id),
+      targetUserId: targetUserId && String(targetUserId),
+      ip: req?.ip,
+      userAgent: req?.get('user-agent')?.slice(0, 512),
+      requestId: req?.id,
+      changes: diffChanges(before, after),
+      metadata
+    }, { transaction });
+  } catch (error) {
+    logger.error(`Error recording audit entry ${action}:`, error);
+    if (transaction) throw error;
+  }
+};
@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Outgoing mail goes through a named transport selected by EMAIL_TRANSPORT.
+// `console` and `file` are meant for local use; production transports (SMTP,
+// SES, ...) plug in with registerTransport().
+const transports = {
+  console: {
+    send: async (message) => {
+      logger.info('Email sent', message);
+    }
+  },
+
+  // One JSON file per message, handy for inspecting mail in development
+  file: {
+    send: async (message) => {
+      await fs.mkdir(config.email.fileDir, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+      await fs.writeFile(
+        path.join(config.email.fileDir, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    }
+  }
+};
+
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const transport = transports[config.email.transport];
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${config.email.transport}`);
+  }
+
+  const message = { from: config.email.from, to, subject, text, html };
+  await transport.send(message);
+  logger.debug(`Email "${subject}" sent to ${to} via ${config.email.transport}`);
+  return true;
+};
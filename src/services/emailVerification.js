@@ -0,0 +1,48 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import User from '../models/User.js';
+import { sendEmail } from './email.js';
+import { issueToken, consumeToken } from './oneTimeTokens.js';
+
+const PURPOSE = 'email_verification';
+
+// Mail a verification link to the user's current address
+export const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user.id, PURPOSE, config.emailVerification.expiresIn);
+  const link = `${config.appUrl}/api/${config.apiVersion}/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. ` +
+      `It expires in ${config.emailVerification.expiresIn}.\n\n${link}`
+  });
+};
+
+// Mark the token owner's email as verified. Returns false for an invalid,
+// expired or already used token.
+export const verifyEmail = async (token) => {
+  const userId = await consumeToken(PURPOSE, token);
+  if (!userId) {
+    return false;
+  }
+
+  const user = await User.update(userId, { emailVerified: true });
+  if (!user) {
+    return false;
+  }
+
+  logger.info(`Email verified for user ${user.id}`);
+  return true;
+};
+
+// Send a new link if the account exists and is still unverified. Like the
+// password reset request, callers answer the same way in every case, and
+// the mail goes out in the background so its timing does not tell either.
+export const resendVerificationEmail = async (email) => {
+  const user = await User.findByEmail(email);
+  if (!user || user.emailVerified) {
+    return;
+  }
+  sendVerificationEmail(user).catch(error => logger.error('Error sending verification email:', error));
+};
@@ -0,0 +1,87 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import counterStore from '../utils/counterStore.js';
+
+// Brute-force protection for password (and second factor) checks. Failed
+// attempts are counted per account and per IP in the shared counter store;
+// each failure slows the next attempt down and too many lock the account or
+// IP out for a while.
+
+const accountKey = (email) => `login:account:${email.toLowerCase().trim()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+const lockKey = (key) => `${key}:lock`;
+
+const { maxAttempts, ipMaxAttempts, windowMs, lockoutMs, delayMs, maxDelayMs } = config.loginProtection;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lock entries outlive the lockout so that its end can be noticed and logged
+const lockState = async (key) => {
+  const lock = await counterStore.get(lockKey(key));
+  if (!lock) return null;
+
+  if (lock.until > Date.now()) {
+    return lock;
+  }
+
+  await counterStore.delete(lockKey(key));
+  await counterStore.delete(key);
+  logger.info('Login lockout expired', { subject: lock.subject, reason: lock.reason });
+  return null;
+};
+
+const lock = async (key, subject, reason) => {
+  const until = Date.now() + lockoutMs;
+  await counterStore.set(lockKey(key), { until, subject, reason }, lockoutMs * 2);
+  logger.warn('Login locked out after repeated failures', { subject, reason, until: new Date(until).toISOString() });
+};
+
+// Check before verifying credentials. Resolves with { locked, retryAfter }
+// once the progressive delay for earlier failures has passed.
+export const checkLoginAllowed = async (email, ip) => {
+  const keys = [accountKey(email), ipKey(ip)];
+
+  for (const key of keys) {
+    const state = await lockState(key);
+    if (state) {
+      return { locked: true, retryAfter: Math.ceil((state.until - Date.now()) / 1000) };
+    }
+  }
+
+  const counts = await Promise.all(keys.map(key => counterStore.get(key)));
+  const failures = Math.max(...counts.map(count => count || 0));
+  if (failures > 0) {
+    await sleep(Math.min(delayMs * 2 ** (failures - 1), maxDelayMs));
+  }
+
+  return { locked: false };
+};
+
+export const recordLoginFailure = async (email, ip) => {
+  const account = await counterStore.increment(accountKey(email), windowMs);
+  if (account.count >= maxAttempts) {
+    await lock(accountKey(email), email, 'account');
+  }
+
+  const address = await counterStore.increment(ipKey(ip), windowMs);
+  if (address.count >= ipMaxAttempts) {
+    await lock(ipKey(ip), ip, 'ip');
+  }
+};
+
+// A successful login clears the account's failures. The IP counter is kept
+// so an attacker cannot reset it by logging into their own account.
+export const recordLoginSuccess = async (email) => {
+  await counterStore.delete(accountKey(email));
+};
+
+// Lift an account lockout early (admin action)
+export const unlockAccount = async (email) => {
+  const wasLocked = Boolean(await counterStore.get(lockKey(accountKey(email))));
+  await counterStore.delete(lockKey(accountKey(email)));
+  await counterStore.delete(accountKey(email));
+  if (wasLocked) {
+    logger.info('Login lockout lifted by admin', { subject: email, reason: 'account' });
+  }
+  return wasLocked;
+};
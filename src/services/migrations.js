@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  CreateTableCommand,
+  DeleteTableCommand,
+  waitUntilTableExists,
+  waitUntilTableNotExists
+} from '@aws-sdk/client-dynamodb';
+import config from '../config/index.js';
+import db from '../utils/database.js';
+import logger from '../utils/logger.js';
+import { globalIndex } from '../repositories/index.js';
+import SchemaMigration from '../models/SchemaMigration.js';
+
+// Versioned schema migrations. Each file in src/migrations is named
+// NNN-description.js and exports an { up, down } pair per backend
+// (`mysql`, `mongodb`, `dynamodb`); a backend it does not export has nothing
+// to change. Both steps get a context for the backend (see CONTEXTS).
+// Applied migrations are recorded in the schema_migrations table of the
+// same database, and are applied in file order and rolled back in reverse.
+// Every store the server writes to is migrated: DB_TYPE and, while users
+// are dual-written, USERS_DUAL_WRITE_DB. The functions below act on one
+// store, `store` (DB_TYPE by default).
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.js$/;
+
+// Seconds to wait for a DynamoDB table to be created or deleted
+const DYNAMODB_TABLE_WAIT = 60;
+
+const dynamoTableName = (name) => `${config.dynamodb.tablePrefix}${name}`;
+
+const createDynamoTable = async (client, name, spec) => {
+  const TableName = dynamoTableName(name);
+  try {
+    await client.send(new CreateTableCommand({
+      TableName,
+      ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 },
+      ...spec
+    }));
+  } catch (error) {
+    if (error.name !== 'ResourceInUseException') throw error;
+  }
+  await waitUntilTableExists({ client, maxWaitTime: DYNAMODB_TABLE_WAIT }, { TableName });
+};
+
+const deleteDynamoTable = async (client, name) => {
+  const TableName = dynamoTableName(name);
+  try {
+    await client.send(new DeleteTableCommand({ TableName }));
+  } catch (error) {
+    if (error.name !== 'ResourceNotFoundException') throw error;
+  }
+  await waitUntilTableNotExists({ client, maxWaitTime: DYNAMODB_TABLE_WAIT }, { TableName });
+};
+
+// What a migration step is given on each backend
+const CONTEXTS = {
+  mysql: (pool) => ({
+    pool,
+    hasColumn: async (table, column) => {
+      const [rows] = await pool.query(
+        'SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?',
+        [table, column]
+      );
+      return rows.length > 0;
+    },
+    hasIndex: async (table, index) => {
+      const [rows] = await pool.query(
+        'SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?',
+        [table, index]
+      );
+      return rows.length > 0;
+    }
+  }),
+  mongodb: (connection) => ({ connection }),
+  dynamodb: (client) => ({
+    client,
+    tableName: dynamoTableName,
+    createTable: (name, spec) => createDynamoTable(client, name, spec),
+    deleteTable: (name) => deleteDynamoTable(client, name)
+  }),
+  memory: () => ({})
+};
+
+// The state table has to exist before any migration can be recorded
+const STATE_TABLES = {
+  mysql: ({ pool }) => pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `),
+  mongodb: async () => {
+    const model = SchemaMigration.repository.definition.mongodb.model;
+    await model.createCollection();
+    await model.createIndexes();
+  },
+  dynamodb: ({ createTable }) => createTable('schema_migrations', {
+    KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    AttributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'name', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [globalIndex('NameIndex', 'name')]
+  }),
+  memory: async () => {}
+};
+
+// DB_TYPE and the dual-write store, if any
+export const configuredStores = () => [config.database.type, config.database.dualWrite.store].filter(Boolean);
+
+// Migration files in order, as { name, module }
+const loadMigrations = async () => {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter(file => MIGRATION_FILE.test(file)).sort();
+  return Promise.all(files.map(async file => ({
+    name: path.basename(file, '.js'),
+    module: await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href)
+  })));
+};
+
+// Connect, make sure the state table exists (unless `createState` is
+// false), and return the migrations with the ones already applied
+const prepare = async ({ store = config.database.type, createState = true } = {}) => {
+  if (!CONTEXTS[store]) {
+    throw new Error(`Unsupported database type: ${store}`);
+  }
+  const context = CONTEXTS[store](await db.connect(store));
+  if (createState) {
+    await STATE_TABLES[store](context);
+  }
+  await SchemaMigration.repositoryFor(store).initialize();
+  return { store, context, migrations: await loadMigrations(), applied: await SchemaMigration.applied({ store }) };
+};
+
+// [{ name, appliedAt }] for every migration file; appliedAt is null for
+// pending ones
+export const migrationStatus = async (options) => {
+  const { migrations, applied } = await prepare(options);
+  return migrations.map(({ name }) => ({ name, appliedAt: applied.get(name)?.createdAt ?? null }));
+};
+
+// Apply pending migrations, up to and including `to` when given. Returns
+// the names applied.
+export const migrateUp = async ({ to, store = config.database.type } = {}) => {
+  const { context, migrations, applied } = await prepare({ store });
+  if (to && !migrations.some(({ name }) => name === to)) {
+    throw new Error(`Unknown migration: ${to}`);
+  }
+
+  const done = [];
+  for (const { name, module } of migrations) {
+    if (!applied.has(name)) {
+      logger.info(`Applying migration ${name} to ${store}`);
+      await module[store]?.up(context);
+      await SchemaMigration.record(name, { store });
+      done.push(name);
+    }
+    if (name === to) break;
+  }
+  return done;
+};
+
+// Roll back the last `steps` applied migrations. Returns the names rolled
+// back.
+export const migrateDown = async ({ steps = 1, store = config.database.type } = {}) => {
+  const { context, migrations, applied } = await prepare({ store });
+  const rollback = migrations.filter(({ name }) => applied.has(name)).reverse().slice(0, steps);
+
+  for (const { name, module } of rollback) {
+    logger.info(`Rolling back migration ${name} on ${store}`);
+    await module[store]?.down(context);
+    await SchemaMigration.forget(name, { store });
+  }
+  return rollback.map(({ name }) => name);
+};
+
+// Called on startup: refuse to serve while any configured store has
+// pending migrations. Only reads, so a database that was never migrated
+// fails here too. The in-memory store starts empty every time, so it is
+// simply migrated.
+export const checkMigrations = async () => {
+  for (const store of configuredStores()) {
+    if (store === 'memory') {
+      await migrateUp({ store });
+      continue;
+    }
+
+    let status;
+    try {
+      status = await migrationStatus({ store, createState: false });
+    } catch (error) {
+      throw new Error(`Cannot read the applied migrations of ${store} (${error.message}). Run npm run migrate:up`);
+    }
+
+    const pending = status.filter(({ appliedAt }) => !appliedAt);
+    if (pending.length) {
+      throw new Error(`Pending migrations on ${store}: ${pending.map(({ name }) => name).join(', ')}. Run npm run migrate:up`);
+    }
+  }
+};
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import User from '../models/User.js';
+import LinkedIdentity from '../models/LinkedIdentity.js';
+import { AppError } from '../utils/errors.js';
+import { DEFAULT_ROLE } from './permissions.js';
+
+// OpenID Connect login (authorization code flow with PKCE) against any
+// provider configured in config.oidc.providers. The state, nonce and PKCE
+// verifier travel in a signed, short-lived cookie between the redirect and
+// the callback, so no server-side storage is needed.
+
+const REQUEST_TIMEOUT_MS = 5000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const randomString = (bytes) => crypto.randomBytes(bytes).toString('base64url');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+export const listProviders = () => Object.keys(config.oidc.providers);
+
+const getProvider = (name) => {
+  const provider = config.oidc.providers[name];
+  if (!provider?.issuer || !provider.clientId) {
+    throw new AppError(404, 'Unknown identity provider');
+  }
+  return { name, ...provider };
+};
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    logger.error(`OIDC request to ${url} failed:`, error);
+    throw new AppError(502, 'Identity provider unavailable');
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    logger.warn('OIDC provider returned an error', { url, status: response.status, error: body?.error });
+    throw new AppError(502, 'Identity provider request failed');
+  }
+  return body;
+};
+
+// Discovery documents and key sets, cached per URL
+const cache = new Map();
+
+const cachedJson = async (url) => {
+  const entry = cache.get(url);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const value = await fetchJson(url);
+  cache.set(url, { value, expiresAt: Date.now() + METADATA_TTL_MS });
+  return value;
+};
+
+const discover = async (provider) => {
+  const metadata = await cachedJson(`${trimSlash(provider.issuer)}/.well-known/openid-configuration`);
+  if (trimSlash(metadata.issuer || '') !== trimSlash(provider.issuer)) {
+    throw new AppError(502, 'Identity provider issuer mismatch');
+  }
+  return metadata;
+};
+
+// Public key for an ID token. An unknown kid may mean the provider rotated
+// its keys, so the key set is fetched again once.
+const signingKey = async (jwksUri, kid) => {
+  const findKey = ({ keys = [] }) => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let jwk = findKey(await cachedJson(jwksUri));
+  if (!jwk) {
+    cache.delete(jwksUri);
+    jwk = findKey(await cachedJson(jwksUri));
+  }
+  if (!jwk) {
+    throw new AppError(401, 'Invalid ID token');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = idToken && jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new AppError(401, 'Invalid ID token');
+  }
+
+  const key = await signingKey(metadata.jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    logger.warn('ID token verification failed', { provider: provider.name, error: error.message });
+    throw new AppError(401, 'Invalid ID token');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new AppError(401, 'Invalid ID token');
+  }
+  return claims;
+};
+
+// Start a login: returns the provider URL to redirect to and the value of
+// the state cookie
+export const beginOidcLogin = async (name) => {
+  const provider = getProvider(name);
+  const metadata = await discover(provider);
+
+  const state = randomString(24);
+  const nonce = randomString(24);
+  const codeVerifier = randomString(48);
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: sha256(codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  const stateToken = jwt.sign(
+    { type: 'oidc_state', provider: name, state, nonce, codeVerifier },
+    config.jwt.secret,
+    { expiresIn: config.oidc.stateExpiresIn }
+  );
+
+  return { url: url.toString(), stateToken };
+};
+
+// Find the user for a set of ID token claims: an existing link first, then
+// an account with the same verified email, otherwise a new account
+const resolveUser = async (providerName, claims) => {
+  const identity = await LinkedIdentity.find(providerName, claims.sub);
+  if (identity) {
+    const user = await User.findById(identity.userId);
+    if (user) {
+      await LinkedIdentity.touch(identity.id);
+      return { user, created: false };
+    }
+    // The user was deleted; link the identity afresh
+    await LinkedIdentity.delete(identity.id);
+  }
+
+  const email = claims.email?.toLowerCase().trim();
+  if (!email || (claims.email_verified !== true && claims.email_verified !== 'true')) {
+    throw new AppError(403, 'The identity provider did not confirm an email address');
+  }
+
+  let user = await User.findByEmail(email);
+  let created = false;
+
+  // Linking to an unverified account would hand it to whoever registered
+  // the address first
+  if (user && !user.emailVerified) {
+    throw new AppError(409, 'An account with this email exists but its address is not verified yet');
+  }
+
+  if (!user) {
+    // Random password: the account can only log in through the provider
+    // until the user sets one with the password reset flow
+    user = await new User({
+      email,
+      name: claims.name || email,
+      password: randomString(32),
+      role: DEFAULT_ROLE,
+      emailVerified: true
+    }).save();
+    created = true;
+  }
+
+  await LinkedIdentity.link(user.id, providerName, claims.sub, email);
+  logger.info('Linked external identity', { provider: providerName, userId: user.id, created });
+  return { user, created };
+};
+
+// Finish a login from the provider callback. Returns { user, created }.
+export const completeOidcLogin = async (name, { code, state, error }, stateToken) => {
+  const provider = getProvider(name);
+
+  if (error) {
+    throw new AppError(401, `Identity provider denied the login: ${error}`);
+  }
+
+  let pending = null;
+  try {
+    pending = stateToken && jwt.verify(stateToken, config.jwt.secret);
+  } catch (err) {
+    pending = null;
+  }
+  if (
+    !pending ||
+    pending.type !== 'oidc_state' ||
+    pending.provider !== name ||
+    typeof state !== 'string' ||
+    pending.state.length !== state.length ||
+    !crypto.timingSafeEqual(Buffer.from(pending.state), Buffer.from(state))
+  ) {
+    throw new AppError(401, 'Invalid or expired login state');
+  }
+
+  const metadata = await discover(provider);
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: pending.codeVerifier
+    })
+  });
+
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+  return resolveUser(name, claims);
+};
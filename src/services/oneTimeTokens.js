@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import ms from 'ms';
+import config from '../config/index.js';
+import OneTimeToken from '../models/OneTimeToken.js';
+import { VersionConflictError } from '../utils/errors.js';
+
+// Tokens are random strings signed with an HMAC before storage, so a leaked
+// table cannot be used to forge or replay them.
+const signToken = (token) => crypto
+  .createHmac('sha256', config.jwt.secret)
+  .update(token)
+  .digest('hex');
+
+// Issue a new token for `purpose`; earlier unused tokens stop working
+export const issueToken = async (userId, purpose, expiresIn) => {
+  await OneTimeToken.invalidateForUser(userId, purpose);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await OneTimeToken.create(userId, purpose, signToken(token), new Date(Date.now() + ms(expiresIn)));
+  return token;
+};
+
+// Redeem a token once. Returns the owning user id, or null if the token is
+// unknown, expired or already used. Of concurrent redemptions only one
+// succeeds.
+export const consumeToken = async (purpose, token) => {
+  const record = await OneTimeToken.findByHash(purpose, signToken(token));
+  if (!record || !OneTimeToken.isUsable(record)) {
+    return null;
+  }
+
+  try {
+    await OneTimeToken.markUsed(record);
+  } catch (error) {
+    if (error instanceof VersionConflictError) return null;
+    throw error;
+  }
+  return record.userId;
+};
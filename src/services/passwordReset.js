@@ -0,0 +1,57 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import db from '../utils/database.js';
+import User from '../models/User.js';
+import { sendEmail } from './email.js';
+import { issueToken, consumeToken } from './oneTimeTokens.js';
+import { revokeAllTokens } from './tokens.js';
+
+const PURPOSE = 'password_reset';
+
+const sendResetEmail = async (user) => {
+  const token = await issueToken(user.id, PURPOSE, config.passwordReset.expiresIn);
+  const link = `${config.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nUse the link below to choose a new password. ` +
+      `It expires in ${config.passwordReset.expiresIn} and works once.\n\n${link}\n\n` +
+      'If you did not ask for a password reset you can ignore this email.'
+  });
+};
+
+// Mail a reset link if the account exists. Callers must answer the same way
+// either way so the endpoint cannot be used to probe for accounts; the
+// mail is sent in the background, as the time it takes would tell too.
+export const requestPasswordReset = async (email) => {
+  const user = await User.findByEmail(email);
+  if (!user) {
+    logger.info('Password reset requested for unknown email');
+    return;
+  }
+
+  sendResetEmail(user).catch(error => logger.error('Error sending password reset email:', error));
+};
+
+// Set a new password with a reset token and sign the user out everywhere.
+// Returns false when the token is invalid, expired or already used.
+export const resetPassword = async (token, password) => {
+  const userId = await consumeToken(PURPOSE, token);
+  if (!userId) {
+    return false;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return false;
+  }
+
+  // The old sessions must not outlive the old password
+  await db.withTransaction(async (transaction) => {
+    await User.update(user.id, { password }, { transaction });
+    await revokeAllTokens(user.id, { transaction });
+  });
+  logger.info(`Password reset for user ${user.id}`);
+  return true;
+};
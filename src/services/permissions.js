@@ -0,0 +1,81 @@
+import Role from '../models/Role.js';
+
+// Named permissions and the roles that grant them. Roles live in the
+// database; the built-in `user` and `admin` roles below are created on
+// startup if missing. A permission ending in `:own` grants the base
+// permission on the caller's own resources only (see requirePermission).
+
+export const PERMISSIONS = {
+  'users:list': 'List all users',
+  'users:read': 'Read any user',
+  'users:read:own': 'Read your own user',
+  'users:create': 'Create users',
+  'users:import': 'Create users in bulk, with any role',
+  'users:export': 'Export all users',
+  'users:update': 'Update any user',
+  'users:update:own': 'Update your own user',
+  'users:delete': 'Delete users',
+  'users:restore': 'Restore deleted users',
+  'users:read-deleted': 'List and read deleted users',
+  'users:assign-role': "Change a user's role",
+  'users:unlock': 'Lift login lockouts',
+  'users:reset-2fa': "Reset a user's two-factor authentication",
+  'api-keys:manage': "Manage any user's API keys",
+  'api-keys:manage:own': 'Manage your own API keys',
+  'roles:read': 'List roles and permissions',
+  'roles:manage': 'Create, update and delete roles',
+  'audit:read': 'Read the audit log'
+};
+
+export const DEFAULT_ROLE = 'user';
+
+export const BUILT_IN_ROLES = [
+  {
+    name: 'user',
+    description: 'Regular account',
+    permissions: ['users:read:own', 'users:update:own', 'api-keys:manage:own']
+  },
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: ['*']
+  }
+];
+
+// Granted entries may be exact names, `*`, or a namespace such as `users:*`
+export const can = (granted, permission) => granted.some(entry =>
+  entry === '*' ||
+  entry === permission ||
+  (entry.endsWith(':*') && permission.startsWith(entry.slice(0, -1)))
+);
+
+export const isKnownPermission = (entry) => entry === '*' ||
+  Boolean(PERMISSIONS[entry]) ||
+  (entry.endsWith(':*') && Object.keys(PERMISSIONS).some(name => name.startsWith(entry.slice(0, -1))));
+
+export const unknownPermissions = (entries) => entries.filter(entry => !isKnownPermission(entry));
+
+// Role lookups are cached briefly; changes made through this process clear
+// the entry at once, other cluster workers pick them up within the TTL.
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+export const permissionsForRole = async (name) => {
+  const cached = cache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = name && await Role.findByName(name);
+  const permissions = role?.permissions || [];
+  cache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+export const clearRoleCache = (name) => {
+  if (name === undefined) {
+    cache.clear();
+  } else {
+    cache.delete(name);
+  }
+};
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import ms from 'ms';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { AppError, VersionConflictError } from '../utils/errors.js';
+
+// Refresh tokens are opaque random strings; only their SHA-256 is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const issue = async (userId, familyId, meta, sessionStartedAt = new Date()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    userId: String(userId),
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    deviceId: meta.deviceId || null,
+    userAgent: meta.userAgent || null,
+    ip: meta.ip || null,
+    sessionStartedAt,
+    expiresAt: new Date(Date.now() + ms(config.jwt.refreshExpiresIn))
+  });
+
+  return { sessionId: familyId, refreshToken };
+};
+
+// Request details stored with a session
+export const sessionMeta = (req) => ({
+  deviceId: req.body?.deviceId,
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Start a new session (token family) for a user. Logging in again from the
+// same device replaces that device's previous session.
+export const createSession = async (userId, meta = {}) => {
+  if (meta.deviceId) {
+    const tokens = await RefreshToken.findByUser(userId);
+    const previous = tokens.filter(token => token.deviceId === meta.deviceId && !token.revokedAt);
+    for (const familyId of new Set(previous.map(token => token.familyId))) {
+      await RefreshToken.revokeFamily(familyId);
+    }
+  }
+
+  return issue(userId, crypto.randomUUID(), meta);
+};
+
+// A token presented again after it was rotated has leaked: the whole
+// family is revoked
+const revokeReused = async (token, meta) => {
+  await RefreshToken.revokeFamily(token.familyId);
+  logger.warn('Refresh token reuse detected, session revoked', {
+    userId: token.userId,
+    sessionId: token.familyId,
+    ip: meta.ip
+  });
+  return new AppError(401, 'Invalid refresh token');
+};
+
+// Exchange a refresh token for a new one in the same family. Presenting a
+// token that was already rotated, or presenting one twice at once, counts
+// as reuse.
+export const rotateSession = async (refreshToken, meta = {}) => {
+  const token = refreshToken && await RefreshToken.findByHash(hashToken(refreshToken));
+  if (!token) {
+    throw new AppError(401, 'Invalid refresh token');
+  }
+
+  if (token.rotatedAt && !token.revokedAt) {
+    throw await revokeReused(token, meta);
+  }
+
+  if (!RefreshToken.isActive(token)) {
+    throw new AppError(401, 'Invalid refresh token');
+  }
+
+  try {
+    await RefreshToken.markRotated(token);
+  } catch (error) {
+    if (error instanceof VersionConflictError) throw await revokeReused(token, meta);
+    throw error;
+  }
+  const session = await issue(token.userId, token.familyId, {
+    deviceId: token.deviceId,
+    userAgent: meta.userAgent || token.userAgent,
+    ip: meta.ip || token.ip
+  }, token.sessionStartedAt);
+
+  return { userId: token.userId, ...session };
+};
+
+// Active sessions of a user, one entry per token family
+export const listSessions = async (userId) => {
+  const tokens = await RefreshToken.findByUser(userId);
+  return tokens
+    .filter(RefreshToken.isActive)
+    .map(token => ({
+      id: token.familyId,
+      deviceId: token.deviceId,
+      userAgent: token.userAgent,
+      ip: token.ip,
+      createdAt: token.sessionStartedAt,
+      lastUsedAt: token.createdAt,
+      expiresAt: token.expiresAt
+    }))
+    .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+};
+
+// Revoke one session of a user; false if it is not theirs or already gone
+export const revokeSession = async (userId, sessionId) => {
+  const tokens = await RefreshToken.findByFamily(sessionId);
+  if (!tokens.some(token => token.userId === String(userId) && RefreshToken.isActive(token))) {
+    return false;
+  }
+  await RefreshToken.revokeFamily(sessionId);
+  return true;
+};
+
+export const revokeAllSessions = async (userId, { transaction } = {}) => {
+  const tokens = await RefreshToken.findByUser(userId, { transaction });
+  const families = new Set(tokens.filter(token => !token.revokedAt).map(token => token.familyId));
+  for (const familyId of families) {
+    await RefreshToken.revokeFamily(familyId, { transaction });
+  }
+  return families.size;
+};
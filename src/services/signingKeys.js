@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ms from 'ms';
+import config from '../config/index.js';
+import db from '../utils/database.js';
+import logger from '../utils/logger.js';
+import encryption from '../utils/encryption.js';
+import { VersionConflictError } from '../utils/errors.js';
+import SigningKey from '../models/SigningKey.js';
+
+// Access token signing. With RS256/ES256 the keys live in the database so
+// every process signs with the same current key; each token names its key
+// in the `kid` header and the public halves are published as a JWKS. HS256
+// keeps the old shared-secret behaviour.
+//
+// Rotation publishes a new key and retires the previous ones as of the time
+// the new key starts signing. Until then verifiers have time to pick the
+// new key up; afterwards the old ones keep verifying for the overlap
+// window, which is never shorter than the access token lifetime.
+
+const KEY_TYPES = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+// Other processes' rotations are picked up on the next reload; an unknown
+// kid triggers an early one
+const RELOAD_INTERVAL_MS = 5 * 60 * 1000;
+const MIN_RELOAD_INTERVAL_MS = 10 * 1000;
+
+// Cache-Control max-age of the JWKS
+export const JWKS_MAX_AGE_MS = 5 * 60 * 1000;
+
+// A new key is published this long before it signs, so verifiers with a
+// cached JWKS and processes that have not reloaded yet know it by then
+const PUBLISH_LEAD_MS = JWKS_MAX_AGE_MS + RELOAD_INTERVAL_MS;
+
+const isSymmetric = () => config.jwt.algorithm === 'HS256';
+
+// A process may keep signing with a retired key until its next reload
+const overlapMs = () => Math.max(ms(config.jwt.keyOverlap), ms(config.jwt.expiresIn)) + RELOAD_INTERVAL_MS;
+
+// Keys from before activation times signed from their creation
+const activatesAt = (record) => new Date(record.activatesAt || record.createdAt);
+
+// The cached set may still hold a key whose overlap window has ended
+const isExpired = (key) => Boolean(key.record.expiresAt) && new Date(key.record.expiresAt) <= new Date();
+
+let cache = null;
+let loading = null;
+
+const loadKeys = async () => {
+  const records = await SigningKey.findValid();
+  const keys = new Map(records.map(record => [record.kid, {
+    kid: record.kid,
+    algorithm: record.algorithm,
+    publicJwk: record.publicJwk,
+    publicKey: crypto.createPublicKey({ key: record.publicJwk, format: 'jwk' }),
+    record
+  }]));
+
+  cache = { keys, loadedAt: Date.now() };
+  return cache;
+};
+
+// The key that signs at `now`: active and not retired yet. Several only
+// exist briefly after concurrent first rotations; every process settles on
+// the newest one.
+const currentKey = ({ keys }, now = new Date()) => [...keys.values()]
+  .filter(key => key.algorithm === config.jwt.algorithm && activatesAt(key.record) <= now &&
+    (!key.record.retiredAt || new Date(key.record.retiredAt) > now))
+  .sort((a, b) => activatesAt(b.record) - activatesAt(a.record))[0] || null;
+
+// The current key with its private half, decrypted on first use
+const signingKey = (keys) => {
+  const key = currentKey(keys);
+  if (key && !key.privateKey) {
+    key.privateKey = crypto.createPrivateKey(encryption.decrypt(key.record.privateKey));
+  }
+  return key;
+};
+
+const getKeys = async ({ reload = false } = {}) => {
+  const age = cache ? Date.now() - cache.loadedAt : Infinity;
+  if (cache && age < RELOAD_INTERVAL_MS && !(reload && age >= MIN_RELOAD_INTERVAL_MS)) {
+    return cache;
+  }
+
+  if (!loading) {
+    loading = loadKeys().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+};
+
+// Publish a new signing key and retire the current ones (`previous`, as
+// read by the caller, or else read here) as of its activation, all in one
+// transaction. Retiring is conditional on the versions read, so when
+// several processes rotate at once only the first goes through; the others
+// write nothing and return null.
+export const rotateSigningKey = async ({ previous } = {}) => {
+  if (isSymmetric()) {
+    throw new Error('Signing key rotation needs JWT_ALGORITHM RS256 or ES256');
+  }
+
+  const { type, options } = KEY_TYPES[config.jwt.algorithm];
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+
+  // Without a current key there is nothing to hand over from, so the new
+  // one signs at once
+  const now = new Date();
+  const retiring = previous || await SigningKey.findActive();
+  const signing = currentKey(await loadKeys(), now);
+  const activation = signing ? new Date(now.getTime() + PUBLISH_LEAD_MS) : now;
+  const expiresAt = new Date(activation.getTime() + overlapMs());
+
+  let key;
+  try {
+    key = await db.withTransaction(async (transaction) => {
+      for (const old of retiring) {
+        await SigningKey.retire(old, activation, expiresAt, { transaction });
+      }
+      return SigningKey.create({
+        kid: crypto.randomUUID(),
+        algorithm: config.jwt.algorithm,
+        publicJwk: publicKey.export({ format: 'jwk' }),
+        privateKey: encryption.encrypt(privateKey.export({ format: 'pem', type: 'pkcs8' })),
+        activatesAt: activation
+      }, { transaction });
+    });
+  } catch (error) {
+    if (!(error instanceof VersionConflictError)) throw error;
+    logger.info('JWT signing key already rotated by another process');
+    cache = null;
+    return null;
+  }
+
+  logger.info('JWT signing key rotated', { kid: key.kid, activatesAt: activation, retired: retiring.map(old => old.kid) });
+  cache = null;
+  return key;
+};
+
+// Rotate when there is no key for the algorithm or the newest one (which
+// may still be waiting to sign) is older than the rotation interval. Run at
+// startup and on a schedule.
+export const rotateIfDue = async () => {
+  if (isSymmetric()) return null;
+
+  const active = await SigningKey.findActive();
+  const newest = Math.max(...active
+    .filter(key => key.algorithm === config.jwt.algorithm)
+    .map(key => new Date(key.createdAt).getTime()));
+  if (Date.now() - newest < ms(config.jwt.keyRotationInterval)) {
+    return null;
+  }
+  return rotateSigningKey({ previous: active });
+};
+
+export const signAccessToken = async (payload, options = {}) => {
+  if (isSymmetric()) {
+    return jwt.sign(payload, config.jwt.secret, { ...options, algorithm: 'HS256' });
+  }
+
+  let signing = signingKey(await getKeys());
+  if (!signing) {
+    await rotateIfDue();
+    signing = signingKey(await loadKeys());
+  }
+
+  return jwt.sign(payload, signing.privateKey, {
+    ...options,
+    algorithm: signing.algorithm,
+    keyid: signing.kid
+  });
+};
+
+// Verify an access token against the key named by its kid. Throws the
+// usual jsonwebtoken errors.
+export const verifyAccessToken = async (token) => {
+  if (isSymmetric()) {
+    return jwt.verify(token, config.jwt.secret, { algorithms: ['HS256'] });
+  }
+
+  const kid = jwt.decode(token, { complete: true })?.header.kid;
+  if (!kid) {
+    throw new jwt.JsonWebTokenError('Token has no key id');
+  }
+
+  let key = (await getKeys()).keys.get(kid);
+  if (!key) {
+    key = (await getKeys({ reload: true })).keys.get(kid);
+  }
+  if (!key || isExpired(key)) {
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+};
+
+// Public keys of every key that still verifies tokens, including one
+// published ahead of its activation
+export const getJwks = async () => {
+  if (isSymmetric()) {
+    return { keys: [] };
+  }
+
+  const { keys } = await getKeys();
+  return {
+    keys: [...keys.values()]
+      .filter(key => !isExpired(key))
+      .map(key => ({
+        ...key.publicJwk,
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+  };
+};
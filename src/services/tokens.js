@@ -0,0 +1,43 @@
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { revokeAllSessions } from './sessions.js';
+
+// Access token revocation. State lives in the configured database so every
+// cluster worker (and every container) sees the same denylist.
+
+// Deny a single access token until it expires
+export const revokeToken = async (decoded) => {
+  if (!decoded.jti) return;
+  await RevokedToken.revoke(decoded.jti, decoded.id, new Date(decoded.exp * 1000));
+};
+
+// The tokensValidAfter that rejects every access token issued so far. `iat`
+// has second precision, so it is rounded down to the second.
+export const tokenCutoff = () => new Date(Math.floor(Date.now() / 1000) * 1000);
+
+// "Logout everywhere": reject every access token issued so far and end all
+// refresh-token sessions. Pass a `transaction` to make it part of a larger
+// change.
+export const revokeAllTokens = async (userId, { transaction } = {}) => {
+  await User.invalidateTokens(userId, tokenCutoff(), { transaction });
+  await revokeAllSessions(userId, { transaction });
+};
+
+export const isTokenRevoked = async (decoded) => {
+  if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+    return true;
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return true;
+  }
+
+  // A role change makes older tokens stale; refreshing picks up the new role
+  if (decoded.role !== user.role) {
+    return true;
+  }
+
+  const { tokensValidAfter } = user.data;
+  return Boolean(tokensValidAfter) && decoded.iat * 1000 < new Date(tokensValidAfter).getTime();
+};
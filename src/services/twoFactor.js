@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import encryption from '../utils/encryption.js';
+import User from '../models/User.js';
+import { AppError, VersionConflictError } from '../utils/errors.js';
+import { generateSecret, verifyCode, otpauthUri } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/-/g, '').toLowerCase())
+  .digest('hex');
+
+// 80-bit codes shown as xxxxx-xxxxx-xxxxx-xxxxx
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+  crypto.randomBytes(10).toString('hex').match(/.{5}/g).join('-'));
+
+// Start enrollment: a new secret is kept as pending until confirmed
+export const beginEnrollment = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw new AppError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await User.update(user.id, { twoFactorPendingSecret: encryption.encrypt(secret) });
+
+  return {
+    secret,
+    otpauthUri: otpauthUri(secret, { issuer: config.twoFactor.issuer, account: user.email })
+  };
+};
+
+// Confirm enrollment with a code from the app. Returns the recovery codes,
+// which are only ever shown this once.
+export const confirmEnrollment = async (user, code) => {
+  if (!user.data.twoFactorPendingSecret) {
+    throw new AppError(400, 'Two-factor setup has not been started');
+  }
+
+  const secret = encryption.decrypt(user.data.twoFactorPendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    throw new AppError(400, 'Invalid verification code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.update(user.id, {
+    twoFactorEnabled: true,
+    twoFactorSecret: user.data.twoFactorPendingSecret,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    twoFactorLastStep: step
+  });
+
+  logger.info(`Two-factor authentication enabled for user ${user.id}`);
+  return recoveryCodes;
+};
+
+// Record that a code was used, on condition that the user is still at the
+// version it was read at: of two logins presenting the same code at once,
+// only the first gets through
+const markCodeUsed = async (user, fields) => {
+  try {
+    await User.update(user.id, fields, { expectedVersion: user.version });
+    return true;
+  } catch (error) {
+    if (error instanceof VersionConflictError) return false;
+    throw error;
+  }
+};
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled. Used
+// codes cannot be used again.
+export const verifyChallenge = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorEnabled) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.data.twoFactorRecoveryCodes || [];
+    if (!remaining.includes(hash)) {
+      return false;
+    }
+
+    if (!await markCodeUsed(user, { twoFactorRecoveryCodes: remaining.filter(existing => existing !== hash) })) {
+      return false;
+    }
+    logger.info(`Recovery code used by user ${user.id}, ${remaining.length - 1} left`);
+    return true;
+  }
+
+  const secret = encryption.decrypt(user.data.twoFactorSecret);
+  const step = verifyCode(secret, code, { lastStep: user.data.twoFactorLastStep ?? null });
+  if (step === null) {
+    return false;
+  }
+
+  return markCodeUsed(user, { twoFactorLastStep: step });
+};
+
+// Turn 2FA off and forget the secret and recovery codes
+export const resetTwoFactor = async (userId) => {
+  const user = await User.update(userId, {
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: null,
+    twoFactorLastStep: null
+  });
+  if (user) {
+    logger.info(`Two-factor authentication reset for user ${userId}`);
+  }
+  return Boolean(user);
+};
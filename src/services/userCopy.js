@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import User from '../models/User.js';
+import db from '../utils/database.js';
+import logger from '../utils/logger.js';
+import { recordDigest } from '../utils/recordDigest.js';
+
+// Copy every user from one storage backend to another (say MySQL to
+// DynamoDB) through the User model's repositories for both. Records are
+// copied as they are, password hashes and deleted users included. Ids are
+// kept as strings; a target that generates its own ids in a fixed shape
+// (MySQL integers, MongoDB ObjectIds) gives the others new ones, and the
+// old and new ids are appended to an id map next to the checkpoint. The
+// copy goes a page at a time and records where it got to in a checkpoint
+// file, so an interrupted run picks up after the last page written.
+
+const COPY_PAGE_SIZE = 500;
+
+// Past this many conflicts only the count goes up
+const MAX_REPORTED_CONFLICTS = 1000;
+
+// Checksums are sums of record digests modulo 2^128, so they do not
+// depend on the order each backend lists records in
+const CHECKSUM_MODULUS = 2n ** 128n;
+
+export const defaultCheckpointFile = (from, to) => `user-copy-${from}-${to}.json`;
+
+const idMapFile = (checkpointFile) => checkpointFile.replace(/\.json$/, '') + '.ids.ndjson';
+
+const connect = async (type) => {
+  if (!db.isSupported(type)) {
+    throw new Error(`Unsupported database type: ${type}`);
+  }
+  const repository = User.repositoryFor(type);
+  await repository.initialize();
+  return repository;
+};
+
+const checkBackends = (from, to) => {
+  if (!from || !to) {
+    throw new Error('Both a source and a target backend are required');
+  }
+  if (from === to) {
+    throw new Error('The source and target backends must differ');
+  }
+};
+
+const readCheckpoint = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// A listPage() position read back from JSON; its value, if any, is a
+// createdAt
+const revivePosition = (after) => after && { ...after, value: after.value && new Date(after.value) };
+
+// Every user of a repository a page at a time, deleted ones included:
+// oldest first, or in scan order where pages cannot be sorted
+async function* pages(repository, { after = null, limit = COPY_PAGE_SIZE } = {}) {
+  const order = repository.sortsPages() ? { sort: 'asc', sortBy: 'createdAt' } : {};
+  do {
+    const { records, next } = await repository.listPage({ limit, after, ...order });
+    yield { records, next };
+    after = next;
+  } while (after);
+}
+
+// The record as written to the target: a string id and no empty fields,
+// which the target fills with its own defaults
+const toCopy = ({ id, ...fields }) => ({
+  ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null && value !== undefined)),
+  id: String(id)
+});
+
+// Copy the users of `from` not yet copied to `to`. With `dryRun` nothing
+// is written, not even the checkpoint: the summary says what a real run
+// would do. `restart` ignores an existing checkpoint. Returns { copied,
+// skipped, remapped, conflicts, done }: users skipped were already in the
+// target (conflicts says which, and on which field), remapped ones were
+// given a new id.
+export const copyUsers = async ({
+  from,
+  to,
+  dryRun = false,
+  restart = false,
+  checkpointFile = defaultCheckpointFile(from, to),
+  pageSize = COPY_PAGE_SIZE
+} = {}) => {
+  checkBackends(from, to);
+  const source = await connect(from);
+  const target = await connect(to);
+
+  const saved = restart ? null : await readCheckpoint(checkpointFile);
+  if (saved && (saved.from !== from || saved.to !== to)) {
+    throw new Error(`${checkpointFile} is a checkpoint of a copy from ${saved.from} to ${saved.to}`);
+  }
+  const state = saved || { from, to, after: null, copied: 0, skipped: 0, remapped: 0, conflicts: [], done: false };
+  if (state.done) {
+    logger.info(`The copy in ${checkpointFile} is already complete`);
+    return { ...state, dryRun };
+  }
+  if (saved) {
+    logger.info(`Resuming the copy after ${state.copied + state.skipped} users`);
+  }
+
+  const conflict = (copy, field) => {
+    state.skipped += 1;
+    if (state.conflicts.length < MAX_REPORTED_CONFLICTS) {
+      state.conflicts.push({ id: copy.id, email: copy.email, field });
+    }
+  };
+
+  for await (const { records, next } of pages(source, { after: revivePosition(state.after), limit: pageSize })) {
+    const copies = records.map(toCopy);
+
+    if (dryRun) {
+      for (const copy of copies) {
+        const existing = await target.findOne({ email: copy.email });
+        if (existing) {
+          conflict(copy, 'email');
+          continue;
+        }
+        state.copied += 1;
+        if (!target.keepsId(copy.id) || await target.findById(copy.id)) state.remapped += 1;
+      }
+    } else {
+      const results = await target.insertMany(copies, { copy: true });
+      const remapped = [];
+      for (const [i, error] of results.entries()) {
+        const copy = copies[i];
+        let result = error;
+        // The id belongs to another user of the target: copy under a new
+        // one. The same user under that id means the page was copied before.
+        if (error?.field === 'id' && (await target.findById(copy.id))?.email !== copy.email) {
+          const { id, ...fields } = copy;
+          [result] = await target.insertMany([fields], { copy: true });
+        }
+        if (result) {
+          conflict(copy, result.field);
+          continue;
+        }
+
+        state.copied += 1;
+        const copiedAs = error || !target.keepsId(copy.id) ? (await target.findOne({ email: copy.email })).id : copy.id;
+        if (copiedAs !== copy.id) {
+          remapped.push(`${JSON.stringify({ from: copy.id, to: copiedAs })}\n`);
+        }
+      }
+      if (remapped.length) {
+        await fs.appendFile(idMapFile(checkpointFile), remapped.join(''));
+        state.remapped += remapped.length;
+      }
+    }
+
+    state.after = next;
+    state.done = !next;
+    if (!dryRun) {
+      await fs.writeFile(checkpointFile, JSON.stringify(state, null, 2));
+    }
+    logger.info(`${dryRun ? 'Would copy' : 'Copied'} ${state.copied} users, ${state.skipped} already in ${to}`);
+  }
+
+  return { ...state, dryRun };
+};
+
+const summarize = async (repository) => {
+  let count = 0;
+  let sum = 0n;
+  for await (const { records } of pages(repository)) {
+    for (const record of records) {
+      count += 1;
+      sum = (sum + BigInt(`0x${recordDigest(record, { defaults: repository.definition.defaults }).slice(0, 32)}`)) % CHECKSUM_MODULUS;
+    }
+  }
+  return { count, checksum: sum.toString(16).padStart(32, '0') };
+};
+
+// Compare the users of both backends: { source, target, match }, where
+// source and target are { count, checksum } over every user's content
+export const verifyUsers = async ({ from, to }) => {
+  checkBackends(from, to);
+  const source = await summarize(await connect(from));
+  const target = await summarize(await connect(to));
+  return {
+    source,
+    target,
+    match: source.count === target.count && source.checksum === target.checksum
+  };
+};
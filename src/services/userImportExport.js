@@ -0,0 +1,167 @@
+import readline from 'readline';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import encryption from '../utils/encryption.js';
+import { parseCsv, formatCsvRow } from '../utils/csv.js';
+import { schemas, validationErrors } from '../middleware/validation.js';
+import { DEFAULT_ROLE } from './permissions.js';
+
+// Bulk user import and export. Imports are read as a stream and written a
+// batch at a time, so an upload never has to fit in memory; rows that fail
+// are reported by number and do not stop the others. Exports stream every
+// user without password hashes or two-factor secrets.
+
+const IMPORT_BATCH_SIZE = 100;
+const EXPORT_PAGE_SIZE = 500;
+
+// Past this many failed rows only the count goes up
+const MAX_REPORTED_ERRORS = 1000;
+
+// Records of a CSV upload as objects keyed by its header row. Empty cells
+// are left out, so optional fields get their defaults.
+async function* csvRecords(stream) {
+  let header = null;
+  for await (const values of parseCsv(stream)) {
+    if (!header) {
+      header = values.map(name => name.trim());
+      continue;
+    }
+    yield Object.fromEntries(
+      header.map((name, i) => [name, values[i]]).filter(([, value]) => value !== undefined && value !== '')
+    );
+  }
+}
+
+// One JSON object per line; a line that does not parse yields an Error
+async function* ndjsonRecords(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      yield new Error('Invalid JSON');
+    }
+  }
+}
+
+// Content types accepted by importUsers
+export const IMPORT_TYPES = {
+  'text/csv': csvRecords,
+  'application/x-ndjson': ndjsonRecords,
+  'application/ndjson': ndjsonRecords
+};
+
+// Create users from a stream of `type` (one of IMPORT_TYPES). Each record
+// is checked like a POST /users body. Returns { imported, failed, errors },
+// where errors lists { row, errors } with rows numbered from 1 (not
+// counting a CSV header).
+export const importUsers = async (stream, type) => {
+  const schema = schemas.user.create.extract('body').required();
+  const roles = new Map();
+  const emails = new Set();
+  const summary = { imported: 0, failed: 0, errors: [] };
+
+  const fail = (row, errors) => {
+    summary.failed += 1;
+    if (summary.errors.length < MAX_REPORTED_ERRORS) {
+      summary.errors.push({ row, errors });
+    }
+  };
+
+  let batch = [];
+  const flush = async () => {
+    const results = await User.insertMany(batch.map(entry => entry.user));
+    results.forEach((error, i) => {
+      if (error) {
+        fail(batch[i].row, [{ path: error.field, message: error.message }]);
+      } else {
+        summary.imported += 1;
+      }
+    });
+    batch = [];
+  };
+
+  let row = 0;
+  for await (const record of IMPORT_TYPES[type](stream)) {
+    row += 1;
+    if (record instanceof Error) {
+      fail(row, [{ path: '', message: record.message }]);
+      continue;
+    }
+
+    const { error, value } = schema.validate(record, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      fail(row, validationErrors(error));
+      continue;
+    }
+
+    const role = value.role || DEFAULT_ROLE;
+    if (!roles.has(role)) {
+      roles.set(role, Boolean(await Role.findByName(role)));
+    }
+    if (!roles.get(role)) {
+      fail(row, [{ path: 'role', message: `Unknown role: ${role}` }]);
+      continue;
+    }
+
+    // Backends cannot all catch duplicates within one batch
+    const email = value.email.toLowerCase();
+    if (emails.has(email)) {
+      fail(row, [{ path: 'email', message: 'email appears earlier in the import' }]);
+      continue;
+    }
+    emails.add(email);
+
+    batch.push({ row, user: { ...value, email, role } });
+    if (batch.length >= IMPORT_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  if (batch.length) {
+    await flush();
+  }
+
+  // Duplicates only come back when their batch is written
+  summary.errors.sort((a, b) => a.row - b.row);
+  return summary;
+};
+
+export const EXPORT_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+// Every user, oldest first where the store can sort pages, as lines of
+// `format` (a key of EXPORT_TYPES).
+// Ids are encrypted the same way as in API responses.
+export async function* exportUsers(format, { includeDeleted = false } = {}) {
+  const fields = User.fieldsWith('selectable');
+  const columns = ['id', ...fields];
+  if (format === 'csv') {
+    yield formatCsvRow(columns);
+  }
+
+  const order = User.repository.sortsPages() ? { sort: 'asc', sortBy: 'createdAt' } : {};
+  let after = null;
+  do {
+    const { users, next } = await User.listPage({
+      includeDeleted,
+      fields,
+      limit: EXPORT_PAGE_SIZE,
+      after,
+      ...order
+    });
+
+    for (const user of users) {
+      // The model's getters fill in defaults the stored record may lack
+      const values = columns.map(column => column === 'id'
+        ? encryption.encryptId(user.id)
+        : user[column] ?? user.data[column] ?? null);
+      yield format === 'csv'
+        ? formatCsvRow(values)
+        : `${JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, values[i]])))}\n`;
+    }
+    after = next;
+  } while (after);
+}
@@ -0,0 +1,23 @@
+import ms from 'ms';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import User from '../models/User.js';
+import { recordAudit } from './audit.js';
+
+// Hard-delete users whose soft delete is older than the retention period.
+// Run on a schedule; returns the number of users purged.
+export const purgeDeletedUsers = async () => {
+  const before = new Date(Date.now() - ms(config.users.deletedRetention));
+  const ids = await User.purgeDeleted(before);
+
+  for (const id of ids) {
+    await recordAudit(null, 'user.purge', {
+      targetUserId: id,
+      metadata: { retention: config.users.deletedRetention }
+    });
+  }
+  if (ids.length) {
+    logger.info(`Purged ${ids.length} deleted users`);
+  }
+  return ids.length;
+};
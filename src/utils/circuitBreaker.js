@@ -0,0 +1,113 @@
+import logger from './logger.js';
+import { ServiceUnavailableError } from './errors.js';
+
+// Circuit breaker for one storage backend. It counts consecutive failures
+// that mean the store cannot be reached (`isFailure` tells them from
+// ordinary errors such as a duplicate key) and, at `threshold`, opens:
+// every operation then fails at once with a ServiceUnavailableError until
+// `resetMs` have passed. The next operation is let through as a trial
+// (half-open); its success closes the breaker again, its failure reopens
+// it. Unreachable-store errors are themselves turned into
+// ServiceUnavailableErrors, so callers see 503 whether the breaker is open
+// yet or not.
+class CircuitBreaker {
+  constructor(name, { threshold, resetMs, isFailure }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.isFailure = isFailure;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trial = false;
+  }
+
+  // Seconds until the next trial operation
+  get retryAfter() {
+    if (this.state !== 'open') return 0;
+    return Math.max(1, Math.ceil((this.openedAt + this.resetMs - Date.now()) / 1000));
+  }
+
+  transition(state, error) {
+    if (state === this.state) return;
+    this.state = state;
+    if (state === 'open') {
+      this.openedAt = Date.now();
+      logger.warn(`${this.name} circuit opened after ${this.failures} failures, retrying in ${this.retryAfter}s: ${error.message}`);
+    } else if (state === 'half-open') {
+      logger.info(`${this.name} circuit half-open, trying one operation`);
+    } else {
+      this.openedAt = null;
+      logger.info(`${this.name} circuit closed, the store is available again`);
+    }
+  }
+
+  unavailable() {
+    return new ServiceUnavailableError(`${this.name} is unavailable`, this.retryAfter || Math.ceil(this.resetMs / 1000));
+  }
+
+  // Throw while operations must not reach the store
+  check() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetMs) {
+      this.transition('half-open');
+    }
+    if (this.state === 'open' || (this.state === 'half-open' && this.trial)) {
+      throw this.unavailable();
+    }
+  }
+
+  async run(operation) {
+    this.check();
+    const trial = this.state === 'half-open';
+    if (trial) this.trial = true;
+
+    try {
+      const result = await operation();
+      this.succeeded();
+      return result;
+    } catch (error) {
+      if (!this.isFailure(error)) {
+        // The store answered
+        this.succeeded();
+      }
+      throw this.failure(error);
+    } finally {
+      if (trial) this.trial = false;
+    }
+  }
+
+  // What to throw for an error: when it means the store cannot be reached,
+  // it is counted and turned into a ServiceUnavailableError
+  failure(error) {
+    if (!this.isFailure(error)) return error;
+    this.failed(error);
+    const unavailable = this.unavailable();
+    unavailable.cause = error;
+    return unavailable;
+  }
+
+  succeeded() {
+    this.failures = 0;
+    this.transition('closed');
+  }
+
+  // A failed trial waits a full period again
+  failed(error) {
+    this.failures += 1;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      this.transition('open', error);
+    }
+  }
+
+  // Health data; errors are only logged, as they name hosts and ports
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+      retryAfter: this.retryAfter || undefined
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,158 @@
+import cluster from 'cluster';
+import crypto from 'crypto';
+import logger from './logger.js';
+
+// Expiring counters and values shared by all cluster workers. The primary
+// process owns the data; workers reach it over the cluster IPC channel.
+// Outside cluster mode (single process, tests) the same map lives locally.
+
+const REQUEST_TIMEOUT_MS = 2000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Plain in-process store. Entries are { value, expiresAt }.
+class LocalStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  live(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Fixed-window counter: the window starts with the first increment
+  increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.live(key, now) || { value: 0, expiresAt: now + windowMs };
+    entry.value += 1;
+    this.entries.set(key, entry);
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  decrement(key) {
+    const entry = this.live(key);
+    if (entry && entry.value > 0) {
+      entry.value -= 1;
+    }
+    return true;
+  }
+
+  get(key) {
+    return this.live(key)?.value ?? null;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const key of this.entries.keys()) {
+      this.live(key, now);
+    }
+  }
+
+  // Run one operation; used by the primary to serve worker requests
+  apply(op, args) {
+    if (!['increment', 'decrement', 'get', 'set', 'delete'].includes(op)) {
+      throw new Error(`Unknown counter store operation: ${op}`);
+    }
+    return this[op](...args);
+  }
+}
+
+// Worker-side proxy forwarding every operation to the primary
+class IpcStore {
+  constructor() {
+    this.pending = new Map();
+
+    process.on('message', (message) => {
+      if (message?.type !== 'counterStore:result') return;
+      const request = this.pending.get(message.id);
+      if (!request) return;
+
+      this.pending.delete(message.id);
+      clearTimeout(request.timer);
+      if (message.error) {
+        request.reject(new Error(message.error));
+      } else {
+        request.resolve(message.result);
+      }
+    });
+  }
+
+  call(op, ...args) {
+    return new Promise((resolve, reject) => {
+      const id = crypto.randomUUID();
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Counter store request timed out (${op})`));
+      }, REQUEST_TIMEOUT_MS);
+
+      this.pending.set(id, { resolve, reject, timer });
+      process.send({ type: 'counterStore', id, op, args });
+    });
+  }
+
+  increment(key, windowMs) {
+    return this.call('increment', key, windowMs);
+  }
+
+  decrement(key) {
+    return this.call('decrement', key);
+  }
+
+  get(key) {
+    return this.call('get', key);
+  }
+
+  set(key, value, ttlMs) {
+    return this.call('set', key, value, ttlMs);
+  }
+
+  delete(key) {
+    return this.call('delete', key);
+  }
+}
+
+// Serve worker requests from the primary process (called from cluster.js)
+export const attachCounterStore = () => {
+  const store = new LocalStore();
+
+  cluster.on('message', (worker, message) => {
+    if (message?.type !== 'counterStore') return;
+
+    let reply;
+    try {
+      reply = { result: store.apply(message.op, message.args) };
+    } catch (error) {
+      logger.error('Counter store error:', error);
+      reply = { error: error.message };
+    }
+    worker.send({ type: 'counterStore:result', id: message.id, ...reply });
+  });
+
+  setInterval(() => store.sweep(), SWEEP_INTERVAL_MS).unref();
+  return store;
+};
+
+const createStore = () => {
+  if (cluster.isWorker && process.send) {
+    return new IpcStore();
+  }
+  const store = new LocalStore();
+  setInterval(() => store.sweep(), SWEEP_INTERVAL_MS).unref();
+  return store;
+};
+
+const counterStore = createStore();
+export default counterStore;
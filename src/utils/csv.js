@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV: fields are separated by commas, and quoted fields
+// may hold commas, line breaks and doubled quotes.
+
+// Yield each record of a byte or text stream as an array of strings.
+// Blank lines are skipped.
+export async function* parseCsv(stream) {
+  const decoder = new TextDecoder();
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let closedQuote = false;
+  let start = true;
+
+  const endRecord = () => {
+    record.push(field);
+    const done = record.length > 1 || record[0] !== '' ? record : null;
+    record = [];
+    field = '';
+    return done;
+  };
+
+  for await (const chunk of stream) {
+    let text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    if (start) {
+      text = text.replace(/^\uFEFF/, '');
+      start = false;
+    }
+
+    const records = [];
+    for (const char of text) {
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          closedQuote = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && closedQuote) {
+        // A quote right after a closing one is an escaped quote
+        field += '"';
+        quoted = true;
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        const done = endRecord();
+        if (done) records.push(done);
+      } else if (char !== '\r') {
+        field += char;
+      }
+      closedQuote = false;
+    }
+    yield* records;
+  }
+
+  if (field !== '' || record.length) {
+    const done = endRecord();
+    if (done) yield done;
+  }
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA = /^[=+\-@\t\r]/;
+
+// One CSV line. Dates are written as ISO 8601 and null as an empty field.
+export const formatCsvRow = (values) => values.map((value) => {
+  let text = value === null || value === undefined ? '' : String(value instanceof Date ? value.toISOString() : value);
+  if (FORMULA.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
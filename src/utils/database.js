@@ -1,87 +1,372 @@
+import cluster from 'cluster';
 import mongoose from 'mongoose';
 import mysql from 'mysql2/promise';
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBClient, ListTablesCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
 import config from '../config/index.js';
 import logger from './logger.js';
+import CircuitBreaker from './circuitBreaker.js';
+import { VersionConflictError } from './errors.js';
 
-class DatabaseProxy {
+// Items DynamoDB accepts in one TransactWriteItems request
+const DYNAMODB_TRANSACTION_ITEMS = 100;
+
+// Node error codes of a connection that could not be made or was lost
+const NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN'];
+
+const MONGODB_UNAVAILABLE = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongoNotConnectedError',
+  'MongoTopologyClosedError'
+];
+
+const DYNAMODB_UNAVAILABLE = ['TimeoutError', 'RequestTimeout', 'InternalServerError', 'ServiceUnavailable'];
+
+// Single registry for every storage backend. Each backend registers a
+// connector ({ connect, close, transaction, unavailable }); repositories ask
+// the registry for the connection of the store they are bound to.
+// `unavailable(error)` tells whether an error means the store cannot be
+// reached, which is what its circuit breaker counts (see breaker()).
+class DatabaseRegistry {
   constructor() {
-    this.connections = {
-      mongodb: null,
-      mysql: null,
-      dynamodb: null,
-    };
+    this.connections = {};
+    this.connecting = {};
+    this.connectors = {};
+    this.breakers = {};
+    // The memory transaction running now, which the next one waits for
+    this.memoryTransactionDone = null;
+    this.workerId = cluster.isWorker ? cluster.worker.id : 'primary';
+
+    this.register('mongodb', {
+      connect: () => this.connectMongoDB(),
+      close: () => mongoose.disconnect(),
+      // Operations queued while mongoose reconnects time out as "buffering
+      // timed out"
+      unavailable: (error) => MONGODB_UNAVAILABLE.includes(error.name) || /buffering timed out/.test(error.message),
+      transaction: (connection, context, run) => this.mongoTransaction(connection, context, run)
+    });
+    this.register('mysql', {
+      connect: () => this.connectMySQL(),
+      close: (pool) => pool.end(),
+      // mysql2 marks errors that end a connection as fatal
+      unavailable: (error) => NETWORK_ERRORS.includes(error.code) || error.fatal === true,
+      transaction: (pool, context, run) => this.mysqlTransaction(pool, context, run)
+    });
+    this.register('dynamodb', {
+      connect: () => this.connectDynamoDB(),
+      // Releases the client's HTTP sockets; there is no session to end
+      close: (client) => client.destroy(),
+      // Throttling is not an outage; the client retries it
+      unavailable: (error) => NETWORK_ERRORS.includes(error.code) ||
+        DYNAMODB_UNAVAILABLE.includes(error.name) ||
+        error.$metadata?.httpStatusCode >= 500,
+      transaction: (client, context, run) => this.dynamoTransaction(client, context, run)
+    });
+    this.register('memory', {
+      // Tables are created lazily by MemoryRepository
+      connect: () => new Map(),
+      close: (tables) => tables.clear(),
+      transaction: (tables, context, run) => this.memoryTransaction(tables, context, run)
+    });
   }
 
-  async connectMongoDB() {
+  // Register a connector for a storage backend
+  register(type, connector) {
+    this.connectors[type] = connector;
+  }
+
+  isSupported(type) {
+    return Boolean(this.connectors[type]);
+  }
+
+  // Connect the given backend (defaults to the configured DB_TYPE). Failed
+  // attempts are retried with exponential backoff and full jitter, up to
+  // config.database.connectRetry.attempts; callers arriving meanwhile wait
+  // for the same attempts. Once connected, the drivers reconnect by
+  // themselves.
+  async connect(type = config.database.type) {
+    if (this.connections[type]) {
+      return this.connections[type];
+    }
+
+    const connector = this.connectors[type];
+    if (!connector) {
+      throw new Error(`Unsupported database type: ${type}`);
+    }
+
+    this.connecting[type] ??= this.connectWithRetries(type, connector).finally(() => {
+      delete this.connecting[type];
+    });
+    return this.connecting[type];
+  }
+
+  async connectWithRetries(type, connector) {
+    const { attempts, delayMs, maxDelayMs } = config.database.connectRetry;
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        logger.info(`Worker ${this.workerId}: Connecting to ${type}`);
+        this.connections[type] = await connector.connect();
+        logger.info(`Worker ${this.workerId}: ${type} connection established`);
+        return this.connections[type];
+      } catch (error) {
+        if (attempt >= attempts) {
+          logger.error(`Worker ${this.workerId}: ${type} connection error:`, error);
+          throw error;
+        }
+        const delay = Math.round(Math.random() * Math.min(maxDelayMs, delayMs * 2 ** (attempt - 1)));
+        logger.warn(`Worker ${this.workerId}: ${type} connection attempt ${attempt} of ${attempts} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // The circuit breaker of a backend, shared by all its repositories
+  breaker(type) {
+    this.breakers[type] ??= new CircuitBreaker(type, {
+      ...config.database.circuitBreaker,
+      isFailure: (error) => Boolean(this.connectors[type]?.unavailable?.(error))
+    });
+    return this.breakers[type];
+  }
+
+  // Health data of the backends in use: { type: { connected, breaker } }
+  health() {
+    const types = new Set([...Object.keys(this.connections), ...Object.keys(this.breakers)]);
+    return Object.fromEntries([...types].map(type => [type, {
+      connected: Boolean(this.connections[type]),
+      breaker: this.breakers[type]?.toJSON() ?? null
+    }]));
+  }
+
+  // Get an established connection
+  get(type = config.database.type) {
+    const connection = this.connections[type];
+    if (!connection) {
+      throw new Error(`No active ${type} connection`);
+    }
+    return connection;
+  }
+
+  // Run `fn(transaction)` in a transaction on the given backend (the
+  // configured one by default) and return what it returns. Repository
+  // methods join it through their `transaction` option: the writes made with
+  // it are committed together when fn resolves, or not at all when it
+  // throws. Repositories on another backend ignore the option. Callbacks
+  // passed to transaction.afterCommit() run once the commit has succeeded.
+  async withTransaction(fn, { type = config.database.type } = {}) {
+    const connector = this.connectors[type];
+    if (!connector?.transaction) {
+      throw new Error(`Transactions are not supported on ${type}`);
+    }
+
+    // Beginning and committing go to the store too
+    const breaker = this.breaker(type);
+    breaker.check();
+    const connection = await this.connect(type);
+    const callbacks = [];
+    const transaction = { type, afterCommit: (callback) => callbacks.push(callback) };
+    let result;
     try {
-      if (!this.connections.mongodb) {
-        this.connections.mongodb = await mongoose.connect(config.mongodb.uri, {
-          useNewUrlParser: true,
-          useUnifiedTopology: true,
-        });
-        logger.info('MongoDB connection established');
+      result = await connector.transaction(connection, transaction, () => fn(transaction));
+    } catch (error) {
+      throw breaker.failure(error);
+    }
+
+    for (const callback of callbacks) {
+      try {
+        await callback();
+      } catch (error) {
+        logger.error('Error after committing a transaction:', error);
       }
-      return this.connections.mongodb;
+    }
+    return result;
+  }
+
+  // Transactions need a replica set or a sharded cluster. A standalone
+  // server (as in local development) runs the operations one by one.
+  async mongoTransaction(connection, transaction, run) {
+    this.mongoTransactions ??= connection.connection.db.admin().command({ hello: 1 })
+      .then(hello => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+      .catch((error) => {
+        this.mongoTransactions = null;
+        throw error;
+      });
+    if (!await this.mongoTransactions) {
+      if (!this.mongoTransactionsWarned) {
+        logger.warn(`Worker ${this.workerId}: MongoDB is a standalone server; writes are not transactional`);
+        this.mongoTransactionsWarned = true;
+      }
+      return run();
+    }
+
+    const session = await connection.startSession();
+    transaction.session = session;
+    try {
+      session.startTransaction();
+      const result = await run();
+      await session.commitTransaction();
+      return result;
     } catch (error) {
-      logger.error('MongoDB connection error:', error);
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
       throw error;
+    } finally {
+      await session.endSession();
     }
   }
 
-  async connectMySQL() {
+  // Every query of the transaction goes through one pooled connection
+  async mysqlTransaction(pool, transaction, run) {
+    const connection = await pool.getConnection();
+    transaction.connection = connection;
     try {
-      if (!this.connections.mysql) {
-        this.connections.mysql = await mysql.createPool({
-          host: config.mysql.host,
-          port: config.mysql.port,
-          user: config.mysql.user,
-          password: config.mysql.password,
-          database: config.mysql.database,
-          waitForConnections: true,
-          connectionLimit: 10,
-          queueLimit: 0,
-        });
-        logger.info('MySQL connection pool established');
-      }
-      return this.connections.mysql;
+      await connection.beginTransaction();
+      const result = await run();
+      await connection.commit();
+      return result;
     } catch (error) {
-      logger.error('MySQL connection error:', error);
+      try {
+        await connection.rollback();
+      } catch (rollbackError) {
+        logger.error('Error rolling back a MySQL transaction:', rollbackError);
+      }
       throw error;
+    } finally {
+      connection.release();
     }
   }
 
-  connectDynamoDB() {
+  // DynamoDB has no interactive transactions: repositories queue their
+  // writes in `transaction.writes`, and the items they leave behind in
+  // `transaction.items` (see DynamoRepository#enqueue), and the writes are
+  // sent in one TransactWriteItems request once fn resolves. Reads in the
+  // meantime see the stored items, except for by-id reads of queued ones.
+  // A failed condition cancels every write and throws the error of the
+  // write it belongs to.
+  async dynamoTransaction(client, transaction, run) {
+    transaction.writes = new Map();
+    transaction.items = new Map();
+    const result = await run();
+
+    const writes = [...transaction.writes.values()];
+    if (writes.length > DYNAMODB_TRANSACTION_ITEMS) {
+      throw new Error(`A DynamoDB transaction takes at most ${DYNAMODB_TRANSACTION_ITEMS} writes, not ${writes.length}`);
+    }
+    if (writes.length) {
+      try {
+        await client.send(new TransactWriteCommand({ TransactItems: writes.map(write => write.request) }));
+      } catch (error) {
+        const failed = error.name === 'TransactionCanceledException'
+          ? (error.CancellationReasons || []).findIndex(reason => reason.Code === 'ConditionalCheckFailed')
+          : -1;
+        if (failed !== -1) {
+          throw writes[failed].error?.() ?? new VersionConflictError();
+        }
+        throw error;
+      }
+    }
+    return result;
+  }
+
+  // Transactions run one at a time, so one that fails cannot undo another's
+  // writes. The tables are put back as they were when fn fails, together
+  // with whatever requests outside transactions wrote meanwhile: the memory
+  // store is not isolated, it is only for tests and local development
+  async memoryTransaction(tables, transaction, run) {
+    const previous = this.memoryTransactionDone;
+    let finish;
+    const done = new Promise((resolve) => { finish = resolve; });
+    this.memoryTransactionDone = done;
+    await previous;
+
+    const snapshot = structuredClone(tables);
     try {
-      if (!this.connections.dynamodb) {
-        const client = new DynamoDBClient({
-          region: config.dynamodb.region,
-          credentials: config.dynamodb.credentials,
-        });
-        this.connections.dynamodb = DynamoDBDocumentClient.from(client);
-        logger.info('DynamoDB connection established');
+      return await run();
+    } catch (error) {
+      tables.clear();
+      for (const [name, table] of snapshot) {
+        tables.set(name, table);
       }
-      return this.connections.dynamodb;
+      throw error;
+    } finally {
+      if (this.memoryTransactionDone === done) this.memoryTransactionDone = null;
+      finish();
+    }
+  }
+
+  async connectMongoDB() {
+    // Collections and indexes are created by the migrations, not by every
+    // worker as it connects
+    const connection = await mongoose.connect(config.mongodb.uri, {
+      maxPoolSize: 10,
+      minPoolSize: 2,
+      autoIndex: false,
+      autoCreate: false
+    });
+
+    mongoose.connection.on('error', (error) => {
+      logger.error(`Worker ${this.workerId}: MongoDB connection error:`, error);
+    });
+
+    mongoose.connection.on('disconnected', () => {
+      logger.info(`Worker ${this.workerId}: MongoDB disconnected`);
+    });
+
+    return connection;
+  }
+
+  async connectMySQL() {
+    const pool = mysql.createPool({
+      host: config.mysql.host,
+      port: config.mysql.port,
+      user: config.mysql.user,
+      password: config.mysql.password,
+      database: config.mysql.database,
+      waitForConnections: true,
+      connectionLimit: 10, // Adjust per worker
+      queueLimit: 0
+    });
+
+    // Test the connection
+    try {
+      const connection = await pool.getConnection();
+      connection.release();
+    } catch (error) {
+      await pool.end();
+      throw error;
+    }
+
+    return pool;
+  }
+
+  async connectDynamoDB() {
+    const client = new DynamoDBClient({
+      region: config.dynamodb.region,
+      endpoint: config.dynamodb.endpoint,
+      credentials: config.dynamodb.credentials,
+      maxAttempts: 3
+    });
+
+    // Test the connection: the client itself connects on its first request
+    try {
+      await client.send(new ListTablesCommand({ Limit: 1 }));
     } catch (error) {
-      logger.error('DynamoDB connection error:', error);
+      client.destroy();
       throw error;
     }
+
+    return DynamoDBDocumentClient.from(client);
   }
 
   async closeAll() {
     try {
-      if (this.connections.mongodb) {
-        await mongoose.disconnect();
-        this.connections.mongodb = null;
-      }
-      if (this.connections.mysql) {
-        await this.connections.mysql.end();
-        this.connections.mysql = null;
-      }
-      if (this.connections.dynamodb) {
-        // DynamoDB doesn't require explicit connection closing
-        this.connections.dynamodb = null;
+      logger.info(`Worker ${this.workerId}: Closing all database connections`);
+      for (const [type, connection] of Object.entries(this.connections)) {
+        await this.connectors[type].close(connection);
+        delete this.connections[type];
       }
       logger.info('All database connections closed');
     } catch (error) {
@@ -91,5 +376,5 @@ class DatabaseProxy {
   }
 }
 
-const db = new DatabaseProxy();
-export default db; 
\ No newline at end of file
+const db = new DatabaseRegistry();
+export default db;
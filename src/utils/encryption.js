@@ -80,6 +80,11 @@ const transformResponse = () => {
           return obj.map(item => encryptIds(item));
         }
 
+        // Serialize models and dates the way res.json would
+        if (typeof obj.toJSON === 'function') {
+          return encryptIds(obj.toJSON());
+        }
+
         const newObj = { ...obj };
         for (const [key, value] of Object.entries(newObj)) {
           if (key === 'id') {
@@ -99,14 +104,17 @@ const transformResponse = () => {
   };
 };
 
-// Request transformation middleware
-const decryptRequestIds = () => {
+// Request transformation middleware. `params` names the URL params holding
+// encrypted IDs.
+const decryptRequestIds = (params = ['id']) => {
   return (req, res, next) => {
     const idEncryption = new Encryption();
 
-    // Decrypt ID in URL params
-    if (req.params.id) {
-      req.params.id = idEncryption.decrypt(req.params.id);
+    // Decrypt IDs in URL params
+    for (const param of params) {
+      if (req.params[param]) {
+        req.params[param] = idEncryption.decrypt(req.params[param]);
+      }
     }
 
     // Decrypt IDs in request body
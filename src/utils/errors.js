@@ -7,4 +7,29 @@ export class AppError extends Error {
 
     Error.captureStackTrace(this, this.constructor);
   }
-} 
\ No newline at end of file
+}
+
+// Raised by every storage adapter when a unique field is already taken
+export class DuplicateKeyError extends AppError {
+  constructor(field) {
+    super(409, `${field} already exists`);
+    this.field = field;
+  }
+}
+
+// Raised by every storage adapter when a conditional write finds the record
+// at another version than the one it expected
+export class VersionConflictError extends AppError {
+  constructor() {
+    super(412, 'The record has been modified since it was read');
+  }
+}
+
+// Raised when a storage backend cannot be reached; `retryAfter` (seconds)
+// is sent as the Retry-After header
+export class ServiceUnavailableError extends AppError {
+  constructor(message, retryAfter) {
+    super(503, message);
+    this.retryAfter = retryAfter;
+  }
+}
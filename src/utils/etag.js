@@ -0,0 +1,22 @@
+import { VersionConflictError } from './errors.js';
+
+// Strong entity tags for versioned records (see Repository#save). The tag
+// is the record's version, so it changes with every write.
+
+export const etag = (version) => `"${version}"`;
+
+export const setETag = (res, version) => res.set('ETag', etag(version));
+
+// The version an If-Match header requires the record to be at: undefined
+// without the header or for `*`. Throws a VersionConflictError (412) when
+// none of the listed tags is the record's current one.
+export const ifMatch = (req, version) => {
+  const header = req.get('if-match');
+  if (!header || header.trim() === '*') return undefined;
+
+  const tags = header.split(',').map(tag => tag.trim());
+  if (!tags.includes(etag(version))) {
+    throw new VersionConflictError();
+  }
+  return version;
+};
@@ -0,0 +1,48 @@
+import { types } from 'util';
+import encryption from './encryption.js';
+import { AppError } from './errors.js';
+
+// Cursors for keyset pagination. They are encrypted so clients can neither
+// read the raw ids inside nor forge a position, and they are only valid
+// with the sort they were issued for.
+
+export const encodeCursor = (position, { sort, sortBy }) => encryption.encrypt(JSON.stringify({
+  value: types.isDate(position.value) ? position.value.toISOString() : position.value,
+  date: types.isDate(position.value),
+  id: position.id,
+  sort,
+  sortBy
+}));
+
+export const decodeCursor = (cursor, { sort, sortBy }) => {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(encryption.decrypt(cursor));
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || decoded.sort !== sort || decoded.sortBy !== sortBy) {
+    throw new AppError(400, 'Invalid cursor');
+  }
+  return { value: decoded.date ? new Date(decoded.value) : decoded.value, id: decoded.id };
+};
+
+// RFC 8288 Link header. `links` maps each relation to the query parameters
+// that differ from the current request (undefined removes one); falsy
+// entries are skipped.
+export const setLinkHeader = (req, res, links) => {
+  const entries = Object.entries(links).filter(([, params]) => params);
+  if (!entries.length) return;
+
+  res.set('Link', entries.map(([rel, params]) => {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    for (const [name, value] of Object.entries(params)) {
+      if (value === undefined) {
+        url.searchParams.delete(name);
+      } else {
+        url.searchParams.set(name, value);
+      }
+    }
+    return `<${url.pathname}${url.search}>; rel="${rel}"`;
+  }).join(', '));
+};
@@ -0,0 +1,126 @@
+import { isDeepStrictEqual } from 'util';
+import { AppError } from './errors.js';
+
+// PATCH document formats: RFC 7396 JSON Merge Patch and RFC 6902 JSON
+// Patch. Both return a patched copy and leave the target untouched. A JSON
+// Patch that cannot be applied throws a 422, one whose `test` fails a 409.
+// Members that reach the prototype chain are refused with a 400.
+
+export const MERGE_PATCH = 'application/merge-patch+json';
+export const JSON_PATCH = 'application/json-patch+json';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const checkKey = (key) => {
+  if (UNSAFE_KEYS.has(key)) throw new AppError(400, `Invalid member name: ${key}`);
+};
+
+export const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) return structuredClone(patch);
+
+  const result = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    checkKey(key);
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+};
+
+const unprocessable = (message) => new AppError(422, message);
+
+// RFC 6901 pointer to its reference tokens
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw unprocessable(`Invalid JSON pointer: ${pointer}`);
+  const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  tokens.forEach(checkKey);
+  return tokens;
+};
+
+const isIndex = (token) => /^(0|[1-9]\d*)$/.test(token);
+
+const has = (parent, key) => Array.isArray(parent)
+  ? isIndex(key) && Number(key) < parent.length
+  : Object.hasOwn(parent, key);
+
+// The document is held under a wrapper so the root ("") is addressed like
+// any other member. Only own members are followed.
+const resolve = (root, pointer) => {
+  const tokens = ['document', ...parsePointer(pointer)];
+  let parent = root;
+  for (const token of tokens.slice(0, -1)) {
+    const child = has(parent, token) ? parent[token] : undefined;
+    if (child === null || typeof child !== 'object') {
+      throw unprocessable(`Path not found: ${pointer}`);
+    }
+    parent = child;
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+const get = (root, pointer) => {
+  const { parent, key } = resolve(root, pointer);
+  if (!has(parent, key)) throw unprocessable(`Path not found: ${pointer}`);
+  return parent[key];
+};
+
+const add = (root, pointer, value) => {
+  const { parent, key } = resolve(root, pointer);
+  if (!Array.isArray(parent)) {
+    parent[key] = value;
+  } else if (key === '-') {
+    parent.push(value);
+  } else if (isIndex(key) && Number(key) <= parent.length) {
+    parent.splice(Number(key), 0, value);
+  } else {
+    throw unprocessable(`Invalid array index: ${pointer}`);
+  }
+};
+
+const remove = (root, pointer) => {
+  const { parent, key } = resolve(root, pointer);
+  if (!has(parent, key)) throw unprocessable(`Path not found: ${pointer}`);
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+};
+
+const OPERATIONS = {
+  add: (root, { path, value }) => add(root, path, structuredClone(value)),
+  remove: (root, { path }) => remove(root, path),
+  replace: (root, { path, value }) => {
+    remove(root, path);
+    add(root, path, structuredClone(value));
+  },
+  move: (root, { from, path }) => {
+    if (path.startsWith(`${from}/`)) throw unprocessable(`Cannot move ${from} into itself`);
+    const value = get(root, from);
+    remove(root, from);
+    add(root, path, value);
+  },
+  copy: (root, { from, path }) => add(root, path, structuredClone(get(root, from))),
+  test: (root, { path, value }) => {
+    if (!isDeepStrictEqual(get(root, path), value)) {
+      throw new AppError(409, `Test failed: ${path}`);
+    }
+  }
+};
+
+export const JSON_PATCH_OPERATIONS = Object.keys(OPERATIONS);
+
+// Operations apply in order, and the patch is all or nothing
+export const applyJsonPatch = (target, operations) => {
+  const root = { document: structuredClone(target) };
+  for (const operation of operations) {
+    OPERATIONS[operation.op](root, operation);
+  }
+  return root.document;
+};
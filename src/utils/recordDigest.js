@@ -0,0 +1,28 @@
+import { createHash } from 'crypto';
+
+// Digests of a record's content that come out the same on every backend,
+// for comparing a record across stores. Ids differ between stores and are
+// left out, as are empty fields.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Dates to the second, the precision MySQL keeps (it rounds)
+const normalize = (value) => {
+  if (value instanceof Date || (typeof value === 'string' && ISO_DATE.test(value))) {
+    const time = new Date(value).getTime();
+    return new Date(Math.round(time / 1000) * 1000).toISOString();
+  }
+  return value;
+};
+
+// Hex SHA-256 of the record. Fields equal to their entry in `defaults`
+// count as missing, since some backends fill them in and others do not;
+// fields in `ignore` are left out.
+export const recordDigest = ({ id, ...fields }, { defaults = {}, ignore = [] } = {}) => {
+  const entries = Object.keys(fields)
+    .filter(field => fields[field] !== null && fields[field] !== undefined)
+    .filter(field => fields[field] !== defaults[field] && !ignore.includes(field))
+    .sort()
+    .map(field => [field, normalize(fields[field])]);
+  return createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+};
@@ -0,0 +1,175 @@
+import db from '../src/utils/database.js';
+
+// An in-process stand-in for the DynamoDB document client, for tests of
+// DynamoRepository. It keeps tables in Maps and understands the commands
+// and the expression forms the repository sends: conditions built from
+// attribute_exists, attribute_not_exists, attribute_type, comparisons,
+// AND, OR and parentheses; SET and ADD updates. Every command is recorded
+// in `sent` as { name, input }.
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+
+const tokenize = (expression) => expression.match(/\(|\)|,|>=|<=|=|[#:]?[\w.-]+/g);
+
+// Evaluate a condition or filter expression against an item (undefined
+// when there is none)
+const evaluate = (expression, item, names = {}, values = {}) => {
+  if (!expression) return true;
+  const tokens = tokenize(expression);
+  let position = 0;
+  const next = () => tokens[position++];
+  const peek = () => tokens[position];
+  const attribute = (token) => item?.[names[token] ?? token];
+  const operand = (token) => (token.startsWith(':') ? values[token] : attribute(token));
+
+  const factor = () => {
+    const token = next();
+    if (token === '(') {
+      const result = or();
+      next();
+      return result;
+    }
+    if (['attribute_exists', 'attribute_not_exists', 'attribute_type'].includes(token)) {
+      next();
+      const value = attribute(next());
+      let type;
+      if (peek() === ',') {
+        next();
+        type = values[next()];
+      }
+      next();
+      if (token === 'attribute_exists') return value !== undefined;
+      if (token === 'attribute_not_exists') return value === undefined;
+      return type === 'NULL' && value === null;
+    }
+    const left = attribute(token);
+    const operator = next();
+    const right = operand(next());
+    if (left === undefined) return false;
+    if (operator === '=') return left === right;
+    if (operator === '>=') return left >= right;
+    return left <= right;
+  };
+  const and = () => {
+    let result = factor();
+    while (peek() === 'AND') {
+      next();
+      result = factor() && result;
+    }
+    return result;
+  };
+  const or = () => {
+    let result = and();
+    while (peek() === 'OR') {
+      next();
+      result = and() || result;
+    }
+    return result;
+  };
+  return or();
+};
+
+const update = (item, expression, names = {}, values = {}) => {
+  const result = { ...item };
+  for (const [, clause, body] of expression.matchAll(/(SET|ADD)\s+(.*?)(?=\s+(?:SET|ADD)\s|$)/g)) {
+    for (const part of body.split(',')) {
+      if (clause === 'SET') {
+        const [name, value] = part.split('=').map(token => token.trim());
+        result[names[name] ?? name] = values[value];
+      } else {
+        const [name, value] = part.trim().split(/\s+/);
+        const field = names[name] ?? name;
+        result[field] = (result[field] || 0) + values[value];
+      }
+    }
+  }
+  return result;
+};
+
+export class FakeDynamo {
+  constructor() {
+    this.tables = new Map();
+    this.sent = [];
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  items(name) {
+    return [...this.table(name).values()];
+  }
+
+  // The checks and changes of one write, without applying them
+  check({ TableName, Item, Key, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues }) {
+    const id = (Item || Key).id;
+    const existing = this.table(TableName).get(id);
+    return evaluate(ConditionExpression, existing, ExpressionAttributeNames, ExpressionAttributeValues);
+  }
+
+  apply(operation, input) {
+    const table = this.table(input.TableName);
+    const id = (input.Item || input.Key).id;
+    const existing = table.get(id);
+    if (operation === 'Put') {
+      table.set(id, structuredClone(input.Item));
+    } else if (operation === 'Delete') {
+      table.delete(id);
+    } else {
+      table.set(id, update(existing || { id }, input.UpdateExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues));
+    }
+    return { existing, item: table.get(id) };
+  }
+
+  async send(command) {
+    const name = command.constructor.name.replace(/Command$/, '');
+    const { input } = command;
+    this.sent.push({ name, input });
+
+    switch (name) {
+      case 'Get':
+        return { Item: structuredClone(this.table(input.TableName).get(input.Key.id)) };
+      case 'Put':
+      case 'Update':
+      case 'Delete': {
+        if (!this.check(input)) throw conditionFailed();
+        const { existing, item } = this.apply(name, input);
+        if (name === 'Delete') return { Attributes: input.ReturnValues === 'ALL_OLD' ? existing : undefined };
+        return { Attributes: input.ReturnValues === 'ALL_NEW' ? structuredClone(item) : undefined };
+      }
+      case 'TransactWrite': {
+        const writes = input.TransactItems.map(entry => Object.entries(entry)[0]);
+        const reasons = writes.map(([, write]) => ({ Code: this.check(write) ? 'None' : 'ConditionalCheckFailed' }));
+        if (reasons.some(reason => reason.Code !== 'None')) {
+          throw Object.assign(new Error('Transaction cancelled'), { name: 'TransactionCanceledException', CancellationReasons: reasons });
+        }
+        writes.forEach(([operation, write]) => this.apply(operation, write));
+        return {};
+      }
+      case 'Scan':
+      case 'Query': {
+        const { KeyConditionExpression, FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues, Limit } = input;
+        let items = this.items(input.TableName).sort((a, b) => (a.id < b.id ? -1 : 1));
+        if (input.ExclusiveStartKey) {
+          items = items.filter(item => item.id > input.ExclusiveStartKey.id);
+        }
+        const page = Limit ? items.slice(0, Limit) : items;
+        const matching = page.filter(item => evaluate(KeyConditionExpression, item, ExpressionAttributeNames, ExpressionAttributeValues) &&
+          evaluate(FilterExpression, item, ExpressionAttributeNames, ExpressionAttributeValues));
+        return {
+          Items: structuredClone(matching),
+          LastEvaluatedKey: Limit && items.length > Limit ? { id: page[page.length - 1].id } : undefined
+        };
+      }
+      default:
+        throw new Error(`FakeDynamo does not handle ${name}`);
+    }
+  }
+
+  // Let db.get('dynamodb') return this client
+  install() {
+    db.connections.dynamodb = this;
+    return this;
+  }
+}
@@ -0,0 +1,62 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import db from '../src/utils/database.js';
+import encryption from '../src/utils/encryption.js';
+import { initializeTables, User } from '../src/models/index.js';
+import { registerTransport } from '../src/services/email.js';
+
+// Shared setup for the API tests. Each test file gets its own module
+// registry, so its in-memory store starts empty.
+
+export { app };
+
+export const api = (path) => `/api/v1${path}`;
+
+export const PASSWORD = 'Password123!';
+
+// Mail sent through the `test` transport selected in tests/setup.js
+export const sentEmails = [];
+registerTransport('test', {
+  send: async (message) => {
+    sentEmails.push(message);
+  }
+});
+
+// Connect the models before the file's tests and close the store after
+export const useDatabase = () => {
+  beforeAll(async () => {
+    await initializeTables();
+  });
+  afterAll(async () => {
+    await db.closeAll();
+  });
+};
+
+// Ids travel encrypted in URLs and responses
+export const encryptId = (id) => encryption.encryptId(id);
+
+export const createUser = async ({ email, password = PASSWORD, name = 'Test User', role = 'user', ...fields }) => {
+  return new User({ email, password, name, role, emailVerified: true, ...fields }).save();
+};
+
+// { token, refreshToken, user } of a successful login
+export const login = async (email, password = PASSWORD) => {
+  const res = await request(app).post(api('/auth/login')).send({ email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login as ${email} failed with ${res.status}: ${res.body.message}`);
+  }
+  return res.body.data;
+};
+
+export const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+// A token from the last mail to `to` carrying `?token=` in a link. Some
+// mail goes out in the background, so this waits a little for one.
+export const tokenFromMail = async (to) => {
+  for (let attempt = 0; attempt < 50 && !sentEmails.some(mail => mail.to === to); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const message = sentEmails.filter(mail => mail.to === to).pop();
+  const match = message?.text.match(/token=([^\s&]+)/);
+  return match && decodeURIComponent(match[1]);
+};
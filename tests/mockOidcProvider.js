@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+
+// A local OpenID Connect provider for tests of the OIDC login. It serves
+// discovery, a key set and a token endpoint that checks the redirect URI,
+// client credentials and PKCE verifier the way a real provider does.
+// `authorize(url)` stands in for the user consenting at the authorization
+// endpoint: it returns the code the provider would redirect back with.
+// ID tokens carry `claims` plus whatever `tamper(claims)` returns.
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+export class MockOidcProvider {
+  constructor({ clientId = 'test-client', clientSecret = 'test-secret' } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.keyId = 'mock-key';
+    this.keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.codes = new Map();
+    this.claims = {};
+    this.tamper = () => ({});
+    this.tokenRequests = [];
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Provider settings as config.oidc.providers holds them
+  config(redirectUri) {
+    return { issuer: this.issuer, clientId: this.clientId, clientSecret: this.clientSecret, scopes: 'openid email profile', redirectUri };
+  }
+
+  authorize(url) {
+    const params = new URL(url).searchParams;
+    const code = crypto.randomBytes(16).toString('hex');
+    this.codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      codeChallengeMethod: params.get('code_challenge_method')
+    });
+    return code;
+  }
+
+  idToken(grant) {
+    const claims = {
+      iss: this.issuer,
+      aud: this.clientId,
+      exp: Math.floor(Date.now() / 1000) + 300,
+      sub: 'subject-1',
+      email_verified: true,
+      ...this.claims,
+      nonce: grant.nonce
+    };
+    return jwt.sign({ ...claims, ...this.tamper(claims) }, this.keys.privateKey, { algorithm: 'RS256', keyid: this.keyId });
+  }
+
+  async handle(req, res) {
+    const send = (status, body) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        jwks_uri: `${this.issuer}/jwks`
+      });
+    }
+    if (req.url === '/jwks') {
+      return send(200, { keys: [{ ...this.keys.publicKey.export({ format: 'jwk' }), kid: this.keyId, use: 'sig', alg: 'RS256' }] });
+    }
+    if (req.url !== '/token' || req.method !== 'POST') {
+      return send(404, { error: 'not_found' });
+    }
+
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const params = new URLSearchParams(body);
+    this.tokenRequests.push({ headers: req.headers, params });
+
+    const expected = `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`;
+    if (req.headers.authorization !== expected) {
+      return send(401, { error: 'invalid_client' });
+    }
+
+    // Codes are single use
+    const grant = this.codes.get(params.get('code'));
+    this.codes.delete(params.get('code'));
+    if (
+      params.get('grant_type') !== 'authorization_code' ||
+      !grant ||
+      grant.clientId !== params.get('client_id') ||
+      grant.redirectUri !== params.get('redirect_uri') ||
+      grant.codeChallengeMethod !== 'S256' ||
+      grant.codeChallenge !== sha256(params.get('code_verifier') || '')
+    ) {
+      return send(400, { error: 'invalid_grant' });
+    }
+
+    return send(200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: this.idToken(grant) });
+  }
+}
@@ -1,64 +1,18 @@
-import mongoose from 'mongoose';
-import { createPool } from 'mysql2/promise';
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import dotenv from 'dotenv';
 
+// Runs before each test file loads the app. .env.test may select a real
+// backend; otherwise everything runs against the in-memory store.
 dotenv.config({ path: '.env.test' });
 
-// Global test timeout
-jest.setTimeout(10000);
+process.env.DB_TYPE = process.env.DB_TYPE || 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
 
-// Database connections
-let mongoConnection;
-let mysqlPool;
-let dynamoClient;
+// Mail is captured by the `test` transport (see tests/helpers.js)
+process.env.EMAIL_TRANSPORT = 'test';
 
-// Setup hooks
-beforeAll(async () => {
-  // MongoDB setup
-  if (process.env.MONGODB_URI) {
-    mongoConnection = await mongoose.connect(process.env.MONGODB_URI);
-  }
+// Tests log in far more often than the auth rate limit allows
+process.env.RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS || '100000';
+process.env.RATE_LIMIT_AUTH_MAX_REQUESTS = process.env.RATE_LIMIT_AUTH_MAX_REQUESTS || '100000';
 
-  // MySQL setup
-  if (process.env.MYSQL_HOST) {
-    mysqlPool = createPool({
-      host: process.env.MYSQL_HOST,
-      user: process.env.MYSQL_USER,
-      password: process.env.MYSQL_PASSWORD,
-      database: process.env.MYSQL_DATABASE,
-      port: process.env.MYSQL_PORT
-    });
-  }
-
-  // DynamoDB setup
-  if (process.env.AWS_REGION) {
-    dynamoClient = new DynamoDBClient({
-      region: process.env.AWS_REGION,
-      endpoint: process.env.DYNAMODB_ENDPOINT
-    });
-  }
-});
-
-afterAll(async () => {
-  // Cleanup connections
-  if (mongoConnection) {
-    await mongoose.disconnect();
-  }
-  if (mysqlPool) {
-    await mysqlPool.end();
-  }
-  if (dynamoClient) {
-    await dynamoClient.destroy();
-  }
-});
-
-// Global test utilities
-global.createTestUser = async (userData) => {
-  // Implementation will be added when we create auth tests
-};
-
-// Mock implementations for external services
-jest.mock('../src/services/email.js', () => ({
-  sendEmail: jest.fn().mockResolvedValue(true)
-})); 
\ No newline at end of file
+// Tests fail logins on purpose; keep the delay after each failure short
+process.env.LOGIN_DELAY_MS = process.env.LOGIN_DELAY_MS || '1';